@@ -0,0 +1,182 @@
+// Per-node network metrics: in/out degree, PageRank, betweenness,
+// local clustering coefficient and weakly connected components.
+
+// Metrics computeNetworkMetrics() fills in, in display order
+export const NETWORK_METRICS = {
+    inDegree: 'In-degree',
+    outDegree: 'Out-degree',
+    pageRank: 'PageRank',
+    betweenness: 'Betweenness',
+    clustering: 'Clustering coefficient',
+    componentSize: 'Component size'
+};
+
+// Distinct neighbours ignoring direction, without self-loops
+function undirectedNeighbours(graph, nodeId) {
+    const neighbours = new Set();
+    graph.outgoing.get(nodeId).forEach(link => neighbours.add(link.nodeId));
+    graph.incoming.get(nodeId).forEach(link => neighbours.add(link.nodeId));
+    neighbours.delete(nodeId);
+    return neighbours;
+}
+
+function distinctSuccessors(graph, nodeId) {
+    const next = new Set(graph.outgoing.get(nodeId).map(link => link.nodeId));
+    next.delete(nodeId);
+    return Array.from(next);
+}
+
+// Power iteration; rank from dangling nodes is spread evenly
+export function pageRank(graph, { damping = 0.85, iterations = 100, tolerance = 1e-8 } = {}) {
+    const n = graph.nodeIds.length;
+    const ranks = new Map(graph.nodeIds.map(id => [id, 1 / n]));
+    const successorCache = new Map(graph.nodeIds.map(id => [id, distinctSuccessors(graph, id)]));
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        let dangling = 0;
+        graph.nodeIds.forEach(id => {
+            if (successorCache.get(id).length === 0) dangling += ranks.get(id);
+        });
+
+        const base = (1 - damping) / n + damping * dangling / n;
+        const next = new Map(graph.nodeIds.map(id => [id, base]));
+
+        graph.nodeIds.forEach(id => {
+            const targets = successorCache.get(id);
+            const share = damping * ranks.get(id) / targets.length;
+            targets.forEach(target => next.set(target, next.get(target) + share));
+        });
+
+        let change = 0;
+        graph.nodeIds.forEach(id => {
+            change += Math.abs(next.get(id) - ranks.get(id));
+            ranks.set(id, next.get(id));
+        });
+        if (change < tolerance) break;
+    }
+
+    return ranks;
+}
+
+// Brandes' algorithm on the directed, unweighted graph, normalised to [0, 1]
+export function betweenness(graph) {
+    const scores = new Map(graph.nodeIds.map(id => [id, 0]));
+    const successorCache = new Map(graph.nodeIds.map(id => [id, distinctSuccessors(graph, id)]));
+
+    graph.nodeIds.forEach(source => {
+        const stack = [];
+        const parents = new Map(graph.nodeIds.map(id => [id, []]));
+        const paths = new Map(graph.nodeIds.map(id => [id, 0]));
+        const distance = new Map([[source, 0]]);
+        paths.set(source, 1);
+
+        const queue = [source];
+        for (let head = 0; head < queue.length; head++) {
+            const nodeId = queue[head];
+            stack.push(nodeId);
+
+            successorCache.get(nodeId).forEach(next => {
+                if (!distance.has(next)) {
+                    distance.set(next, distance.get(nodeId) + 1);
+                    queue.push(next);
+                }
+                if (distance.get(next) === distance.get(nodeId) + 1) {
+                    paths.set(next, paths.get(next) + paths.get(nodeId));
+                    parents.get(next).push(nodeId);
+                }
+            });
+        }
+
+        const dependency = new Map(graph.nodeIds.map(id => [id, 0]));
+        while (stack.length > 0) {
+            const nodeId = stack.pop();
+            parents.get(nodeId).forEach(parent => {
+                dependency.set(parent, dependency.get(parent) +
+                    (paths.get(parent) / paths.get(nodeId)) * (1 + dependency.get(nodeId)));
+            });
+            if (nodeId !== source) {
+                scores.set(nodeId, scores.get(nodeId) + dependency.get(nodeId));
+            }
+        }
+    });
+
+    const n = graph.nodeIds.length;
+    const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 1;
+    scores.forEach((score, id) => scores.set(id, score * scale));
+
+    return scores;
+}
+
+// Share of a node's neighbour pairs that are themselves linked, ignoring direction
+export function clusteringCoefficients(graph) {
+    const neighbourCache = new Map(graph.nodeIds.map(id => [id, undirectedNeighbours(graph, id)]));
+    const coefficients = new Map();
+
+    graph.nodeIds.forEach(id => {
+        const neighbours = Array.from(neighbourCache.get(id));
+        const k = neighbours.length;
+        if (k < 2) {
+            coefficients.set(id, 0);
+            return;
+        }
+
+        let links = 0;
+        for (let i = 0; i < k; i++) {
+            const linked = neighbourCache.get(neighbours[i]);
+            for (let j = i + 1; j < k; j++) {
+                if (linked.has(neighbours[j])) links++;
+            }
+        }
+        coefficients.set(id, (2 * links) / (k * (k - 1)));
+    });
+
+    return coefficients;
+}
+
+// Weakly connected components, largest first: [{ nodes: [id] }]
+export function connectedComponents(graph) {
+    const seen = new Set();
+    const components = [];
+
+    graph.nodeIds.forEach(start => {
+        if (seen.has(start)) return;
+
+        const nodes = [start];
+        seen.add(start);
+        for (let head = 0; head < nodes.length; head++) {
+            undirectedNeighbours(graph, nodes[head]).forEach(next => {
+                if (!seen.has(next)) {
+                    seen.add(next);
+                    nodes.push(next);
+                }
+            });
+        }
+        components.push({ nodes });
+    });
+
+    return components.sort((a, b) => b.nodes.length - a.nodes.length);
+}
+
+// Everything at once: { metrics: Map id -> { inDegree, ..., component }, components }
+// `component` is the index into the size-sorted components list.
+export function computeNetworkMetrics(graph, options = {}) {
+    const ranks = pageRank(graph, options);
+    const between = betweenness(graph);
+    const clustering = clusteringCoefficients(graph);
+    const components = connectedComponents(graph);
+
+    const componentOf = new Map();
+    components.forEach(({ nodes }, index) => nodes.forEach(id => componentOf.set(id, index)));
+
+    const metrics = new Map(graph.nodeIds.map(id => [id, {
+        inDegree: graph.incoming.get(id).length,
+        outDegree: graph.outgoing.get(id).length,
+        pageRank: ranks.get(id),
+        betweenness: between.get(id),
+        clustering: clustering.get(id),
+        componentSize: components[componentOf.get(id)].nodes.length,
+        component: componentOf.get(id)
+    }]));
+
+    return { metrics, components };
+}
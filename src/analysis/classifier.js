@@ -0,0 +1,224 @@
+// Logistic regression over the Elliptic transaction features, trained on
+// labelled early timesteps and tested on later ones (the temporal split
+// used in the Elliptic paper), then used to score unknown transactions.
+
+import { CLASS_ILLICIT, CLASS_LICIT } from '../data/EllipticDatasetBuilder.js';
+
+// Small seeded PRNG (mulberry32) so repeated runs give the same metrics
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+// Let the browser paint between epochs
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+export class LogisticRegression {
+    constructor({ learningRate = 0.05, epochs = 30, l2 = 1e-4, batchSize = 256, seed = 42 } = {}) {
+        this.learningRate = learningRate;
+        this.epochs = epochs;
+        this.l2 = l2;
+        this.batchSize = batchSize;
+        this.seed = seed;
+
+        this.weights = null;
+        this.bias = 0;
+        this.mean = null;
+        this.scale = null;
+    }
+
+    // `features` is the flat row-major matrix, `rows` the row indices to
+    // train on and `labels` 1 (illicit) / 0 (licit) for each of those rows.
+    // Classes are reweighted so the illicit minority isn't drowned out.
+    async fit(features, featureCount, rows, labels, { onEpoch = () => {} } = {}) {
+        this.standardise(features, featureCount, rows);
+
+        this.weights = new Float64Array(featureCount);
+        this.bias = 0;
+
+        const positives = labels.reduce((sum, label) => sum + label, 0);
+        const negatives = labels.length - positives;
+        const classWeight = [labels.length / (2 * negatives), labels.length / (2 * positives)];
+
+        const random = createRandom(this.seed);
+        const order = Uint32Array.from(rows.keys());
+        const gradient = new Float64Array(featureCount);
+        const x = new Float64Array(featureCount);
+
+        for (let epoch = 0; epoch < this.epochs; epoch++) {
+            // Fisher-Yates shuffle
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+
+            let loss = 0;
+
+            for (let start = 0; start < order.length; start += this.batchSize) {
+                const end = Math.min(start + this.batchSize, order.length);
+                gradient.fill(0);
+                let biasGradient = 0;
+
+                for (let b = start; b < end; b++) {
+                    const sample = order[b];
+                    this.transform(features, featureCount, rows[sample], x);
+
+                    const label = labels[sample];
+                    const probability = sigmoid(this.score(x));
+                    const error = (probability - label) * classWeight[label];
+
+                    for (let f = 0; f < featureCount; f++) {
+                        gradient[f] += error * x[f];
+                    }
+                    biasGradient += error;
+
+                    const clipped = Math.min(Math.max(probability, 1e-7), 1 - 1e-7);
+                    loss -= classWeight[label] * (label ? Math.log(clipped) : Math.log(1 - clipped));
+                }
+
+                const size = end - start;
+                for (let f = 0; f < featureCount; f++) {
+                    this.weights[f] -= this.learningRate * (gradient[f] / size + this.l2 * this.weights[f]);
+                }
+                this.bias -= this.learningRate * (biasGradient / size);
+            }
+
+            onEpoch({ epoch: epoch + 1, epochs: this.epochs, loss: loss / order.length });
+            await nextTick();
+        }
+
+        return this;
+    }
+
+    standardise(features, featureCount, rows) {
+        this.mean = new Float64Array(featureCount);
+        this.scale = new Float64Array(featureCount);
+
+        rows.forEach(row => {
+            for (let f = 0; f < featureCount; f++) {
+                this.mean[f] += features[row * featureCount + f];
+            }
+        });
+        this.mean.forEach((sum, f) => { this.mean[f] = sum / rows.length; });
+
+        rows.forEach(row => {
+            for (let f = 0; f < featureCount; f++) {
+                const delta = features[row * featureCount + f] - this.mean[f];
+                this.scale[f] += delta * delta;
+            }
+        });
+        this.scale.forEach((sum, f) => {
+            const std = Math.sqrt(sum / rows.length);
+            this.scale[f] = std > 1e-12 ? std : 1;
+        });
+    }
+
+    transform(features, featureCount, row, out) {
+        const offset = row * featureCount;
+        for (let f = 0; f < featureCount; f++) {
+            out[f] = (features[offset + f] - this.mean[f]) / this.scale[f];
+        }
+        return out;
+    }
+
+    score(x) {
+        let z = this.bias;
+        for (let f = 0; f < x.length; f++) {
+            z += this.weights[f] * x[f];
+        }
+        return z;
+    }
+
+    predictProbability(features, featureCount, row) {
+        if (!this.weights) {
+            throw new Error('Model has not been trained yet');
+        }
+
+        return sigmoid(this.score(this.transform(features, featureCount, row, new Float64Array(featureCount))));
+    }
+}
+
+// Precision / recall / F1 for the illicit class plus the confusion matrix
+export function evaluateBinary(probabilities, labels, threshold = 0.5) {
+    const confusion = { tp: 0, fp: 0, tn: 0, fn: 0 };
+
+    probabilities.forEach((probability, i) => {
+        const predicted = probability >= threshold ? 1 : 0;
+        if (predicted && labels[i]) confusion.tp++;
+        else if (predicted) confusion.fp++;
+        else if (labels[i]) confusion.fn++;
+        else confusion.tn++;
+    });
+
+    const { tp, fp, tn, fn } = confusion;
+    const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    const total = tp + fp + tn + fn;
+
+    return {
+        precision,
+        recall,
+        f1,
+        accuracy: total > 0 ? (tp + tn) / total : 0,
+        confusion
+    };
+}
+
+// Train on labelled transactions up to `trainUntil`, test on labelled ones
+// after it, then score every unknown transaction. Returns the metrics and
+// a per-transaction Float32Array of illicit probabilities (NaN for labelled
+// transactions).
+export async function trainTemporalClassifier(dataset, { trainUntil = 34, threshold = 0.5, onEpoch, ...modelOptions } = {}) {
+    const { features, featureCount, classes, timesteps } = dataset;
+    const train = { rows: [], labels: [] };
+    const test = { rows: [], labels: [] };
+
+    for (let i = 0; i < classes.length; i++) {
+        if (classes[i] !== CLASS_ILLICIT && classes[i] !== CLASS_LICIT) continue;
+
+        const split = timesteps[i] <= trainUntil ? train : test;
+        split.rows.push(i);
+        split.labels.push(classes[i] === CLASS_ILLICIT ? 1 : 0);
+    }
+
+    const trainPositives = train.labels.filter(Boolean).length;
+    if (trainPositives === 0 || trainPositives === train.labels.length) {
+        throw new Error(`Timesteps 1-${trainUntil} need both illicit and licit transactions to train on`);
+    }
+
+    const model = new LogisticRegression(modelOptions);
+    await model.fit(features, featureCount, train.rows, train.labels, { onEpoch });
+
+    const testProbabilities = test.rows.map(row => model.predictProbability(features, featureCount, row));
+    const metrics = test.rows.length > 0 ? evaluateBinary(testProbabilities, test.labels, threshold) : null;
+
+    const predictions = new Float32Array(classes.length).fill(NaN);
+    let predictedIllicit = 0;
+    for (let i = 0; i < classes.length; i++) {
+        if (classes[i] === CLASS_ILLICIT || classes[i] === CLASS_LICIT) continue;
+
+        predictions[i] = model.predictProbability(features, featureCount, i);
+        if (predictions[i] >= threshold) predictedIllicit++;
+    }
+
+    return {
+        model,
+        metrics,
+        predictions,
+        threshold,
+        trainSize: train.rows.length,
+        testSize: test.rows.length,
+        predictedIllicit
+    };
+}
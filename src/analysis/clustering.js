@@ -0,0 +1,140 @@
+// Address clustering for raw Bitcoin graphs: transaction nodes
+// (type 'transaction') linked to addresses by 'input' edges (address ->
+// transaction) and 'output' edges (transaction -> address).
+//
+// Heuristics, each producing evidence that two or more addresses belong to
+// one entity:
+//   commonInput - every address spending into one transaction is controlled
+//                 by the same wallet. Transactions that look like CoinJoins
+//                 (3+ equal outputs) are skipped, as they break that rule.
+//   changeFresh - in a two-output payment, an output to a one-time address
+//                 while the other goes to a reused one is the change
+//   changeRound - in a two-output payment, when exactly one output is a
+//                 round amount the other is the change
+// Evidence ids are stable ('<heuristic>:<transaction>') so an analyst can
+// reject individual merges and cluster again without them.
+
+export const CLUSTERING_HEURISTICS = {
+    commonInput: 'Common-input ownership',
+    changeFresh: 'Change to a one-time address',
+    changeRound: 'Change opposite a round payment'
+};
+
+// Amounts that are a multiple of 0.001 BTC look like deliberate payments
+const ROUND_SATOSHIS = 100000;
+
+// This many outputs of one value mark a CoinJoin-like transaction
+const COINJOIN_EQUAL_OUTPUTS = 3;
+
+function linksOfType(graph, links, type) {
+    return links.filter(link => graph.edgeData.get(link.edgeId).type === type);
+}
+
+function isRound(amount) {
+    const satoshis = Math.round(Number(amount) * 1e8);
+    return satoshis > 0 && satoshis % ROUND_SATOSHIS === 0;
+}
+
+function looksLikeCoinJoin(graph, outputs) {
+    const counts = new Map();
+    outputs.forEach(link => {
+        const amount = graph.edgeData.get(link.edgeId).amount;
+        counts.set(amount, (counts.get(amount) || 0) + 1);
+    });
+    return Array.from(counts.values()).some(count => count >= COINJOIN_EQUAL_OUTPUTS);
+}
+
+// Every piece of evidence the enabled heuristics find:
+// { evidence: [{ id, heuristic, transaction, addresses }], skipped: [transaction] }
+export function findClusteringEvidence(graph, heuristics = { commonInput: true }) {
+    const evidence = [];
+    const skipped = [];
+
+    // How many times each address receives an output across the graph
+    const receipts = new Map();
+    graph.edgeData.forEach(data => {
+        if (data.type === 'output') receipts.set(data.target, (receipts.get(data.target) || 0) + 1);
+    });
+
+    graph.nodeIds.forEach(transaction => {
+        if (graph.nodeData.get(transaction).type !== 'transaction') return;
+
+        const inputs = Array.from(new Set(linksOfType(graph, graph.incoming.get(transaction), 'input').map(link => link.nodeId)));
+        const outputs = linksOfType(graph, graph.outgoing.get(transaction), 'output');
+        if (inputs.length === 0) return;
+
+        if (looksLikeCoinJoin(graph, outputs)) {
+            if (inputs.length > 1) skipped.push(transaction);
+            return;
+        }
+
+        if (heuristics.commonInput && inputs.length > 1) {
+            evidence.push({ id: `commonInput:${transaction}`, heuristic: 'commonInput', transaction, addresses: inputs });
+        }
+
+        // Change heuristics only read simple payments: two outputs to two
+        // addresses, neither of them sending back to an input address
+        const recipients = Array.from(new Set(outputs.map(link => link.nodeId)));
+        if (outputs.length !== 2 || recipients.length !== 2 || recipients.some(address => inputs.includes(address))) return;
+
+        const change = (address, heuristic) => evidence.push({
+            id: `${heuristic}:${transaction}`,
+            heuristic,
+            transaction,
+            addresses: [...inputs, address]
+        });
+
+        if (heuristics.changeFresh) {
+            const fresh = recipients.filter(address => receipts.get(address) === 1);
+            if (fresh.length === 1) change(fresh[0], 'changeFresh');
+        }
+
+        if (heuristics.changeRound) {
+            const round = outputs.map(link => isRound(graph.edgeData.get(link.edgeId).amount));
+            if (round[0] !== round[1]) change(outputs[round[0] ? 1 : 0].nodeId, 'changeRound');
+        }
+    });
+
+    return { evidence, skipped };
+}
+
+// Union-find over the evidence not in `rejected` (a Set of evidence ids).
+// Returns { entities: [{ addresses, evidence }], evidence, skipped } with
+// entities of two or more addresses, largest first.
+export function clusterAddresses(graph, { heuristics = { commonInput: true }, rejected = new Set() } = {}) {
+    const { evidence, skipped } = findClusteringEvidence(graph, heuristics);
+    const accepted = evidence.filter(item => !rejected.has(item.id));
+
+    const parent = new Map();
+    const find = (address) => {
+        if (!parent.has(address)) parent.set(address, address);
+        let root = address;
+        while (parent.get(root) !== root) root = parent.get(root);
+        // Path compression
+        while (parent.get(address) !== root) {
+            const next = parent.get(address);
+            parent.set(address, root);
+            address = next;
+        }
+        return root;
+    };
+
+    accepted.forEach(({ addresses }) => {
+        const root = find(addresses[0]);
+        addresses.slice(1).forEach(address => parent.set(find(address), root));
+    });
+
+    const groups = new Map();
+    parent.forEach((_, address) => {
+        const root = find(address);
+        if (!groups.has(root)) groups.set(root, { addresses: [], evidence: [] });
+        groups.get(root).addresses.push(address);
+    });
+    accepted.forEach(item => groups.get(find(item.addresses[0])).evidence.push(item));
+
+    const entities = Array.from(groups.values())
+        .filter(group => group.addresses.length > 1)
+        .sort((a, b) => b.addresses.length - a.addresses.length);
+
+    return { entities, evidence, skipped };
+}
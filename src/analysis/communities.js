@@ -0,0 +1,145 @@
+// Louvain community detection.
+//
+// Direction is ignored and every edge weighs 1 (parallel edges add up).
+// Nodes are visited in graph order, so results are deterministic.
+
+function buildWeightedAdjacency(graph) {
+    const index = new Map(graph.nodeIds.map((id, i) => [id, i]));
+    const adjacency = graph.nodeIds.map(() => new Map());
+
+    graph.edgeData.forEach(({ source, target }) => {
+        const u = index.get(source);
+        const v = index.get(target);
+        adjacency[u].set(v, (adjacency[u].get(v) || 0) + 1);
+        adjacency[v].set(u, (adjacency[v].get(u) || 0) + 1);
+    });
+
+    return adjacency;
+}
+
+function weightedDegrees(adjacency) {
+    return adjacency.map(neighbours => {
+        let degree = 0;
+        neighbours.forEach(weight => { degree += weight; });
+        return degree;
+    });
+}
+
+// Phase one: move nodes between neighbouring communities while modularity
+// improves. Returns the community of each node and whether anything moved.
+function moveNodes(adjacency, resolution) {
+    const degrees = weightedDegrees(adjacency);
+    const totalWeight = degrees.reduce((sum, degree) => sum + degree, 0);
+    const community = adjacency.map((_, i) => i);
+    const communityDegree = [...degrees];
+    let moved = false;
+
+    for (let improved = true; improved;) {
+        improved = false;
+
+        adjacency.forEach((neighbours, node) => {
+            const current = community[node];
+            communityDegree[current] -= degrees[node];
+
+            // Edge weight from this node into each neighbouring community
+            const linkWeight = new Map([[current, 0]]);
+            neighbours.forEach((weight, neighbour) => {
+                if (neighbour === node) return;
+                const c = community[neighbour];
+                linkWeight.set(c, (linkWeight.get(c) || 0) + weight);
+            });
+
+            const gain = c => linkWeight.get(c) - resolution * communityDegree[c] * degrees[node] / totalWeight;
+            let best = current;
+            let bestGain = gain(current);
+            linkWeight.forEach((_, c) => {
+                const candidate = gain(c);
+                if (candidate > bestGain + 1e-12) {
+                    best = c;
+                    bestGain = candidate;
+                }
+            });
+
+            community[node] = best;
+            communityDegree[best] += degrees[node];
+            if (best !== current) {
+                improved = true;
+                moved = true;
+            }
+        });
+    }
+
+    return { community, moved };
+}
+
+// Phase two: collapse each community into a single weighted node
+function aggregate(adjacency, community) {
+    const renumber = new Map();
+    community.forEach(c => {
+        if (!renumber.has(c)) renumber.set(c, renumber.size);
+    });
+
+    const merged = Array.from(renumber.keys(), () => new Map());
+    adjacency.forEach((neighbours, node) => {
+        const from = renumber.get(community[node]);
+        neighbours.forEach((weight, neighbour) => {
+            const to = renumber.get(community[neighbour]);
+            merged[from].set(to, (merged[from].get(to) || 0) + weight);
+        });
+    });
+
+    return { adjacency: merged, membership: community.map(c => renumber.get(c)) };
+}
+
+export function modularity(adjacency, community, resolution = 1) {
+    const degrees = weightedDegrees(adjacency);
+    const totalWeight = degrees.reduce((sum, degree) => sum + degree, 0);
+    if (totalWeight === 0) return 0;
+
+    const internal = new Map();
+    const communityDegree = new Map();
+    adjacency.forEach((neighbours, node) => {
+        const c = community[node];
+        communityDegree.set(c, (communityDegree.get(c) || 0) + degrees[node]);
+        neighbours.forEach((weight, neighbour) => {
+            if (community[neighbour] === c) internal.set(c, (internal.get(c) || 0) + weight);
+        });
+    });
+
+    let q = 0;
+    communityDegree.forEach((degree, c) => {
+        q += (internal.get(c) || 0) / totalWeight - resolution * (degree / totalWeight) ** 2;
+    });
+    return q;
+}
+
+// Returns { communities: Map nodeId -> community index (largest first), count, modularity }
+export function detectCommunities(graph, { resolution = 1, maxLevels = 10 } = {}) {
+    const original = buildWeightedAdjacency(graph);
+    let adjacency = original;
+    let membership = graph.nodeIds.map((_, i) => i);
+
+    for (let level = 0; level < maxLevels; level++) {
+        const { community, moved } = moveNodes(adjacency, resolution);
+        if (!moved) break;
+
+        const aggregated = aggregate(adjacency, community);
+        membership = membership.map(c => aggregated.membership[c]);
+        adjacency = aggregated.adjacency;
+    }
+
+    // Number communities by size so index 0 is the largest
+    const sizes = new Map();
+    membership.forEach(c => sizes.set(c, (sizes.get(c) || 0) + 1));
+    const order = new Map(Array.from(sizes.keys())
+        .sort((a, b) => sizes.get(b) - sizes.get(a) || a - b)
+        .map((c, i) => [c, i]));
+
+    const finalMembership = membership.map(c => order.get(c));
+
+    return {
+        communities: new Map(graph.nodeIds.map((id, i) => [id, finalMembership[i]])),
+        count: order.size,
+        modularity: modularity(original, finalMembership, resolution)
+    };
+}
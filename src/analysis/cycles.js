@@ -0,0 +1,77 @@
+// Directed cycle detection with a bounded cycle length.
+//
+// Every simple cycle is reported exactly once: the search only extends a
+// path through nodes ordered after its start node, so each cycle is found
+// from its lowest-ordered node (the same canonical rotation Johnson's
+// algorithm uses). Parallel edges between two nodes count as one hop.
+
+function collapseParallelEdges(graph, nodeId) {
+    const neighbours = new Map();
+
+    graph.outgoing.get(nodeId).forEach(({ edgeId, nodeId: next }) => {
+        if (!neighbours.has(next)) neighbours.set(next, []);
+        neighbours.get(next).push(edgeId);
+    });
+
+    return neighbours;
+}
+
+export function findCycles(graph, { maxLength = 6, maxCycles = 1000 } = {}) {
+    const order = new Map(graph.nodeIds.map((id, index) => [id, index]));
+    const neighbourCache = new Map();
+    const neighboursOf = (nodeId) => {
+        if (!neighbourCache.has(nodeId)) {
+            neighbourCache.set(nodeId, collapseParallelEdges(graph, nodeId));
+        }
+        return neighbourCache.get(nodeId);
+    };
+
+    const cycles = [];
+    let truncated = false;
+
+    // One pass per cycle length, shortest (most blatant) round trips first,
+    // so a truncated list still holds the shortest cycles
+    for (let length = 2; length <= maxLength && !truncated; length++) {
+        for (const start of graph.nodeIds) {
+            if (truncated) break;
+
+            const startOrder = order.get(start);
+            const pathNodes = [start];
+            const pathEdges = [];
+            const onPath = new Set([start]);
+
+            const extend = (nodeId) => {
+                for (const [next, edgeIds] of neighboursOf(nodeId)) {
+                    if (truncated) return;
+
+                    if (next === start && pathNodes.length === length) {
+                        // Only a cycle beyond the cap means some were left out
+                        if (cycles.length >= maxCycles) {
+                            truncated = true;
+                            return;
+                        }
+                        cycles.push({
+                            nodes: [...pathNodes],
+                            edges: [...pathEdges, ...edgeIds].flat(),
+                            length
+                        });
+                    } else if (!onPath.has(next) && order.get(next) > startOrder && pathNodes.length < length) {
+                        pathNodes.push(next);
+                        pathEdges.push(edgeIds);
+                        onPath.add(next);
+
+                        extend(next);
+
+                        onPath.delete(next);
+                        pathEdges.pop();
+                        pathNodes.pop();
+                    }
+                }
+            };
+
+            extend(start);
+        }
+    }
+
+    return { cycles, truncated };
+}
@@ -0,0 +1,83 @@
+// Registry of AML typology detectors.
+//
+// A detector is a plain object:
+//   id, name, icon         - identification for the pattern panel
+//   severity               - 'danger' or 'warning', drives highlight colour
+//   description            - one line shown in the settings dialog
+//   defaults               - threshold options, all numeric
+//   optionLabels           - human readable names for `defaults` keys
+//   requires               - optional list of context flags ('amounts', 'labels')
+//   detect(graph, options, context) - returns a list of findings
+//
+// A finding is { nodes: [ids], edges: [ids], summary: string }, plus
+// `subjects` (ids) when only some of its nodes are what it is about - a
+// hub, not everyone paying into it. Without `subjects` every node is one.
+export class DetectorRegistry {
+    constructor() {
+        this.detectors = new Map();
+        this.options = new Map();
+        this.enabled = new Map();
+    }
+
+    register(detector) {
+        if (this.detectors.has(detector.id)) {
+            throw new Error(`Detector "${detector.id}" is already registered`);
+        }
+
+        this.detectors.set(detector.id, detector);
+        this.options.set(detector.id, { ...detector.defaults });
+        this.enabled.set(detector.id, true);
+        return this;
+    }
+
+    get(id) {
+        return this.detectors.get(id);
+    }
+
+    list() {
+        return Array.from(this.detectors.values());
+    }
+
+    getOptions(id) {
+        return { ...this.options.get(id) };
+    }
+
+    configure(id, options) {
+        if (!this.detectors.has(id)) {
+            throw new Error(`Unknown detector "${id}"`);
+        }
+
+        this.options.set(id, { ...this.options.get(id), ...options });
+    }
+
+    isEnabled(id) {
+        return this.enabled.get(id) === true;
+    }
+
+    setEnabled(id, enabled) {
+        this.enabled.set(id, Boolean(enabled));
+    }
+
+    // Does the loaded data carry what this detector needs?
+    isApplicable(detector, context) {
+        return (detector.requires || []).every(flag => context[flag]);
+    }
+
+    // Run every enabled, applicable detector. `context` holds flags such as
+    // { amounts: true, labels: false } describing the loaded data.
+    run(graph, context = {}) {
+        return this.list()
+            .filter(detector => this.isEnabled(detector.id) && this.isApplicable(detector, context))
+            .map(detector => {
+                const options = this.getOptions(detector.id);
+                const findings = detector.detect(graph, options, context);
+                const limit = options.maxFindings || Infinity;
+
+                return {
+                    detector,
+                    findings: findings.slice(0, limit),
+                    truncated: findings.length > limit || Boolean(findings.truncated)
+                };
+            });
+    }
+}
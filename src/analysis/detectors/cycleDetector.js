@@ -0,0 +1,32 @@
+import { findCycles } from '../cycles.js';
+import { nodeLabel } from '../graph.js';
+
+// Round trips: funds that come back to where they started
+export const cycleDetector = {
+    id: 'cycles',
+    name: 'Circular transactions',
+    icon: '🔁',
+    severity: 'warning',
+    description: 'Directed cycles where value returns to its origin within a few hops',
+    defaults: { maxLength: 6, maxFindings: 1000 },
+    optionLabels: { maxLength: 'Max cycle length (hops)', maxFindings: 'Max cycles reported' },
+
+    detect(graph, options) {
+        const { cycles, truncated } = findCycles(graph, {
+            maxLength: options.maxLength,
+            maxCycles: options.maxFindings
+        });
+
+        const findings = cycles.map(cycle => {
+            const labels = cycle.nodes.map(id => nodeLabel(graph, id));
+            return {
+                nodes: cycle.nodes,
+                edges: cycle.edges,
+                summary: `${[...labels, labels[0]].join(' → ')} (${cycle.length} hops)`
+            };
+        });
+
+        findings.truncated = truncated;
+        return findings;
+    }
+};
@@ -0,0 +1,35 @@
+import { edgeAmount, nodeLabel, predecessors } from '../graph.js';
+
+// Collection hubs: many distinct senders paying into one node
+export const fanInDetector = {
+    id: 'fan-in',
+    name: 'Fan-in hubs',
+    icon: '📥',
+    severity: 'warning',
+    description: 'Nodes receiving from many distinct counterparties',
+    defaults: { minSources: 5, maxFindings: 200 },
+    optionLabels: { minSources: 'Min distinct senders', maxFindings: 'Max hubs reported' },
+
+    detect(graph, options, context = {}) {
+        const findings = [];
+
+        graph.nodeIds.forEach(nodeId => {
+            const sources = predecessors(graph, nodeId);
+            if (sources.size < options.minSources) return;
+
+            const edges = graph.incoming.get(nodeId).map(link => link.edgeId);
+            const total = edges.reduce((sum, edgeId) => sum + edgeAmount(graph, edgeId), 0);
+
+            findings.push({
+                nodes: [nodeId, ...sources],
+                subjects: [nodeId],
+                edges,
+                summary: `${nodeLabel(graph, nodeId)} receives from ${sources.size} senders` +
+                    (context.amounts ? ` (${total.toFixed(2)} total)` : '')
+            });
+        });
+
+        // Biggest hubs first
+        return findings.sort((a, b) => b.nodes.length - a.nodes.length);
+    }
+};
@@ -0,0 +1,35 @@
+import { edgeAmount, nodeLabel, successors } from '../graph.js';
+
+// Distribution hubs: one node paying out to many distinct recipients
+export const fanOutDetector = {
+    id: 'fan-out',
+    name: 'Fan-out hubs',
+    icon: '📤',
+    severity: 'warning',
+    description: 'Nodes sending to many distinct counterparties',
+    defaults: { minTargets: 5, maxFindings: 200 },
+    optionLabels: { minTargets: 'Min distinct recipients', maxFindings: 'Max hubs reported' },
+
+    detect(graph, options, context = {}) {
+        const findings = [];
+
+        graph.nodeIds.forEach(nodeId => {
+            const targets = successors(graph, nodeId);
+            if (targets.size < options.minTargets) return;
+
+            const edges = graph.outgoing.get(nodeId).map(link => link.edgeId);
+            const total = edges.reduce((sum, edgeId) => sum + edgeAmount(graph, edgeId), 0);
+
+            findings.push({
+                nodes: [nodeId, ...targets],
+                subjects: [nodeId],
+                edges,
+                summary: `${nodeLabel(graph, nodeId)} sends to ${targets.size} recipients` +
+                    (context.amounts ? ` (${total.toFixed(2)} total)` : '')
+            });
+        });
+
+        // Biggest hubs first
+        return findings.sort((a, b) => b.nodes.length - a.nodes.length);
+    }
+};
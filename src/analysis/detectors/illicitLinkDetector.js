@@ -0,0 +1,30 @@
+import { nodeLabel } from '../graph.js';
+
+// Direct flows between two transactions already labelled illicit
+export const illicitLinkDetector = {
+    id: 'illicit-links',
+    name: 'Illicit-to-illicit connections',
+    icon: '🔴',
+    severity: 'danger',
+    description: 'Edges whose source and target are both labelled illicit',
+    requires: ['labels'],
+    defaults: { maxFindings: 1000 },
+    optionLabels: { maxFindings: 'Max connections reported' },
+
+    detect(graph) {
+        const isIllicit = (id) => graph.nodeData.get(id).classification === 'illicit';
+        const findings = [];
+
+        graph.edgeData.forEach((edge, edgeId) => {
+            if (isIllicit(edge.source) && isIllicit(edge.target)) {
+                findings.push({
+                    nodes: [edge.source, edge.target],
+                    edges: [edgeId],
+                    summary: `${nodeLabel(graph, edge.source)} → ${nodeLabel(graph, edge.target)}`
+                });
+            }
+        });
+
+        return findings;
+    }
+};
@@ -0,0 +1,22 @@
+import { DetectorRegistry } from './DetectorRegistry.js';
+import { illicitLinkDetector } from './illicitLinkDetector.js';
+import { cycleDetector } from './cycleDetector.js';
+import { fanInDetector } from './fanInDetector.js';
+import { fanOutDetector } from './fanOutDetector.js';
+import { peelChainDetector } from './peelChainDetector.js';
+import { layeringDetector } from './layeringDetector.js';
+import { structuringDetector } from './structuringDetector.js';
+
+export { DetectorRegistry };
+
+// Registry with every built-in typology, in pattern panel order
+export function createDefaultRegistry() {
+    return new DetectorRegistry()
+        .register(illicitLinkDetector)
+        .register(cycleDetector)
+        .register(fanInDetector)
+        .register(fanOutDetector)
+        .register(peelChainDetector)
+        .register(layeringDetector)
+        .register(structuringDetector);
+}
@@ -0,0 +1,83 @@
+import { nodeLabel, predecessors, successors } from '../graph.js';
+
+// Budget on DFS steps from a single start node, so dense regions of
+// low-degree nodes can't stall detection
+const MAX_STEPS_PER_START = 10000;
+
+// Layering: value passed along a long string of intermediaries that each
+// have only a handful of counterparties, putting distance between the
+// origin of funds and where they end up.
+export const layeringDetector = {
+    id: 'layering',
+    name: 'Layering paths',
+    icon: '🪜',
+    severity: 'warning',
+    description: 'Long paths through low-degree pass-through intermediaries',
+    defaults: { minHops: 4, maxHops: 10, maxIntermediaryDegree: 4, maxFindings: 200 },
+    optionLabels: {
+        minHops: 'Min path length (hops)',
+        maxHops: 'Max path length searched',
+        maxIntermediaryDegree: 'Max counterparties per intermediary',
+        maxFindings: 'Max paths reported'
+    },
+
+    detect(graph, options) {
+        const isIntermediary = (nodeId) => {
+            const senders = predecessors(graph, nodeId).size;
+            const recipients = successors(graph, nodeId).size;
+            return senders > 0 && recipients > 0 && senders + recipients <= options.maxIntermediaryDegree;
+        };
+
+        const intermediaries = new Set(graph.nodeIds.filter(isIntermediary));
+        const findings = [];
+
+        graph.nodeIds.forEach(startId => {
+            if (intermediaries.has(startId)) return;
+
+            // Longest path from this origin through intermediaries only
+            let longest = null;
+            let steps = 0;
+            const pathNodes = [startId];
+            const pathEdges = [];
+            const onPath = new Set(pathNodes);
+
+            const extend = (nodeId) => {
+                const canContinue = nodeId === startId || intermediaries.has(nodeId);
+
+                if (canContinue && pathEdges.length < options.maxHops) {
+                    for (const link of graph.outgoing.get(nodeId)) {
+                        if (onPath.has(link.nodeId) || ++steps > MAX_STEPS_PER_START) continue;
+
+                        pathNodes.push(link.nodeId);
+                        pathEdges.push(link.edgeId);
+                        onPath.add(link.nodeId);
+
+                        extend(link.nodeId);
+
+                        onPath.delete(link.nodeId);
+                        pathEdges.pop();
+                        pathNodes.pop();
+                    }
+                }
+
+                if (!longest || pathEdges.length > longest.edges.length) {
+                    longest = { nodes: [...pathNodes], edges: [...pathEdges] };
+                }
+            };
+
+            extend(startId);
+
+            if (longest.edges.length >= options.minHops) {
+                const endId = longest.nodes[longest.nodes.length - 1];
+                findings.push({
+                    ...longest,
+                    summary: `${nodeLabel(graph, startId)} → ${nodeLabel(graph, endId)} ` +
+                        `through ${longest.nodes.length - 2} intermediaries (${longest.edges.length} hops)`
+                });
+            }
+        });
+
+        // Longest paths first
+        return findings.sort((a, b) => b.edges.length - a.edges.length);
+    }
+};
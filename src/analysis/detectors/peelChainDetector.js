@@ -0,0 +1,81 @@
+import { edgeAmount, nodeLabel, predecessors, successors } from '../graph.js';
+
+// Peel chains: a balance hops through fresh addresses, shedding a small
+// "peel" at each hop while the remainder moves on to the next address.
+//
+// Each node with at most `maxOutDegree` recipients continues along its
+// largest outgoing transfer, provided that recipient has no other sender.
+// Following those links from a node nobody continues into gives a chain;
+// every other outgoing transfer on the way is a peel.
+export const peelChainDetector = {
+    id: 'peel-chains',
+    name: 'Peel chains',
+    icon: '🧅',
+    severity: 'danger',
+    description: 'Long single-sender chains that shed small transfers at each hop',
+    defaults: { minHops: 3, minPeels: 2, maxOutDegree: 2, maxFindings: 200 },
+    optionLabels: {
+        minHops: 'Min chain length (hops)',
+        minPeels: 'Min peel transfers',
+        maxOutDegree: 'Max recipients per hop',
+        maxFindings: 'Max chains reported'
+    },
+
+    detect(graph, options, context = {}) {
+        const next = new Map();
+        const peels = new Map();
+
+        graph.nodeIds.forEach(nodeId => {
+            const outgoing = graph.outgoing.get(nodeId);
+            const recipients = successors(graph, nodeId).size;
+            if (recipients === 0 || recipients > options.maxOutDegree) return;
+
+            const main = outgoing.reduce((best, link) =>
+                edgeAmount(graph, link.edgeId) > edgeAmount(graph, best.edgeId) ? link : best
+            );
+            if (predecessors(graph, main.nodeId).size !== 1) return;
+
+            next.set(nodeId, main);
+            peels.set(nodeId, outgoing.filter(link => link.nodeId !== main.nodeId));
+        });
+
+        const continued = new Set(Array.from(next.values(), link => link.nodeId));
+        const findings = [];
+
+        next.forEach((link, startId) => {
+            if (continued.has(startId)) return;
+
+            const chain = [startId];
+            const chainEdges = [];
+            const peelLinks = [];
+            const seen = new Set(chain);
+
+            let current = startId;
+            while (next.has(current) && !seen.has(next.get(current).nodeId)) {
+                const step = next.get(current);
+                chainEdges.push(step.edgeId);
+                peelLinks.push(...peels.get(current));
+                current = step.nodeId;
+                chain.push(current);
+                seen.add(current);
+            }
+
+            const hops = chain.length - 1;
+            if (hops < options.minHops || peelLinks.length < options.minPeels) return;
+
+            const peeled = peelLinks.reduce((sum, peel) => sum + edgeAmount(graph, peel.edgeId), 0);
+
+            findings.push({
+                nodes: [...chain, ...peelLinks.map(peel => peel.nodeId)],
+                subjects: chain,
+                edges: [...chainEdges, ...peelLinks.map(peel => peel.edgeId)],
+                summary: `${nodeLabel(graph, startId)} → … → ${nodeLabel(graph, current)}: ` +
+                    `${hops} hops, ${peelLinks.length} peels` +
+                    (context.amounts ? ` (${peeled.toFixed(2)} peeled off)` : '')
+            });
+        });
+
+        // Longest chains first
+        return findings.sort((a, b) => b.edges.length - a.edges.length);
+    }
+};
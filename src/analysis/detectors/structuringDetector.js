@@ -0,0 +1,51 @@
+import { edgeTransfers, nodeLabel } from '../graph.js';
+
+// Structuring / smurfing: value broken into many transfers that each stay
+// under a threshold, either gathered into one node or split out of one.
+// Aggregated ledger edges contribute each of their transfers.
+export const structuringDetector = {
+    id: 'structuring',
+    name: 'Structuring (smurfing)',
+    icon: '🐜',
+    severity: 'danger',
+    description: 'Many small transfers below a threshold into or out of one node',
+    requires: ['amounts'],
+    defaults: { threshold: 10, minTransfers: 5, maxFindings: 200 },
+    optionLabels: {
+        threshold: 'Small transfer threshold',
+        minTransfers: 'Min small transfers',
+        maxFindings: 'Max nodes reported'
+    },
+
+    detect(graph, options) {
+        const smallAmounts = (edgeId) => edgeTransfers(graph, edgeId)
+            .map(transfer => Number(transfer.amount))
+            .filter(amount => amount > 0 && amount < options.threshold);
+
+        const findings = [];
+
+        graph.nodeIds.forEach(nodeId => {
+            [['incoming', 'into'], ['outgoing', 'out of']].forEach(([direction, preposition]) => {
+                const small = graph[direction].get(nodeId)
+                    .map(link => ({ ...link, amounts: smallAmounts(link.edgeId) }))
+                    .filter(link => link.amounts.length > 0);
+                const amounts = small.flatMap(link => link.amounts);
+                if (amounts.length < options.minTransfers) return;
+
+                const total = amounts.reduce((sum, amount) => sum + amount, 0);
+
+                findings.push({
+                    nodes: [nodeId, ...new Set(small.map(link => link.nodeId))],
+                    subjects: [nodeId],
+                    edges: small.map(link => link.edgeId),
+                    transfers: amounts.length,
+                    summary: `${amounts.length} transfers under ${options.threshold} ${preposition} ` +
+                        `${nodeLabel(graph, nodeId)} (${total.toFixed(2)} total)`
+                });
+            });
+        });
+
+        // Most transfers first
+        return findings.sort((a, b) => b.transfers - a.transfers);
+    }
+};
@@ -0,0 +1,66 @@
+// Plain adjacency view of a graph, independent of Cytoscape and the DOM,
+// so the analysis modules can run against any element source.
+
+// Build from Cytoscape-style element definitions ({ data: { id, source, target } })
+export function buildGraph(nodes, edges) {
+    const graph = {
+        nodeIds: [],
+        nodeData: new Map(),
+        edgeData: new Map(),
+        outgoing: new Map(),
+        incoming: new Map()
+    };
+
+    nodes.forEach(node => {
+        const data = node.data || node;
+        graph.nodeIds.push(data.id);
+        graph.nodeData.set(data.id, data);
+        graph.outgoing.set(data.id, []);
+        graph.incoming.set(data.id, []);
+    });
+
+    edges.forEach(edge => {
+        const data = edge.data || edge;
+        if (!graph.outgoing.has(data.source) || !graph.incoming.has(data.target)) return;
+
+        graph.edgeData.set(data.id, data);
+        graph.outgoing.get(data.source).push({ edgeId: data.id, nodeId: data.target });
+        graph.incoming.get(data.target).push({ edgeId: data.id, nodeId: data.source });
+    });
+
+    return graph;
+}
+
+// Build from a live Cytoscape instance (or any collection with nodes()/edges())
+export function graphFromCytoscape(collection) {
+    return buildGraph(
+        collection.nodes().map(node => ({ data: node.data() })),
+        collection.edges().map(edge => ({ data: edge.data() }))
+    );
+}
+
+export function successors(graph, nodeId) {
+    return new Set(graph.outgoing.get(nodeId).map(link => link.nodeId));
+}
+
+export function predecessors(graph, nodeId) {
+    return new Set(graph.incoming.get(nodeId).map(link => link.nodeId));
+}
+
+// Transfer value of an edge; edges without an amount count as 0
+export function edgeAmount(graph, edgeId) {
+    const amount = Number(graph.edgeData.get(edgeId).amount);
+    return isNaN(amount) ? 0 : amount;
+}
+
+// Individual transfers behind an edge: ledger edges aggregate several
+// ({ amount, timestamp }), any other edge is a single transfer
+export function edgeTransfers(graph, edgeId) {
+    const data = graph.edgeData.get(edgeId);
+    return Array.isArray(data.transfers) ? data.transfers : [{ amount: edgeAmount(graph, edgeId), timestamp: data.timestamp }];
+}
+
+export function nodeLabel(graph, nodeId) {
+    const data = graph.nodeData.get(nodeId);
+    return (data && data.label) || nodeId;
+}
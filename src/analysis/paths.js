@@ -0,0 +1,232 @@
+// Directed path tracing between two nodes: shortest path, all simple paths
+// up to a hop limit, and maximum flow over edge amounts.
+//
+// Paths are node sequences; parallel edges between two consecutive nodes
+// count as one hop and are all reported in `edges`.
+
+import { edgeAmount } from './graph.js';
+
+// next node id -> edge ids, for the outgoing edges of one node
+function linksByNeighbour(graph, nodeId) {
+    const neighbours = new Map();
+
+    graph.outgoing.get(nodeId).forEach(({ edgeId, nodeId: next }) => {
+        if (!neighbours.has(next)) neighbours.set(next, []);
+        neighbours.get(next).push(edgeId);
+    });
+
+    return neighbours;
+}
+
+function assertEndpoints(graph, source, target) {
+    [source, target].forEach(id => {
+        if (!graph.nodeData.has(id)) {
+            throw new Error(`Unknown node "${id}"`);
+        }
+    });
+    if (source === target) {
+        throw new Error('Source and destination must be different nodes');
+    }
+}
+
+// Breadth-first search; returns { nodes, edges, length } or null
+export function shortestPath(graph, source, target) {
+    assertEndpoints(graph, source, target);
+
+    const previous = new Map([[source, null]]);
+    const queue = [source];
+
+    for (let head = 0; head < queue.length && !previous.has(target); head++) {
+        const nodeId = queue[head];
+        for (const [next, edgeIds] of linksByNeighbour(graph, nodeId)) {
+            if (previous.has(next)) continue;
+            previous.set(next, { nodeId, edgeIds });
+            queue.push(next);
+        }
+    }
+
+    if (!previous.has(target)) return null;
+
+    const nodes = [target];
+    const edges = [];
+    for (let step = previous.get(target); step; step = previous.get(step.nodeId)) {
+        nodes.unshift(step.nodeId);
+        edges.unshift(...step.edgeIds);
+    }
+
+    return { nodes, edges, length: nodes.length - 1 };
+}
+
+// Simple paths, shortest first: one depth-first pass per hop count, so a
+// list cut off at `maxPaths` still holds the shortest routes
+export function findSimplePaths(graph, source, target, { maxHops = 6, maxPaths = 200 } = {}) {
+    assertEndpoints(graph, source, target);
+
+    const neighbourCache = new Map();
+    const neighboursOf = (nodeId) => {
+        if (!neighbourCache.has(nodeId)) {
+            neighbourCache.set(nodeId, linksByNeighbour(graph, nodeId));
+        }
+        return neighbourCache.get(nodeId);
+    };
+
+    const paths = [];
+    let truncated = false;
+
+    for (let length = 1; length <= maxHops && !truncated; length++) {
+        const pathNodes = [source];
+        const pathEdges = [];
+        const onPath = new Set([source]);
+
+        const extend = (nodeId) => {
+            for (const [next, edgeIds] of neighboursOf(nodeId)) {
+                if (truncated) return;
+
+                if (next === target) {
+                    if (pathNodes.length !== length) continue;
+                    // Only a path beyond the cap means some were left out
+                    if (paths.length >= maxPaths) {
+                        truncated = true;
+                        return;
+                    }
+                    paths.push({
+                        nodes: [...pathNodes, target],
+                        edges: [...pathEdges, edgeIds].flat(),
+                        length
+                    });
+                } else if (!onPath.has(next) && pathNodes.length < length) {
+                    pathNodes.push(next);
+                    pathEdges.push(edgeIds);
+                    onPath.add(next);
+
+                    extend(next);
+
+                    onPath.delete(next);
+                    pathEdges.pop();
+                    pathNodes.pop();
+                }
+            }
+        };
+
+        extend(source);
+    }
+
+    return { paths, truncated };
+}
+
+// Splits an edge flow into source -> target paths: follow edges still
+// carrying flow forward from the source and take the bottleneck off each
+// path found. Flow circling back to a node already on the walk moves
+// nothing towards the target and is cancelled.
+function decomposeFlow(graph, source, target, flows) {
+    const remaining = new Map(flows);
+    const paths = [];
+
+    const nextEdge = nodeId => graph.outgoing.get(nodeId)
+        .find(({ edgeId }) => (remaining.get(edgeId) || 0) > 1e-12);
+    const take = (edgeIds, amount) => edgeIds.forEach(edgeId => {
+        const left = remaining.get(edgeId) - amount;
+        if (left > 1e-12) remaining.set(edgeId, left);
+        else remaining.delete(edgeId);
+    });
+
+    while (nextEdge(source)) {
+        const nodes = [source];
+        const edges = [];
+
+        while (nodes[nodes.length - 1] !== target) {
+            const link = nextEdge(nodes[nodes.length - 1]);
+            if (!link) break;
+
+            const seenAt = nodes.indexOf(link.nodeId);
+            if (seenAt === -1) {
+                nodes.push(link.nodeId);
+                edges.push(link.edgeId);
+                continue;
+            }
+
+            // A cycle: cancel its flow and carry on from where it started
+            const cycle = [...edges.slice(seenAt), link.edgeId];
+            take(cycle, Math.min(...cycle.map(edgeId => remaining.get(edgeId))));
+            nodes.length = seenAt + 1;
+            edges.length = seenAt;
+        }
+
+        // Rounding can strand a sliver of flow short of the target
+        if (nodes[nodes.length - 1] !== target) {
+            take(edges, Math.min(...edges.map(edgeId => remaining.get(edgeId))));
+            continue;
+        }
+
+        const amount = Math.min(...edges.map(edgeId => remaining.get(edgeId)));
+        take(edges, amount);
+        paths.push({ nodes, edges, amount });
+    }
+
+    return paths.sort((a, b) => b.amount - a.amount);
+}
+
+// Edmonds-Karp over edge amounts. The augmenting paths may step backwards
+// along an edge to reroute earlier flow, so the paths shown are taken from
+// the final flow instead, each moving its amount in transfer direction.
+// Returns { value, flows: Map edgeId -> amount, paths: [{ nodes, edges, amount }] }
+export function maxFlow(graph, source, target) {
+    assertEndpoints(graph, source, target);
+
+    const flows = new Map();
+    const capacity = edgeId => edgeAmount(graph, edgeId);
+    const flowOn = edgeId => flows.get(edgeId) || 0;
+    let value = 0;
+
+    for (;;) {
+        // BFS in the residual graph: forward along unsaturated edges,
+        // backward along edges already carrying flow
+        const previous = new Map([[source, null]]);
+        const queue = [source];
+
+        for (let head = 0; head < queue.length && !previous.has(target); head++) {
+            const nodeId = queue[head];
+
+            graph.outgoing.get(nodeId).forEach(({ edgeId, nodeId: next }) => {
+                if (!previous.has(next) && capacity(edgeId) - flowOn(edgeId) > 1e-12) {
+                    previous.set(next, { nodeId, edgeId, forward: true });
+                    queue.push(next);
+                }
+            });
+            graph.incoming.get(nodeId).forEach(({ edgeId, nodeId: next }) => {
+                if (!previous.has(next) && flowOn(edgeId) > 1e-12) {
+                    previous.set(next, { nodeId, edgeId, forward: false });
+                    queue.push(next);
+                }
+            });
+        }
+
+        if (!previous.has(target)) break;
+
+        const steps = [];
+        for (let step = previous.get(target); step; step = previous.get(step.nodeId)) {
+            steps.unshift(step);
+        }
+
+        const bottleneck = Math.min(...steps.map(({ edgeId, forward }) =>
+            (forward ? capacity(edgeId) - flowOn(edgeId) : flowOn(edgeId))));
+
+        steps.forEach(({ edgeId, forward }) => {
+            flows.set(edgeId, flowOn(edgeId) + (forward ? bottleneck : -bottleneck));
+        });
+
+        value += bottleneck;
+    }
+
+    // Drop edges whose flow was fully cancelled by a later path
+    flows.forEach((amount, edgeId) => {
+        if (amount <= 1e-12) flows.delete(edgeId);
+    });
+
+    // Only what the paths carry actually moves value to the target
+    const paths = decomposeFlow(graph, source, target, flows);
+    flows.clear();
+    paths.forEach(({ edges, amount }) => edges.forEach(edgeId => flows.set(edgeId, flowOn(edgeId) + amount)));
+
+    return { value, flows, paths };
+}
@@ -0,0 +1,200 @@
+// Search query language.
+//
+//   classification:illicit timestep:10..20 degree>3 f_42>0.5 risk>=0.7
+//   (type:exchange OR tag:mixer) AND NOT flagged:true
+//   label:"Wallet A"   address:1A1z*   wallet
+//
+// Terms next to each other are ANDed; OR binds looser than AND, NOT tighter.
+// A term is `field<op>value` with op one of : = != > >= < <=; `:` and `=`
+// also take a `lo..hi` range and `*` wildcards. A bare word matches as a
+// substring of whatever the caller treats as searchable text.
+//
+// parseQuery() turns the text into a tree; matchesQuery() evaluates it
+// against a resolver: resolve(field) returns the field's value (number,
+// string, array or undefined), resolve(null) the searchable strings.
+
+const TERM_PATTERN = /^([A-Za-z_][\w.]*)(>=|<=|!=|>|<|:|=)(.*)$/;
+const TOKEN_PATTERN = /\s*(\(|\)|[^\s()"]*"[^"]*"|[^\s()]+)/y;
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+function tokenize(text) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < text.length) {
+        const match = TOKEN_PATTERN.exec(text);
+        if (!match) break; // only trailing whitespace left
+        tokens.push(match[1]);
+    }
+
+    return tokens;
+}
+
+function unquote(value) {
+    return value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+}
+
+function parseTerm(token) {
+    const match = TERM_PATTERN.exec(token);
+    if (!match) {
+        return { type: 'text', value: unquote(token).toLowerCase() };
+    }
+
+    const [, field, op, rawValue] = match;
+    const value = unquote(rawValue);
+    if (value === '') {
+        throw new Error(`Missing value for "${field}${op}"`);
+    }
+
+    if ((op === ':' || op === '=') && /^-?[\d.]+\.\.-?[\d.]+$/.test(value)) {
+        const [min, max] = value.split('..').map(Number);
+        if (isNaN(min) || isNaN(max)) {
+            throw new Error(`Invalid range "${value}"`);
+        }
+        return { type: 'range', field, min, max };
+    }
+
+    if (['>', '>=', '<', '<='].includes(op) && isNaN(Number(value))) {
+        throw new Error(`"${field}${op}" needs a number, got "${value}"`);
+    }
+
+    return { type: 'compare', field, op, value };
+}
+
+export function parseQuery(text) {
+    const tokens = tokenize(text);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isKeyword = (token, keyword) => token !== undefined && token.toUpperCase() === keyword;
+
+    const parseOr = () => {
+        const terms = [parseAnd()];
+        while (isKeyword(peek(), 'OR')) {
+            position++;
+            terms.push(parseAnd());
+        }
+        return terms.length === 1 ? terms[0] : { type: 'or', terms };
+    };
+
+    const parseAnd = () => {
+        const terms = [parseNot()];
+        for (;;) {
+            if (isKeyword(peek(), 'AND')) {
+                position++;
+            } else if (peek() === undefined || peek() === ')' || isKeyword(peek(), 'OR')) {
+                break;
+            }
+            terms.push(parseNot());
+        }
+        return terms.length === 1 ? terms[0] : { type: 'and', terms };
+    };
+
+    const parseNot = () => {
+        if (isKeyword(peek(), 'NOT')) {
+            position++;
+            return { type: 'not', term: parseNot() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (token === undefined) {
+            throw new Error('Query ends unexpectedly');
+        }
+        if (token === ')') {
+            throw new Error('Unexpected ")"');
+        }
+        if (KEYWORDS.includes(token.toUpperCase())) {
+            throw new Error(`Unexpected ${token.toUpperCase()}`);
+        }
+
+        position++;
+        if (token === '(') {
+            const inner = parseOr();
+            if (peek() !== ')') {
+                throw new Error('Missing ")"');
+            }
+            position++;
+            return inner;
+        }
+        return parseTerm(token);
+    };
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const tree = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position]}"`);
+    }
+    return tree;
+}
+
+function wildcardPattern(value) {
+    const escaped = value.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+// Case-insensitive equality, with * wildcards; arrays match on any element
+function equals(actual, expected) {
+    if (Array.isArray(actual)) {
+        return actual.some(item => equals(item, expected));
+    }
+    if (actual === undefined || actual === null) {
+        return false;
+    }
+    if (typeof actual === 'number' && !isNaN(Number(expected))) {
+        return actual === Number(expected);
+    }
+    if (expected.includes('*')) {
+        return wildcardPattern(expected).test(String(actual));
+    }
+    return String(actual).toLowerCase() === expected.toLowerCase();
+}
+
+function compare(actual, op, expected) {
+    switch (op) {
+        case ':':
+        case '=':
+            return equals(actual, expected);
+        case '!=':
+            return !equals(actual, expected);
+        default: {
+            const number = Number(actual);
+            if (actual === undefined || actual === null || actual === '' || isNaN(number)) return false;
+            const target = Number(expected);
+            if (op === '>') return number > target;
+            if (op === '>=') return number >= target;
+            if (op === '<') return number < target;
+            return number <= target;
+        }
+    }
+}
+
+export function matchesQuery(tree, resolve) {
+    if (!tree) return true;
+
+    switch (tree.type) {
+        case 'and':
+            return tree.terms.every(term => matchesQuery(term, resolve));
+        case 'or':
+            return tree.terms.some(term => matchesQuery(term, resolve));
+        case 'not':
+            return !matchesQuery(tree.term, resolve);
+        case 'range': {
+            const value = resolve(tree.field);
+            const number = Number(value);
+            return value !== undefined && value !== null && value !== '' &&
+                !isNaN(number) && number >= tree.min && number <= tree.max;
+        }
+        case 'compare':
+            return compare(resolve(tree.field), tree.op, tree.value);
+        case 'text':
+            return resolve(null).some(text => text.toLowerCase().includes(tree.value));
+        default:
+            throw new Error(`Unknown query node "${tree.type}"`);
+    }
+}
@@ -0,0 +1,110 @@
+// Taint / risk propagation from seed nodes along edge direction.
+//
+// Every model assigns seeds a score of 1 and pushes exposure downstream
+// for at most `maxHops` hops:
+//   poison  - anything reachable from a seed is fully tainted
+//   haircut - a node's score is the amount-weighted share of its incoming
+//             value that came from risky senders
+//   decay   - exposure is multiplied by `decay` (in (0, 1]) at every hop,
+//             keeping the strongest path
+
+import { edgeAmount } from './graph.js';
+
+export const RISK_MODELS = {
+    poison: 'Poison (full taint)',
+    haircut: 'Haircut (by amount)',
+    decay: 'Decay per hop'
+};
+
+function propagatePoison(graph, seeds, { maxHops }) {
+    const scores = new Map(seeds.map(id => [id, 1]));
+    let frontier = seeds;
+
+    for (let hop = 0; hop < maxHops && frontier.length > 0; hop++) {
+        const next = [];
+        frontier.forEach(nodeId => {
+            graph.outgoing.get(nodeId).forEach(link => {
+                if (!scores.has(link.nodeId)) {
+                    scores.set(link.nodeId, 1);
+                    next.push(link.nodeId);
+                }
+            });
+        });
+        frontier = next;
+    }
+
+    return scores;
+}
+
+function propagateDecay(graph, seeds, { maxHops, decay }) {
+    const scores = new Map(seeds.map(id => [id, 1]));
+    let frontier = seeds;
+
+    for (let hop = 0; hop < maxHops && frontier.length > 0; hop++) {
+        const next = new Set();
+        frontier.forEach(nodeId => {
+            const exposure = scores.get(nodeId) * decay;
+            graph.outgoing.get(nodeId).forEach(link => {
+                if (exposure > (scores.get(link.nodeId) || 0)) {
+                    scores.set(link.nodeId, exposure);
+                    next.add(link.nodeId);
+                }
+            });
+        });
+        frontier = Array.from(next);
+    }
+
+    return scores;
+}
+
+// Synchronous relaxation: each round recomputes every downstream node from
+// the previous round's scores, so risk travels one hop per round
+function propagateHaircut(graph, seeds, { maxHops }) {
+    const seedSet = new Set(seeds);
+    let scores = new Map(seeds.map(id => [id, 1]));
+
+    for (let hop = 0; hop < maxHops; hop++) {
+        const next = new Map(seeds.map(id => [id, 1]));
+        let changed = false;
+
+        graph.nodeIds.forEach(nodeId => {
+            if (seedSet.has(nodeId)) return;
+
+            let totalIn = 0;
+            let riskyIn = 0;
+            graph.incoming.get(nodeId).forEach(link => {
+                const amount = edgeAmount(graph, link.edgeId);
+                totalIn += amount;
+                riskyIn += amount * (scores.get(link.nodeId) || 0);
+            });
+
+            const score = totalIn > 0 ? riskyIn / totalIn : 0;
+            if (score > 0) {
+                next.set(nodeId, score);
+            }
+            if (Math.abs(score - (scores.get(nodeId) || 0)) > 1e-9) {
+                changed = true;
+            }
+        });
+
+        scores = next;
+        if (!changed) break;
+    }
+
+    return scores;
+}
+
+// Returns a Map of node id -> risk score in (0, 1]; unexposed nodes are absent
+export function propagateRisk(graph, seeds, { model = 'decay', maxHops = 5, decay = 0.5 } = {}) {
+    const validSeeds = seeds.filter(id => graph.outgoing.has(id));
+    if (model === 'decay' && !(decay > 0 && decay <= 1)) {
+        throw new Error(`Decay must be above 0 and at most 1, got ${decay}`);
+    }
+
+    switch (model) {
+        case 'poison': return propagatePoison(graph, validSeeds, { maxHops });
+        case 'haircut': return propagateHaircut(graph, validSeeds, { maxHops });
+        case 'decay': return propagateDecay(graph, validSeeds, { maxHops, decay });
+        default: throw new Error(`Unknown risk model "${model}"`);
+    }
+}
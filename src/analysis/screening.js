@@ -0,0 +1,96 @@
+// Sanctions / watchlist screening.
+//
+// A watchlist is { name, entries: [{ value, note }] }, read from a CSV or
+// plain list: one identifier (address or transaction id) per row, in a
+// column named like `address` or the first column, with any other columns
+// kept as the entry's note (e.g. the sanctioned party or programme).
+//
+// screenGraph() matches every node's identifiers against the lists and
+// finds how many hops (ignoring direction) each other node is from the
+// nearest listed one.
+import Papa from 'papaparse';
+
+const VALUE_COLUMNS = ['address', 'addresses', 'txid', 'tx_id', 'transaction', 'identifier', 'value', 'id'];
+
+// Base58 addresses are case-sensitive; bech32, hex transaction ids and
+// 0x addresses are not
+export function normalizeIdentifier(value) {
+    const trimmed = String(value).trim();
+    return /^(0x[0-9a-f]+|[0-9a-f]{64}|(bc|tb|bcrt)1[0-9a-z]+)$/i.test(trimmed) ? trimmed.toLowerCase() : trimmed;
+}
+
+export function parseWatchlist(text, name) {
+    const rows = Papa.parse(text.trim(), { header: false, dynamicTyping: false, skipEmptyLines: true }).data
+        .filter(row => !String(row[0]).trim().startsWith('#'));
+    if (rows.length === 0) {
+        throw new Error(`${name} has no entries`);
+    }
+
+    const header = rows[0].map(cell => String(cell).trim().toLowerCase());
+    const valueColumn = header.findIndex(cell => VALUE_COLUMNS.includes(cell));
+    const hasHeader = valueColumn !== -1;
+    const column = hasHeader ? valueColumn : 0;
+
+    const entries = (hasHeader ? rows.slice(1) : rows)
+        .map(row => ({
+            value: String(row[column] === undefined ? '' : row[column]).trim(),
+            note: row
+                .map((cell, i) => ({ cell: String(cell).trim(), i }))
+                .filter(({ cell, i }) => i !== column && cell !== '')
+                .map(({ cell, i }) => (hasHeader && rows[0][i] ? `${String(rows[0][i]).trim()}: ${cell}` : cell))
+                .join(' · ')
+        }))
+        .filter(entry => entry.value !== '');
+
+    if (entries.length === 0) {
+        throw new Error(`${name} has no entries`);
+    }
+    return { name, entries };
+}
+
+// Identifiers a node can be listed under: its address, transaction id and,
+// for clustered entities, every member address
+function nodeIdentifiers(data) {
+    const identifiers = [data.id, data.address, data.txId, ...(Array.isArray(data.addresses) ? data.addresses : [])];
+    return Array.from(new Set(identifiers.filter(value => value !== undefined && value !== null && value !== '')
+        .map(normalizeIdentifier)));
+}
+
+// Returns { matches: Map nodeId -> [{ list, value, note }],
+//           exposure: Map nodeId -> { hops, via } } for unlisted nodes
+// within `maxHops` of a listed one (`via` is the nearest listed node)
+export function screenGraph(graph, watchlists, { maxHops = 2 } = {}) {
+    const index = new Map();
+    watchlists.forEach(list => list.entries.forEach(entry => {
+        const key = normalizeIdentifier(entry.value);
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push({ list: list.name, value: entry.value, note: entry.note });
+    }));
+
+    const matches = new Map();
+    graph.nodeIds.forEach(nodeId => {
+        const hits = nodeIdentifiers(graph.nodeData.get(nodeId)).flatMap(identifier => index.get(identifier) || []);
+        if (hits.length > 0) matches.set(nodeId, hits);
+    });
+
+    // Multi-source breadth-first search out from every listed node
+    const exposure = new Map();
+    const reached = new Map(Array.from(matches.keys(), nodeId => [nodeId, nodeId]));
+    let frontier = Array.from(matches.keys());
+
+    for (let hops = 1; hops <= maxHops && frontier.length > 0; hops++) {
+        const next = [];
+        frontier.forEach(nodeId => {
+            const via = reached.get(nodeId);
+            [...graph.outgoing.get(nodeId), ...graph.incoming.get(nodeId)].forEach(link => {
+                if (reached.has(link.nodeId)) return;
+                reached.set(link.nodeId, via);
+                exposure.set(link.nodeId, { hops, via });
+                next.push(link.nodeId);
+            });
+        });
+        frontier = next;
+    }
+
+    return { matches, exposure };
+}
@@ -0,0 +1,154 @@
+// Dataset input shared by the command-line tools: the Elliptic CSVs or a
+// transfer ledger from disk, loaded through the same core as the app.
+import fs from 'fs';
+import path from 'path';
+import Papa from 'papaparse';
+import { readEllipticDataset, readLedger } from '../core/datasets.js';
+import { EllipticDataLoader } from '../data/EllipticDataLoader.js';
+import { createDefaultRegistry } from '../analysis/detectors/index.js';
+
+export const INPUT_USAGE = `Input (the Elliptic CSVs or one ledger):
+  --features <file>         Elliptic transaction features CSV
+  --classes <file>          Elliptic transaction classes CSV
+  --edges <file>            Elliptic transaction edge list CSV
+  --wallet-features <file>  Elliptic++ wallet features CSV (optional)
+  --wallet-classes <file>   Elliptic++ wallet classes CSV (optional)
+  --addr-tx <file>          Elliptic++ address -> transaction CSV (optional)
+  --tx-addr <file>          Elliptic++ transaction -> address CSV (optional)
+  --addr-addr <file>        Elliptic++ address -> address CSV (optional)
+  --ledger <file>           Transfer ledger, CSV or JSON
+  --mapping <file>          Column mappings as JSON, keyed by file ("features", "ledger"...)
+  --sample <n>              Use an n transaction Elliptic sample instead of the whole graph
+  --detectors <ids>         Comma-separated detector ids to run (default: all)
+`;
+
+// CLI option per Elliptic file key
+const ELLIPTIC_OPTIONS = {
+    features: 'features',
+    classes: 'classes',
+    edges: 'edges',
+    walletFeatures: 'wallet-features',
+    walletClasses: 'wallet-classes',
+    addrTx: 'addr-tx',
+    txAddr: 'tx-addr',
+    addrAddr: 'addr-addr'
+};
+
+// parseArgs definitions for the options above
+export const INPUT_OPTIONS = Object.fromEntries(
+    [...Object.values(ELLIPTIC_OPTIONS), 'ledger', 'mapping', 'sample', 'detectors'].map(name => [name, { type: 'string' }])
+);
+
+// Bad arguments, reported with the usage text
+export class UsageError extends Error {}
+
+// Streams a CSV from disk row by row, like the dataset worker does with a File
+function parseFile(file, key, onRow) {
+    return new Promise((resolve, reject) => {
+        let rows = 0;
+
+        Papa.parse(fs.createReadStream(file.path), {
+            header: false,
+            dynamicTyping: false,
+            skipEmptyLines: true,
+            delimiter: ',',
+            chunk: (results) => {
+                results.data.forEach(onRow);
+                rows += results.data.length;
+            },
+            complete: () => {
+                console.error(`📄 Read ${rows.toLocaleString()} rows from ${file.name}`);
+                resolve(rows);
+            },
+            error: (error) => reject(new Error(`Failed to parse ${file.name}: ${error.message}`))
+        });
+    });
+}
+
+function inputFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new UsageError(`File not found: ${filePath}`);
+    }
+    return { name: path.basename(filePath), path: filePath };
+}
+
+async function loadElliptic(options, mapping) {
+    const files = {};
+    Object.entries(ELLIPTIC_OPTIONS).forEach(([key, name]) => {
+        if (options[name]) files[key] = inputFile(options[name]);
+    });
+
+    const loader = new EllipticDataLoader();
+    loader.setDataset(await readEllipticDataset(files, { mapping, parseFile }));
+
+    if (options.sample) {
+        const size = parseInt(options.sample, 10);
+        if (!(size > 0)) {
+            throw new UsageError('--sample must be a positive number');
+        }
+        return loader.loadSampleSubset(size);
+    }
+
+    // The whole graph; raw feature vectors aren't needed for detection
+    return loader.processDataForVisualization(null, { features: false });
+}
+
+function loadLedger(options, mapping) {
+    const file = inputFile(options.ledger);
+    const ledger = readLedger(fs.readFileSync(file.path, 'utf8'), file.name, mapping.ledger);
+    console.error(`📒 Ledger: ${ledger.statistics.transfers} transfers between ${ledger.statistics.wallets} wallets`);
+    return ledger;
+}
+
+// Loads whichever input the options name. Returns { dataset, input: [file
+// names], elements: { nodes, edges } }.
+export async function loadInput(options) {
+    const elliptic = ['features', 'classes', 'edges'].filter(name => options[name]);
+    if (options.ledger ? elliptic.length > 0 : elliptic.length < 3) {
+        throw new UsageError('Pass either --features, --classes and --edges, or --ledger');
+    }
+
+    const mapping = options.mapping ? JSON.parse(fs.readFileSync(options.mapping, 'utf8')) : {};
+    const input = [...Object.values(ELLIPTIC_OPTIONS), 'ledger']
+        .filter(name => options[name])
+        .map(name => path.basename(options[name]));
+
+    return {
+        dataset: options.ledger ? 'ledger' : 'elliptic',
+        input,
+        elements: options.ledger ? loadLedger(options, mapping) : await loadElliptic(options, mapping)
+    };
+}
+
+// Default registry, narrowed to the comma-separated ids in `--detectors`
+export function createRegistry(detectorIds) {
+    const registry = createDefaultRegistry();
+    if (!detectorIds) return registry;
+
+    const selected = detectorIds.split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = selected.filter(id => !registry.get(id));
+    if (unknown.length > 0) {
+        const known = registry.list().map(detector => detector.id).join(', ');
+        throw new UsageError(`Unknown detector(s): ${unknown.join(', ')} (available: ${known})`);
+    }
+
+    registry.list().forEach(detector => registry.setEnabled(detector.id, selected.includes(detector.id)));
+    return registry;
+}
+
+// Prints a failed run's error (with the rows behind a validation failure)
+// and sets the exit code: 2 for bad arguments, 1 for anything else
+export function reportFailure(error, usage) {
+    console.error(`❌ ${error.message}`);
+    if (error.validation && error.validation.issues) {
+        error.validation.issues.forEach(issue => {
+            console.error(`   row ${issue.row}${issue.column ? `, column ${issue.column}` : ''}: ${issue.message} (${JSON.stringify(issue.value)})`);
+        });
+    }
+    if (error instanceof UsageError) {
+        console.error(`\n${usage}`);
+        process.exitCode = 2;
+    } else {
+        process.exitCode = 1;
+    }
+}
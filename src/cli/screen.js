@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// Headless screening: loads the Elliptic CSVs (or a transfer ledger), runs
+// the pattern detectors and writes a report of flagged nodes, patterns and
+// statistics as JSON or CSV.
+//
+//   npm run screen -- --features txs_features.csv --classes txs_classes.csv --edges txs_edgelist.csv
+//   npm run screen -- --ledger transfers.csv --format csv --out reports/transfers
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { INPUT_USAGE, INPUT_OPTIONS, UsageError, loadInput, createRegistry, reportFailure } from './inputs.js';
+import { analyseElements } from '../core/analysis.js';
+import {
+    buildScreeningReport, toScreeningJSON, toFlaggedCSV, toPatternsCSV, toStatisticsCSV
+} from '../report/screeningReport.js';
+
+const USAGE = `Usage: crypto-screen [options]
+
+${INPUT_USAGE}
+Output:
+  --format <json|csv>       Report format (default: json)
+  --out <path>              JSON file, or prefix for the CSV files (JSON defaults to stdout)
+  -h, --help                Show this help
+`;
+
+function parseCommandLine(args) {
+    try {
+        return parseArgs({
+            args,
+            options: {
+                ...INPUT_OPTIONS,
+                format: { type: 'string', default: 'json' },
+                out: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }).values;
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+function writeReport(report, format, out) {
+    if (format === 'json') {
+        if (out) {
+            fs.writeFileSync(out, toScreeningJSON(report));
+            console.error(`✅ Report written to ${out}`);
+        } else {
+            process.stdout.write(`${toScreeningJSON(report)}\n`);
+        }
+        return;
+    }
+
+    const tables = {
+        flagged: toFlaggedCSV(report),
+        patterns: toPatternsCSV(report),
+        statistics: toStatisticsCSV(report)
+    };
+    Object.entries(tables).forEach(([name, csv]) => {
+        const file = `${out}-${name}.csv`;
+        fs.writeFileSync(file, csv);
+        console.error(`✅ ${name} written to ${file}`);
+    });
+}
+
+async function main(args) {
+    const options = parseCommandLine(args);
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    if (!['json', 'csv'].includes(options.format)) {
+        throw new UsageError(`Unknown format "${options.format}"`);
+    }
+    if (options.format === 'csv' && !options.out) {
+        throw new UsageError('CSV reports need --out <prefix>');
+    }
+
+    const registry = createRegistry(options.detectors);
+    const { dataset, input, elements } = await loadInput(options);
+
+    console.error(`🔍 Detecting suspicious patterns in ${elements.nodes.length.toLocaleString()} nodes, ${elements.edges.length.toLocaleString()} edges...`);
+    const analysis = analyseElements(elements, { dataset, registry });
+    analysis.results.forEach(({ detector, findings, truncated }) => {
+        console.error(`🚨 ${detector.name}: ${findings.length} found${truncated ? ' (truncated)' : ''}`);
+    });
+
+    writeReport(buildScreeningReport(analysis, { dataset, input }), options.format, options.out);
+}
+
+// The loaders log progress with console.log; keep stdout for the report
+console.log = console.error;
+
+main(process.argv.slice(2)).catch(error => reportFailure(error, USAGE));
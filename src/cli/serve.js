@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+// Local screening API: loads a dataset once, runs detection, watchlist
+// screening and risk propagation, then answers JSON requests from other
+// tools. Every result includes `elements`, so the visualizer's
+// "Open API Result" can show it as a graph.
+//
+//   npm run serve-api -- --features txs_features.csv --classes txs_classes.csv --edges txs_edgelist.csv
+//   curl http://localhost:8787/api/nodes/230425980/risk
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { parseArgs } from 'util';
+import { INPUT_USAGE, INPUT_OPTIONS, UsageError, loadInput, createRegistry, reportFailure } from './inputs.js';
+import { ScreeningService } from '../core/ScreeningService.js';
+import { parseWatchlist } from '../analysis/screening.js';
+import { RISK_MODELS } from '../analysis/riskPropagation.js';
+
+// Where `npm start` serves the visualizer
+const DEFAULT_ORIGIN = 'http://localhost:8080';
+
+const USAGE = `Usage: crypto-screen-api [options]
+
+${INPUT_USAGE}
+Screening:
+  --watchlist <file>        Watchlist CSV whose entries seed risk (repeatable)
+  --risk-model <model>      ${Object.keys(RISK_MODELS).join(', ')} (default: decay)
+  --risk-hops <n>           Hops risk propagates (default: 5)
+  --risk-decay <factor>     Decay per hop for the decay model (default: 0.5)
+
+Server:
+  --port <n>                Port to listen on (default: 8787)
+  --host <host>             Interface to bind (default: 127.0.0.1, local only)
+  --allow-origin <origin>   Web page origin allowed to read results, e.g. where the
+                            visualizer is served (default: ${DEFAULT_ORIGIN}, repeatable)
+  -h, --help                Show this help
+
+Endpoints (GET, JSON):
+  /api                              Dataset, statistics and pattern counts
+  /api/nodes/<id>                   Node lookup by node id, transaction id or address
+  /api/nodes/<id>/neighbourhood     ?hops=1&limit=200
+  /api/nodes/<id>/risk              Risk score, level and what it is based on
+  /api/patterns                     ?detector=<id>&limit=20 findings per detector
+`;
+
+// Largest neighbourhood or pattern listing one request may ask for
+const MAX_LIMIT = 5000;
+
+function parseCommandLine(args) {
+    try {
+        return parseArgs({
+            args,
+            options: {
+                ...INPUT_OPTIONS,
+                watchlist: { type: 'string', multiple: true },
+                'risk-model': { type: 'string', default: 'decay' },
+                'risk-hops': { type: 'string', default: '5' },
+                'risk-decay': { type: 'string', default: '0.5' },
+                port: { type: 'string', default: '8787' },
+                host: { type: 'string', default: '127.0.0.1' },
+                'allow-origin': { type: 'string', multiple: true, default: [DEFAULT_ORIGIN] },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }).values;
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+function riskOptions(options) {
+    const model = options['risk-model'];
+    const maxHops = parseInt(options['risk-hops'], 10);
+    const decay = parseFloat(options['risk-decay']);
+
+    if (!(model in RISK_MODELS)) {
+        throw new UsageError(`Unknown risk model "${model}"`);
+    }
+    if (!(maxHops > 0) || !(decay > 0 && decay <= 1)) {
+        throw new UsageError('--risk-hops must be positive and --risk-decay between 0 and 1');
+    }
+    return { model, maxHops, decay };
+}
+
+function readWatchlists(files = []) {
+    return files.map(file => {
+        if (!fs.existsSync(file)) {
+            throw new UsageError(`File not found: ${file}`);
+        }
+        const watchlist = parseWatchlist(fs.readFileSync(file, 'utf8'), path.basename(file));
+        console.error(`🛡️ Watchlist ${watchlist.name}: ${watchlist.entries.length} entries`);
+        return watchlist;
+    });
+}
+
+// Origins as the browser sends them in the Origin header
+function allowedOrigins(values) {
+    return values.map(value => {
+        try {
+            return new URL(value).origin;
+        } catch (error) {
+            throw new UsageError(`Invalid origin "${value}"`);
+        }
+    });
+}
+
+// Integer query parameter, clamped to 1..MAX_LIMIT
+function countParam(params, name, fallback) {
+    const value = parseInt(params.get(name), 10);
+    return isNaN(value) ? fallback : Math.min(Math.max(value, 1), MAX_LIMIT);
+}
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function route(service, url) {
+    const parts = url.pathname.split('/').filter(Boolean).map(part => {
+        try {
+            return decodeURIComponent(part);
+        } catch (error) {
+            throw new HttpError(400, `Malformed path segment: ${part}`);
+        }
+    });
+    if (parts[0] !== 'api') {
+        throw new HttpError(404, `No such endpoint: ${url.pathname}`);
+    }
+
+    if (parts.length === 1) {
+        return service.summary();
+    }
+
+    if (parts[1] === 'patterns' && parts.length === 2) {
+        const detector = url.searchParams.get('detector');
+        if (detector && !service.results.some(result => result.detector.id === detector)) {
+            throw new HttpError(404, `Detector "${detector}" did not run on this dataset`);
+        }
+        return service.patterns({ detector, limit: countParam(url.searchParams, 'limit', 20) });
+    }
+
+    if (parts[1] === 'nodes' && (parts.length === 3 || parts.length === 4)) {
+        const nodeId = service.resolve(parts[2]);
+        if (!nodeId) {
+            throw new HttpError(404, `Unknown node, transaction or address: ${parts[2]}`);
+        }
+
+        if (parts.length === 3) return service.node(nodeId);
+        if (parts[3] === 'risk') return service.riskOf(nodeId);
+        if (parts[3] === 'neighbourhood') {
+            return {
+                dataset: service.dataset,
+                id: nodeId,
+                ...service.neighbourhood(nodeId, {
+                    hops: countParam(url.searchParams, 'hops', 1),
+                    limit: countParam(url.searchParams, 'limit', 200)
+                })
+            };
+        }
+    }
+
+    throw new HttpError(404, `No such endpoint: ${url.pathname}`);
+}
+
+// Only the allowed origins may read responses: any page open in the
+// analyst's browser can reach a local port, and results are sensitive
+function send(response, status, body, origin = null) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        Vary: 'Origin',
+        ...(origin && {
+            'Access-Control-Allow-Origin': origin,
+            'Access-Control-Allow-Methods': 'GET, OPTIONS'
+        })
+    });
+    response.end(status === 204 ? undefined : JSON.stringify(body));
+}
+
+function createServer(service, origins) {
+    return http.createServer((request, response) => {
+        const origin = origins.includes(request.headers.origin) ? request.headers.origin : null;
+        const reply = (status, body) => send(response, status, body, origin);
+
+        if (request.method === 'OPTIONS') {
+            reply(204);
+            return;
+        }
+        if (request.method !== 'GET') {
+            reply(405, { error: 'Only GET is supported' });
+            return;
+        }
+
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            reply(200, route(service, url));
+            console.error(`➡️ ${request.method} ${request.url} 200`);
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) console.error('❌ Request failed:', error);
+            reply(status, { error: error.message });
+            console.error(`➡️ ${request.method} ${request.url} ${status}`);
+        }
+    });
+}
+
+async function main(args) {
+    const options = parseCommandLine(args);
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const port = parseInt(options.port, 10);
+    if (!(port >= 0 && port < 65536)) {
+        throw new UsageError(`Invalid port "${options.port}"`);
+    }
+    const risk = riskOptions(options);
+    const origins = allowedOrigins(options['allow-origin']);
+    const registry = createRegistry(options.detectors);
+    const watchlists = readWatchlists(options.watchlist);
+    const { dataset, input, elements } = await loadInput(options);
+
+    console.error(`🔍 Analysing ${elements.nodes.length.toLocaleString()} nodes, ${elements.edges.length.toLocaleString()} edges...`);
+    const service = new ScreeningService(elements, { dataset, input, registry, watchlists, risk });
+
+    const server = createServer(service, origins);
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, options.host, resolve);
+    });
+    const address = server.address();
+    console.error(`✅ Screening API listening on http://${options.host}:${address.port}/api (readable from ${origins.join(', ')})`);
+}
+
+// The loaders log progress with console.log; keep stdout free for tooling
+console.log = console.error;
+
+main(process.argv.slice(2)).catch(error => reportFailure(error, USAGE));
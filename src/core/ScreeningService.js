@@ -0,0 +1,214 @@
+// Answers screening questions about one loaded dataset without the DOM:
+// is this transaction/address flagged, what is around it, which patterns
+// and how much risk. Detection, watchlist screening and risk propagation
+// run once up front; every answer carries Cytoscape `elements` so the
+// visualizer can open it as a graph.
+import { analyseElements, findingSubjects } from './analysis.js';
+import { normalizeIdentifier, screenGraph } from '../analysis/screening.js';
+import { propagateRisk } from '../analysis/riskPropagation.js';
+import { nodeLabel } from '../analysis/graph.js';
+
+// Same bands as the risk panel's colours
+export function riskLevel(score) {
+    if (score >= 0.7) return 'high';
+    if (score >= 0.3) return 'medium';
+    if (score > 0) return 'low';
+    return 'none';
+}
+
+export class ScreeningService {
+    // `watchlists` ([{ name, entries }]) seed risk alongside illicit labels;
+    // `risk` holds the propagateRisk options
+    constructor(elements, { dataset, input = [], registry, watchlists = [], risk = {} }) {
+        this.dataset = dataset;
+        this.input = input;
+        this.loadedAt = new Date().toISOString();
+        this.risk = { model: 'decay', maxHops: 5, decay: 0.5, ...risk };
+
+        const { graph, statistics, results, flagged } = analyseElements(elements, { dataset, registry });
+        this.graph = graph;
+        this.statistics = statistics;
+        this.results = results;
+        this.flagged = new Map(flagged.map(node => [node.id, node.reasons]));
+
+        // Lookup by node id, transaction id or address
+        this.identifiers = new Map();
+        graph.nodeData.forEach((data, nodeId) => {
+            [nodeId, data.txId, data.address].forEach(value => {
+                if (value !== undefined && value !== null && value !== '') {
+                    this.identifiers.set(normalizeIdentifier(value), nodeId);
+                }
+            });
+        });
+
+        // Findings per node, as their subject or a counterparty, and the
+        // highlight class per edge, as the pattern panel applies them
+        this.findings = new Map();
+        this.patternClasses = new Map();
+        results.forEach(({ detector, findings }) => {
+            const edgeClass = detector.severity === 'danger' ? 'suspicious-pattern' : 'pattern-warning';
+            findings.forEach((finding, index) => {
+                const subjects = new Set(findingSubjects(finding));
+                finding.nodes.forEach(nodeId => {
+                    if (!this.findings.has(nodeId)) this.findings.set(nodeId, []);
+                    this.findings.get(nodeId).push({
+                        detector: detector.id,
+                        name: detector.name,
+                        severity: detector.severity,
+                        index,
+                        role: subjects.has(nodeId) ? 'subject' : 'counterparty',
+                        summary: finding.summary
+                    });
+                });
+                finding.edges.forEach(edgeId => {
+                    if (this.patternClasses.get(edgeId) !== 'suspicious-pattern') this.patternClasses.set(edgeId, edgeClass);
+                });
+            });
+        });
+
+        this.matches = watchlists.length > 0 ? screenGraph(graph, watchlists, { maxHops: 0 }).matches : new Map();
+
+        // Illicit labels and watchlist hits are the risk seeds
+        const seeds = new Set(this.matches.keys());
+        graph.nodeData.forEach((data, nodeId) => {
+            if (data.classification === 'illicit' || data.suspicious === 'true') seeds.add(nodeId);
+        });
+        this.seeds = seeds;
+        this.scores = seeds.size > 0 ? propagateRisk(graph, Array.from(seeds), this.risk) : new Map();
+
+        console.log(`🛰️ Screening ${graph.nodeIds.length} nodes: ${this.flagged.size} flagged, ${seeds.size} risk seeds, ${this.scores.size - seeds.size} exposed`);
+    }
+
+    // Node id for a node id, transaction id or address; null when unknown
+    resolve(identifier) {
+        return this.identifiers.get(normalizeIdentifier(identifier)) || null;
+    }
+
+    summary() {
+        return {
+            dataset: this.dataset,
+            input: this.input,
+            loadedAt: this.loadedAt,
+            statistics: this.statistics,
+            flagged: this.flagged.size,
+            riskSeeds: this.seeds.size,
+            risk: this.risk,
+            patterns: this.results.map(({ detector, findings, truncated }) => ({
+                detector: detector.id,
+                name: detector.name,
+                severity: detector.severity,
+                count: findings.length,
+                truncated
+            }))
+        };
+    }
+
+    // Cytoscape element definitions for the nodes (and the edges between
+    // them), carrying risk scores and pattern highlights
+    elements(nodeIds) {
+        const included = new Set(nodeIds);
+        const nodes = Array.from(included, nodeId => {
+            const score = this.scores.get(nodeId);
+            return {
+                data: { ...this.graph.nodeData.get(nodeId), ...(score !== undefined && { risk: score }) },
+                ...(score !== undefined && { classes: 'risk-scored' })
+            };
+        });
+
+        const edges = [];
+        included.forEach(nodeId => {
+            this.graph.outgoing.get(nodeId).forEach(({ edgeId, nodeId: target }) => {
+                if (!included.has(target)) return;
+                const patternClass = this.patternClasses.get(edgeId);
+                edges.push({ data: this.graph.edgeData.get(edgeId), ...(patternClass && { classes: patternClass }) });
+            });
+        });
+
+        return { nodes, edges };
+    }
+
+    // Nodes within `hops` (either direction) of a node, nearest first, at
+    // most `limit` of them. Returns { nodes, edges, truncated }.
+    neighbourhood(nodeId, { hops = 1, limit = 200 } = {}) {
+        const reached = new Set([nodeId]);
+        let frontier = [nodeId];
+        let truncated = false;
+
+        for (let hop = 0; hop < hops && frontier.length > 0 && !truncated; hop++) {
+            const next = [];
+            for (const current of frontier) {
+                for (const link of [...this.graph.outgoing.get(current), ...this.graph.incoming.get(current)]) {
+                    if (reached.has(link.nodeId)) continue;
+                    if (reached.size >= limit) {
+                        truncated = true;
+                        break;
+                    }
+                    reached.add(link.nodeId);
+                    next.push(link.nodeId);
+                }
+                if (truncated) break;
+            }
+            frontier = next;
+        }
+
+        return { ...this.elements(reached), truncated };
+    }
+
+    // Everything known about one node, with its direct neighbours as the graph
+    node(nodeId) {
+        const { truncated, ...elements } = this.neighbourhood(nodeId, { hops: 1, limit: 50 });
+
+        return {
+            dataset: this.dataset,
+            id: nodeId,
+            label: nodeLabel(this.graph, nodeId),
+            data: this.graph.nodeData.get(nodeId),
+            degree: {
+                in: this.graph.incoming.get(nodeId).length,
+                out: this.graph.outgoing.get(nodeId).length
+            },
+            flagged: this.flagged.get(nodeId) || [],
+            patterns: this.findings.get(nodeId) || [],
+            watchlists: this.matches.get(nodeId) || [],
+            risk: this.scores.get(nodeId) || 0,
+            elements
+        };
+    }
+
+    // Is this node risky: a risk seed (illicit label or watchlist hit) or
+    // highly exposed to one
+    riskOf(nodeId) {
+        const score = this.scores.get(nodeId) || 0;
+        const seed = this.seeds.has(nodeId);
+        const { truncated, ...elements } = this.neighbourhood(nodeId, { hops: 1, limit: 50 });
+
+        return {
+            dataset: this.dataset,
+            id: nodeId,
+            label: nodeLabel(this.graph, nodeId),
+            score,
+            level: riskLevel(score),
+            risky: seed || score >= 0.7,
+            seed,
+            model: this.risk,
+            flagged: this.flagged.get(nodeId) || [],
+            watchlists: this.matches.get(nodeId) || [],
+            elements
+        };
+    }
+
+    // Detector results, optionally for one detector, with at most `limit`
+    // findings each; the graph is every node in those findings
+    patterns({ detector = null, limit = 20 } = {}) {
+        const results = this.results.filter(result => !detector || result.detector.id === detector);
+        const nodeIds = new Set();
+
+        const patterns = results.map(({ detector: { id, name, severity }, findings, truncated }) => {
+            const shown = findings.slice(0, limit);
+            shown.forEach(finding => finding.nodes.forEach(nodeId => nodeIds.add(nodeId)));
+            return { detector: id, name, severity, count: findings.length, truncated: truncated || shown.length < findings.length, findings: shown };
+        });
+
+        return { dataset: this.dataset, patterns, elements: this.elements(nodeIds) };
+    }
+}
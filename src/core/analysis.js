@@ -0,0 +1,76 @@
+// Pattern detection and statistics without the DOM. The visualizer runs
+// these on the Cytoscape graph (via graphFromCytoscape); the CLI on the
+// elements straight from a loader.
+import { buildGraph } from '../analysis/graph.js';
+import { createDefaultRegistry } from '../analysis/detectors/index.js';
+
+// Datasets whose edges carry transfer amounts
+const AMOUNT_DATASETS = ['sample', 'ledger', 'bitcoin', 'ethereum'];
+
+// Flags describing what a dataset supports, so detectors that need
+// transfer amounts or ground-truth labels only run where they apply
+export function detectionContext(dataset) {
+    return {
+        amounts: AMOUNT_DATASETS.includes(dataset),
+        labels: dataset === 'elliptic'
+    };
+}
+
+// Classification counts for a graph
+export function graphStatistics(graph) {
+    const statistics = { total: graph.nodeIds.length, illicit: 0, licit: 0, unknown: 0, edges: graph.edgeData.size, wallets: 0 };
+
+    graph.nodeData.forEach(data => {
+        if (data.classification in statistics) {
+            statistics[data.classification]++;
+        }
+        if (data.type === 'actor') {
+            statistics.wallets++;
+        }
+    });
+
+    return statistics;
+}
+
+// The nodes a finding is about; the rest are its counterparties
+export function findingSubjects(finding) {
+    return finding.subjects || finding.nodes;
+}
+
+// Nodes worth a reviewer's attention: labelled illicit, or the subject of
+// a detector finding. Returns [{ id, data, reasons: [string] }], most
+// reasons first.
+export function flaggedNodes(graph, results) {
+    const flagged = new Map();
+    const flag = (nodeId, reason) => {
+        if (!graph.nodeData.has(nodeId)) return;
+        if (!flagged.has(nodeId)) {
+            flagged.set(nodeId, { id: nodeId, data: graph.nodeData.get(nodeId), reasons: [] });
+        }
+        const { reasons } = flagged.get(nodeId);
+        if (!reasons.includes(reason)) reasons.push(reason);
+    };
+
+    graph.nodeData.forEach((data, nodeId) => {
+        if (data.classification === 'illicit') flag(nodeId, 'Labelled illicit');
+    });
+    results.forEach(({ detector, findings }) => {
+        findings.forEach(finding => findingSubjects(finding).forEach(nodeId => flag(nodeId, detector.name)));
+    });
+
+    return Array.from(flagged.values()).sort((a, b) => b.reasons.length - a.reasons.length);
+}
+
+// Runs every enabled detector over { nodes, edges } element definitions
+// from a loader. Returns { graph, statistics, results, flagged }.
+export function analyseElements({ nodes, edges }, { dataset, registry = createDefaultRegistry() }) {
+    const graph = buildGraph(nodes, edges);
+    const results = registry.run(graph, detectionContext(dataset));
+
+    return {
+        graph,
+        statistics: graphStatistics(graph),
+        results,
+        flagged: flaggedNodes(graph, results)
+    };
+}
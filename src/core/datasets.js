@@ -0,0 +1,69 @@
+// Dataset loading without the DOM: the same steps whether the files come
+// from a browser File (in the dataset worker) or from disk (the CLI).
+import { EllipticDatasetBuilder } from '../data/EllipticDatasetBuilder.js';
+import { guessMapping, validateMapping } from '../data/columnMapping.js';
+import { parseLedgerText, buildLedgerGraph } from '../data/ledger.js';
+
+// Builder method per Elliptic file, in the order the files are read
+const FILE_ROWS = {
+    features: 'addFeatureRow',
+    classes: 'addClassRow',
+    edges: 'addEdgeRow',
+    walletFeatures: 'addWalletFeatureRow',
+    walletClasses: 'addWalletClassRow',
+    addrTx: 'addInputRow',
+    txAddr: 'addOutputRow',
+    addrAddr: 'addWalletEdgeRow'
+};
+
+// Stops the load with the row-level report of a file that was mapped wrong
+function checkFile(builder, file) {
+    const failure = builder.validationFailure(file.key);
+    if (!failure) return;
+
+    const message = failure.rows === 0 ?
+        `No data rows found in ${file.name}. File may be empty or corrupted.` :
+        `${failure.invalid.toLocaleString()} of ${failure.rows.toLocaleString()} rows in ${file.name} are invalid - check the column mapping.`;
+
+    const error = new Error(message);
+    error.validation = { ...failure, fileName: file.name, mapping: builder.columns[file.key] };
+    throw error;
+}
+
+// Reads the Elliptic CSVs into an indexed dataset (see EllipticDatasetBuilder).
+// `files` maps file keys (features, classes, edges and the optional wallet
+// layer) to anything with a `name`; `parseFile(file, key, onRow)` streams
+// its rows as arrays of strings and resolves with the row count.
+export async function readEllipticDataset(files, { mapping = {}, parseFile }) {
+    const builder = new EllipticDatasetBuilder(mapping);
+    const rows = {};
+
+    // Order matters: classes, edges and the wallet layer are resolved
+    // against feature ids. Wallet layer files are optional.
+    for (const [key, method] of Object.entries(FILE_ROWS)) {
+        const file = files[key];
+        if (!file) continue;
+
+        rows[key] = await parseFile(file, key, row => builder[method](row));
+        checkFile(builder, { key, name: file.name });
+    }
+
+    const dataset = builder.build();
+    dataset.rows = rows;
+    return dataset;
+}
+
+// Ledger graph from the text of a CSV or JSON ledger, with the columns
+// guessed unless a mapping is given
+export function readLedger(text, fileName, mapping = null) {
+    const rows = parseLedgerText(text, fileName);
+    if (rows.length === 0) {
+        throw new Error(`${fileName} is empty`);
+    }
+    const columns = mapping || guessMapping('ledger', rows[0]);
+    const problems = validateMapping('ledger', columns, rows[0].length);
+    if (problems.length > 0) {
+        throw new Error(`${fileName}: ${problems.join('; ')}`);
+    }
+    return buildLedgerGraph(rows, columns);
+}
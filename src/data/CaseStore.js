@@ -0,0 +1,91 @@
+// Local persistence for investigation work (IndexedDB).
+//
+// Everything is keyed by a dataset key, so flags, notes and cases come back
+// when the same dataset is loaded again:
+//   annotations - { datasetKey, nodeId, flagged, notes, tags, updatedAt }
+//   cases       - { id, datasetKey, name, nodeIds, createdAt, updatedAt }
+
+const DB_NAME = 'crypto-compliance-cases';
+const DB_VERSION = 1;
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class CaseStore {
+    constructor() {
+        this.db = null;
+        this.available = typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.available) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+
+            const annotations = db.createObjectStore('annotations', { keyPath: ['datasetKey', 'nodeId'] });
+            annotations.createIndex('datasetKey', 'datasetKey');
+
+            const cases = db.createObjectStore('cases', { keyPath: 'id' });
+            cases.createIndex('datasetKey', 'datasetKey');
+        };
+
+        this.db = await promisify(request);
+        return this.db;
+    }
+
+    async store(name, mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(name, mode).objectStore(name);
+    }
+
+    async getAnnotations(datasetKey) {
+        const store = await this.store('annotations');
+        const records = await promisify(store.index('datasetKey').getAll(datasetKey));
+        return new Map(records.map(record => [record.nodeId, record]));
+    }
+
+    async saveAnnotation(annotation) {
+        const store = await this.store('annotations', 'readwrite');
+        const record = { ...annotation, updatedAt: new Date().toISOString() };
+        await promisify(store.put(record));
+        return record;
+    }
+
+    async deleteAnnotation(datasetKey, nodeId) {
+        const store = await this.store('annotations', 'readwrite');
+        await promisify(store.delete([datasetKey, nodeId]));
+    }
+
+    async getCases(datasetKey) {
+        const store = await this.store('cases');
+        const records = await promisify(store.index('datasetKey').getAll(datasetKey));
+        return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    async saveCase(caseRecord) {
+        const store = await this.store('cases', 'readwrite');
+        const now = new Date().toISOString();
+        const record = {
+            id: `case_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            createdAt: now,
+            ...caseRecord,
+            updatedAt: now
+        };
+        await promisify(store.put(record));
+        return record;
+    }
+
+    async deleteCase(id) {
+        const store = await this.store('cases', 'readwrite');
+        await promisify(store.delete(id));
+    }
+}
@@ -1,51 +1,75 @@
-import Papa from 'papaparse';
+import { CLASS_ILLICIT, CLASS_LICIT, ELLIPTIC_FILES } from './EllipticDatasetBuilder.js';
+
+// Graph views over the same dataset; the wallet views need the Elliptic++
+// wallet layer
+export const ELLIPTIC_VIEWS = {
+    transactions: 'Transactions',
+    bipartite: 'Addresses ↔ transactions',
+    addresses: 'Addresses'
+};
+
+// Compressed sparse row index of `endpoints` (node index per edge) over
+// `count` nodes: the edges at node i are edges[offsets[i]..offsets[i + 1])
+function toCSR(endpoints, count) {
+    const offsets = new Uint32Array(count + 1);
+    for (let i = 0; i < endpoints.length; i++) {
+        offsets[endpoints[i] + 1]++;
+    }
+    for (let i = 0; i < count; i++) {
+        offsets[i + 1] += offsets[i];
+    }
+
+    const cursor = offsets.slice(0, count);
+    const edges = new Uint32Array(endpoints.length);
+    for (let i = 0; i < endpoints.length; i++) {
+        edges[cursor[endpoints[i]]++] = i;
+    }
+    return { offsets, edges };
+}
+
+function shortAddress(address) {
+    return address.length > 14 ? `${address.slice(0, 6)}…${address.slice(-4)}` : address;
+}
 
 export class EllipticDataLoader {
     constructor() {
-        this.features = null;
-        this.classes = null;
-        this.edgelist = null;
+        this.dataset = null;
+        this.adjacency = null;
+        this.walletLinks = null;
+        this.predictions = null; // Classifier illicit probabilities, NaN for labelled
+        this.predictionThreshold = 0.5;
         this.isLoaded = false;
+        this.worker = null;
+        this.pendingLoad = null;
     }
 
-    async loadFromFiles(featuresFile, classesFile, edgelistFile) {
+    // Streams all three CSVs through a Web Worker. `onProgress` receives
+    // { file, fileName, loaded, total, rows } after every parsed chunk.
+    // `mapping` holds the column mapping per file (guessed when missing);
+    // a file that doesn't fit it rejects with the error's `validation` set.
+    // `walletFiles` optionally adds the Elliptic++ wallet layer:
+    // { walletFeatures, walletClasses, addrTx, txAddr, addrAddr }.
+    async loadFromFiles(featuresFile, classesFile, edgelistFile, onProgress = () => {}, mapping = null, walletFiles = {}) {
         console.log('📥 Loading Elliptic dataset files...');
 
-        try {
-            // Load all three CSV files
-            const [features, classes, edges] = await Promise.all([
-                this.loadCSV(featuresFile),
-                this.loadCSV(classesFile),
-                this.loadCSV(edgelistFile)
-            ]);
-
-            console.log('📊 Raw data loaded:');
-            console.log('Features rows:', features?.length || 0);
-            console.log('Classes rows:', classes?.length || 0);
-            console.log('Edges rows:', edges?.length || 0);
-
-            // Validate data
-            if (!features || features.length === 0) {
-                throw new Error('Features file is empty or invalid');
-            }
-            if (!classes || classes.length === 0) {
-                throw new Error('Classes file is empty or invalid');
-            }
-            if (!edges || edges.length === 0) {
-                throw new Error('Edges file is empty or invalid');
-            }
+        if (this.worker) {
+            this.cancel();
+        }
 
-            this.features = features;
-            this.classes = classes;
-            this.edgelist = edges;
-            this.isLoaded = true;
+        const optional = Object.fromEntries(Object.entries(walletFiles).filter(([, file]) => file));
+        [featuresFile, classesFile, edgelistFile, ...Object.values(optional)].forEach(file => {
+            console.log(`📄 Queued CSV file: ${file.name} (${(file.size / 1024 / 1024).toFixed(1)} MB)`);
+        });
 
-            console.log('✅ Elliptic dataset loaded successfully');
-            console.log('📊 Sample feature row:', features[0]);
-            console.log('📊 Sample class row:', classes[0]);
-            console.log('📊 Sample edge row:', edges[0]);
+        try {
+            const dataset = await this.runWorker({
+                features: featuresFile,
+                classes: classesFile,
+                edges: edgelistFile,
+                ...optional
+            }, mapping, onProgress);
 
-            return this.processDataForVisualization();
+            return this.setDataset(dataset);
 
         } catch (error) {
             console.error('❌ Failed to load Elliptic dataset:', error);
@@ -53,181 +77,467 @@ export class EllipticDataLoader {
         }
     }
 
-    async loadCSV(file) {
+    // Takes a dataset built by readEllipticDataset (core/datasets.js),
+    // whether it came from the worker or was read in Node
+    setDataset(dataset) {
+        this.dataset = dataset;
+        this.adjacency = null;
+        this.walletLinks = null;
+        this.predictions = null;
+        this.isLoaded = true;
+
+        console.log('📊 Raw data loaded:');
+        console.log('Features rows:', dataset.rows.features);
+        console.log('Classes rows:', dataset.rows.classes);
+        console.log('Edges rows:', dataset.rows.edges);
+        if (this.hasWallets) {
+            console.log(`Wallet layer: ${this.walletCount} addresses, ${dataset.inputs.from.length} inputs, ${dataset.outputs.from.length} outputs, ${dataset.walletEdges.from.length} address edges`);
+        }
+
+        const { features, classes, edges } = dataset.skipped;
+        if (features > 0 || classes > 0 || edges > 0) {
+            console.warn(`⚠️ Skipped ${features} feature rows, ${classes} class rows and ${edges} edge rows that failed validation`);
+        }
+        const walletSkipped = Object.entries(dataset.skipped).filter(([file, count]) => count > 0 && !ELLIPTIC_FILES.includes(file));
+        if (walletSkipped.length > 0) {
+            console.warn(`⚠️ Skipped wallet layer rows that failed validation: ${walletSkipped.map(([file, count]) => `${count} in ${file}`).join(', ')}`);
+        }
+
+        console.log('✅ Elliptic dataset loaded successfully');
+        return this.getStatistics();
+    }
+
+    runWorker(files, mapping, onProgress) {
         return new Promise((resolve, reject) => {
-            console.log(`📄 Loading CSV file: ${file.name} (${(file.size / 1024 / 1024).toFixed(1)} MB)`);
+            const worker = new Worker(new URL('./ellipticParser.worker.js', import.meta.url));
+            this.worker = worker;
+            this.pendingLoad = { reject };
+
+            const finish = () => {
+                worker.terminate();
+                if (this.worker === worker) {
+                    this.worker = null;
+                    this.pendingLoad = null;
+                }
+            };
 
-            // Check file size - warn if very large
-            const fileSizeMB = file.size / 1024 / 1024;
-            if (fileSizeMB > 100) {
-                console.warn(`⚠️ Large file detected: ${fileSizeMB.toFixed(1)}MB. This may take a while.`);
-            }
+            worker.onmessage = (event) => {
+                const message = event.data;
+
+                if (message.type === 'progress') {
+                    onProgress(message);
+                } else if (message.type === 'complete') {
+                    finish();
+                    resolve(message.dataset);
+                } else if (message.type === 'error') {
+                    finish();
+                    const error = new Error(message.message);
+                    error.validation = message.validation || null;
+                    reject(error);
+                }
+            };
+
+            worker.onerror = (event) => {
+                finish();
+                reject(new Error(`Dataset worker failed: ${event.message}`));
+            };
+
+            worker.postMessage({ type: 'load', files, mapping });
+        });
+    }
+
+    // Abort an in-progress load; the pending promise rejects with `cancelled` set
+    cancel() {
+        if (!this.worker) return false;
+
+        this.worker.terminate();
+        this.worker = null;
+
+        if (this.pendingLoad) {
+            const error = new Error('Loading cancelled');
+            error.cancelled = true;
+            this.pendingLoad.reject(error);
+            this.pendingLoad = null;
+        }
+
+        console.log('⏹️ Elliptic dataset load cancelled');
+        return true;
+    }
+
+    indexOf(txId) {
+        return this.dataset ? this.dataset.indexById.get(String(txId)) : undefined;
+    }
+
+    get nodeCount() {
+        return this.dataset ? this.dataset.txIds.length : 0;
+    }
+
+    get edgeCount() {
+        return this.dataset ? this.dataset.edgeSources.length : 0;
+    }
+
+    getClassification(index) {
+        return this.classificationName(this.dataset.classes[index]);
+    }
+
+    classificationName(classification) {
+        if (classification === CLASS_ILLICIT) return 'illicit';
+        if (classification === CLASS_LICIT) return 'licit';
+        return 'unknown';
+    }
+
+    get walletCount() {
+        return this.dataset && this.dataset.addresses ? this.dataset.addresses.length : 0;
+    }
+
+    // Were AddrTx / TxAddr links loaded? The wallet views are built from them
+    get hasWallets() {
+        return this.walletCount > 0 && (this.dataset.inputs.from.length > 0 || this.dataset.outputs.from.length > 0);
+    }
+
+    walletIndexOf(address) {
+        return this.dataset ? this.dataset.walletIndexById.get(String(address)) : undefined;
+    }
+
+    getWalletClassification(index) {
+        return this.classificationName(this.dataset.walletClasses[index]);
+    }
+
+    getFeatures(index) {
+        const { features, featureCount } = this.dataset;
+        return features.subarray(index * featureCount, (index + 1) * featureCount);
+    }
+
+    setPredictions(predictions, threshold = 0.5) {
+        this.predictions = predictions;
+        this.predictionThreshold = threshold;
+    }
+
+    // Classifier output for an unknown transaction, or null
+    getPrediction(index) {
+        if (!this.predictions || isNaN(this.predictions[index])) return null;
+
+        const probability = this.predictions[index];
+        return {
+            probability,
+            label: probability >= this.predictionThreshold ? 'illicit' : 'licit'
+        };
+    }
+
+    getStatistics() {
+        if (!this.isLoaded) {
+            throw new Error('Dataset not loaded yet');
+        }
+
+        const statistics = { total: this.nodeCount, illicit: 0, licit: 0, unknown: 0, edges: this.edgeCount };
+        for (let i = 0; i < this.nodeCount; i++) {
+            statistics[this.getClassification(i)]++;
+        }
+
+        return statistics;
+    }
+
+    getTimestepRange() {
+        const { timesteps } = this.dataset;
+        let min = Infinity;
+        let max = 1;
+
+        for (let i = 0; i < timesteps.length; i++) {
+            if (timesteps[i] === 0) continue; // missing
+            if (timesteps[i] < min) min = timesteps[i];
+            if (timesteps[i] > max) max = timesteps[i];
+        }
+
+        return { min: min === Infinity ? 1 : min, max };
+    }
+
+    // Compressed sparse row adjacency over the full edgelist: for node i,
+    // edge indices outEdges[outOffsets[i]..outOffsets[i + 1]) leave it and
+    // inEdges[inOffsets[i]..inOffsets[i + 1]) arrive at it. Built on demand.
+    getAdjacency() {
+        if (this.adjacency) return this.adjacency;
+
+        const { edgeSources, edgeTargets } = this.dataset;
+        const outgoing = toCSR(edgeSources, this.nodeCount);
+        const incoming = toCSR(edgeTargets, this.nodeCount);
+
+        this.adjacency = {
+            outOffsets: outgoing.offsets,
+            outEdges: outgoing.edges,
+            inOffsets: incoming.offsets,
+            inEdges: incoming.edges
+        };
+        return this.adjacency;
+    }
 
-            if (fileSizeMB > 800) {
-                reject(new Error(`File ${file.name} is too large (${fileSizeMB.toFixed(1)}MB). Please use a smaller subset of the data.`));
-                return;
+    // Visit every edge incident to `index` in the given direction
+    // ('out' for successors, 'in' for predecessors, 'both')
+    forEachIncidentEdge(index, direction, callback) {
+        const { outOffsets, outEdges, inOffsets, inEdges } = this.getAdjacency();
+        const { edgeSources, edgeTargets } = this.dataset;
+
+        if (direction !== 'in') {
+            for (let i = outOffsets[index]; i < outOffsets[index + 1]; i++) {
+                callback(outEdges[i], edgeTargets[outEdges[i]]);
+            }
+        }
+        if (direction !== 'out') {
+            for (let i = inOffsets[index]; i < inOffsets[index + 1]; i++) {
+                callback(inEdges[i], edgeSources[inEdges[i]]);
             }
+        }
+    }
 
-            // Use simple parsing without web workers (more reliable)
-            Papa.parse(file, {
-                header: true,
-                dynamicTyping: false,
-                skipEmptyLines: true,
-                delimiter: ',',
-                preview: 20000, // Only parse first 20k rows for performance
-                complete: function (results) {
-                    console.log(`✅ Parsed ${file.name}:`);
-                    console.log(`   - Rows: ${results.data.length}`);
-                    console.log(`   - Columns: ${results.meta.fields ? results.meta.fields.length : 'unknown'}`);
-                    console.log(`   - Field names:`, results.meta.fields?.slice(0, 10));
-
-                    if (results.errors.length > 0) {
-                        console.warn(`⚠️ CSV parsing warnings for ${file.name}:`, results.errors.slice(0, 3));
-                    }
+    // Breadth-first k-hop ego network around `startIndex`. Returns the
+    // indices reached (excluding the start), nearest first, capped at
+    // `maxNodes` so a hub can't flood the graph.
+    getNeighbourhood(startIndex, { hops = 1, direction = 'both', maxNodes = 500 } = {}) {
+        if (!this.isLoaded) {
+            throw new Error('Dataset not loaded yet');
+        }
+
+        const visited = new Set([startIndex]);
+        const reached = [];
+        let frontier = [startIndex];
+        let truncated = false;
 
-                    if (!results.data || results.data.length === 0) {
-                        reject(new Error(`No data rows found in ${file.name}. File may be corrupted.`));
+        for (let hop = 0; hop < hops && frontier.length > 0 && !truncated; hop++) {
+            const next = [];
+
+            for (const index of frontier) {
+                this.forEachIncidentEdge(index, direction, (edgeIndex, neighbour) => {
+                    if (visited.has(neighbour) || truncated) return;
+
+                    if (reached.length >= maxNodes) {
+                        truncated = true;
                         return;
                     }
 
-                    // Show sample of first few rows
-                    console.log(`📊 Sample rows from ${file.name}:`, results.data.slice(0, 2));
+                    visited.add(neighbour);
+                    reached.push(neighbour);
+                    next.push(neighbour);
+                });
+            }
+
+            frontier = next;
+        }
 
-                    resolve(results.data);
-                },
-                error: function (error) {
-                    console.error(`❌ Error parsing ${file.name}:`, error);
-                    reject(new Error(`Failed to parse ${file.name}: ${error.message}`));
+        return { indices: reached, truncated };
+    }
+
+    // Edges from the full edgelist that touch any of `indices` and whose
+    // other endpoint satisfies `isPresent(index)`
+    getConnectingEdges(indices, isPresent) {
+        const edgeIndices = new Set();
+
+        for (const index of indices) {
+            this.forEachIncidentEdge(index, 'both', (edgeIndex, neighbour) => {
+                if (isPresent(neighbour)) {
+                    edgeIndices.add(edgeIndex);
                 }
             });
-        });
+        }
+
+        return Array.from(edgeIndices, edgeIndex => this.buildEdgeElement(edgeIndex));
     }
 
-    processDataForVisualization() {
-        if (!this.isLoaded) {
-            throw new Error('Dataset not loaded yet');
+    // `features: false` leaves out the raw feature vector, which is what
+    // makes the full ~200k transaction graph heavy
+    buildNodeElement(index, { features: withFeatures = true } = {}) {
+        const txId = this.dataset.txIds[index];
+        const classification = this.getClassification(index);
+        const features = this.getFeatures(index);
+
+        let featureSum = 0;
+        for (let i = 0; i < features.length; i++) {
+            featureSum += features[i];
         }
 
-        console.log('🔄 Processing Elliptic data for visualization...');
+        const prediction = this.getPrediction(index);
+
+        return {
+            data: {
+                id: `tx_${txId}`,
+                label: `TX ${String(txId).substring(0, 8)}`,
+                type: 'transaction',
+                classification: classification,
+                suspicious: (classification === 'illicit').toString(),
+                txId: txId,
+                featureSum: featureSum,
+                timestep: this.dataset.timesteps[index] || 1,
+                // Store original features for analysis
+                ...(withFeatures && { features: Array.from(features) }),
+                // Classifier output for unknown transactions
+                ...(prediction && {
+                    predictedIllicit: prediction.probability,
+                    predictedLabel: prediction.label
+                })
+            }
+        };
+    }
 
-        try {
-            // Create a map of transaction ID to classification
-            const classMap = {};
-            this.classes.forEach((row, index) => {
-                // Handle different possible column names for transaction ID
-                const txId = row.txId || row.id || row['0'] || row.node_id || row.transaction_id;
-                const classification = row.class || row['1'] || row.label || row.classification;
-
-                if (txId !== undefined && txId !== null && classification !== undefined && classification !== null) {
-                    classMap[txId] = parseInt(classification);
-                } else if (index < 5) {
-                    console.log(`Sample class row ${index} structure:`, Object.keys(row));
-                    console.log(`Sample class row ${index} data:`, row);
+    buildEdgeElement(edgeIndex) {
+        const { txIds, edgeSources, edgeTargets } = this.dataset;
+
+        return {
+            data: {
+                id: `edge_${edgeIndex}`,
+                source: `tx_${txIds[edgeSources[edgeIndex]]}`,
+                target: `tx_${txIds[edgeTargets[edgeIndex]]}`,
+                amount: 1, // Elliptic doesn't provide amounts, use 1 for visualization
+                type: 'transaction_flow'
+            }
+        };
+    }
+
+    // Input (AddrTx) and output (TxAddr) links per transaction, and
+    // address edges (AddrAddr) per address, indexed like getAdjacency()
+    getWalletLinks() {
+        if (this.walletLinks) return this.walletLinks;
+
+        const { inputs, outputs, walletEdges } = this.dataset;
+        this.walletLinks = {
+            inputsByTx: toCSR(inputs.to, this.nodeCount),
+            outputsByTx: toCSR(outputs.from, this.nodeCount),
+            walletEdgesBySource: toCSR(walletEdges.from, this.walletCount)
+        };
+        return this.walletLinks;
+    }
+
+    buildWalletElement(index) {
+        const address = this.dataset.addresses[index];
+        const classification = this.getWalletClassification(index);
+
+        return {
+            data: {
+                id: `wallet_${address}`,
+                label: `👛 ${shortAddress(address)}`,
+                type: 'actor',
+                address,
+                classification,
+                suspicious: (classification === 'illicit').toString(),
+                // First timestep the address was active in, when wallet features were loaded
+                ...(this.dataset.walletTimesteps[index] > 0 && { timestep: this.dataset.walletTimesteps[index] })
+            }
+        };
+    }
+
+    // `kind` is 'input' (address -> transaction), 'output' (transaction ->
+    // address) or 'address_flow' (address -> address)
+    buildLinkElement(kind, linkIndex) {
+        const { txIds, addresses, inputs, outputs, walletEdges } = this.dataset;
+        const links = { input: inputs, output: outputs, address_flow: walletEdges }[kind];
+        const from = links.from[linkIndex];
+        const to = links.to[linkIndex];
+
+        const ends = {
+            input: [`wallet_${addresses[from]}`, `tx_${txIds[to]}`],
+            output: [`tx_${txIds[from]}`, `wallet_${addresses[to]}`],
+            address_flow: [`wallet_${addresses[from]}`, `wallet_${addresses[to]}`]
+        }[kind];
+
+        return {
+            data: {
+                id: `${kind}_${linkIndex}`,
+                source: ends[0],
+                target: ends[1],
+                amount: 1, // No amounts in Elliptic++ either
+                type: kind
+            }
+        };
+    }
+
+    // Elements for a wallet view around the given transactions:
+    //   bipartite - the transactions, their input and output addresses and
+    //               the links between them
+    //   addresses - only those addresses, with the address edges among them
+    // Addresses are capped at `maxWallets` as a transaction can have
+    // hundreds of outputs.
+    processWalletView(txIndices, view, { maxWallets = 1000 } = {}) {
+        if (!this.hasWallets) {
+            throw new Error('The Elliptic++ wallet layer is not loaded');
+        }
+
+        const { inputs, outputs, walletEdges } = this.dataset;
+        const { inputsByTx, outputsByTx, walletEdgesBySource } = this.getWalletLinks();
+        const wallets = new Map(); // wallet index -> element
+        const links = [];
+        let truncated = false;
+
+        const addWallet = (index) => {
+            if (wallets.has(index)) return true;
+            if (wallets.size >= maxWallets) {
+                truncated = true;
+                return false;
+            }
+            wallets.set(index, this.buildWalletElement(index));
+            return true;
+        };
+
+        txIndices.forEach(tx => {
+            for (let i = inputsByTx.offsets[tx]; i < inputsByTx.offsets[tx + 1]; i++) {
+                const link = inputsByTx.edges[i];
+                if (addWallet(inputs.from[link])) links.push(this.buildLinkElement('input', link));
+            }
+            for (let i = outputsByTx.offsets[tx]; i < outputsByTx.offsets[tx + 1]; i++) {
+                const link = outputsByTx.edges[i];
+                if (addWallet(outputs.to[link])) links.push(this.buildLinkElement('output', link));
+            }
+        });
+
+        let nodes = Array.from(wallets.values());
+        let edges = links;
+
+        if (view === 'bipartite') {
+            nodes = [...txIndices.map(index => this.buildNodeElement(index)), ...nodes];
+        } else {
+            edges = [];
+            wallets.forEach((_, source) => {
+                for (let i = walletEdgesBySource.offsets[source]; i < walletEdgesBySource.offsets[source + 1]; i++) {
+                    const link = walletEdgesBySource.edges[i];
+                    if (wallets.has(walletEdges.to[link])) edges.push(this.buildLinkElement('address_flow', link));
                 }
             });
+        }
 
-            console.log(`📊 Created classification map with ${Object.keys(classMap).length} entries`);
-            console.log('Sample classifications:', Object.entries(classMap).slice(0, 5));
-
-            // Create nodes from transactions
-            const nodes = [];
-            this.features.forEach((row, index) => {
-                try {
-                    // Handle different possible column names for transaction ID
-                    const txId = row.txId || row.id || row['0'] || row.node_id || row.transaction_id;
-
-                    if (txId === undefined || txId === null) {
-                        if (index < 5) {
-                            console.log(`Sample feature row ${index} structure:`, Object.keys(row));
-                            console.log(`Sample feature row ${index} data:`, row);
-                        }
-                        return; // Skip this row
-                    }
+        const statistics = { total: nodes.length, illicit: 0, licit: 0, unknown: 0, edges: edges.length, wallets: wallets.size };
+        nodes.forEach(node => statistics[node.data.classification]++);
 
-                    const classification = classMap[txId] || 3; // Default to unknown
+        console.log(`👛 ${ELLIPTIC_VIEWS[view]} view: ${wallets.size} addresses around ${txIndices.length} transactions, ${edges.length} edges${truncated ? ' (truncated)' : ''}`);
+        return { nodes, edges, statistics, truncated };
+    }
 
-                    // Determine node type based on classification
-                    let nodeType = 'unknown';
-                    let suspicious = false;
+    // Build Cytoscape elements for the given transaction indices (all by
+    // default), keeping only edges whose endpoints are both included.
+    // `options` are passed on to buildNodeElement.
+    processDataForVisualization(indices = null, options = {}) {
+        if (!this.isLoaded) {
+            throw new Error('Dataset not loaded yet');
+        }
 
-                    if (classification === 1) { // Illicit
-                        nodeType = 'illicit';
-                        suspicious = true;
-                    } else if (classification === 2) { // Licit
-                        nodeType = 'licit';
-                    }
+        console.log('🔄 Processing Elliptic data for visualization...');
 
-                    // Extract some key features for visualization
-                    const features = Object.keys(row).filter(key =>
-                        key !== 'txId' && key !== 'id' && key !== '0' &&
-                        key !== 'node_id' && key !== 'transaction_id' && key !== 'Time step'
-                    );
-
-                    const featureSum = features.reduce((sum, feature) => {
-                        const value = parseFloat(row[feature]);
-                        return sum + (isNaN(value) ? 0 : value);
-                    }, 0);
-
-                    nodes.push({
-                        data: {
-                            id: `tx_${txId}`,
-                            label: `TX ${String(txId).substring(0, 8)}`,
-                            type: 'transaction',
-                            classification: nodeType,
-                            suspicious: suspicious.toString(),
-                            txId: txId,
-                            featureSum: featureSum,
-                            timestep: row['Time step'] || row.timestep || row.time_step || 1,
-                            // Store original features for analysis
-                            features: row
-                        }
-                    });
-                } catch (error) {
-                    console.warn(`Error processing feature row ${index}:`, error);
-                }
+        try {
+            const included = new Uint8Array(this.nodeCount);
+            const nodeIndices = indices || Array.from({ length: this.nodeCount }, (_, i) => i);
+
+            const nodes = nodeIndices.map(index => {
+                included[index] = 1;
+                return this.buildNodeElement(index, options);
             });
 
             console.log(`📊 Created ${nodes.length} nodes`);
 
-            // Create edges from edgelist
+            const { edgeSources, edgeTargets } = this.dataset;
             const edges = [];
-            this.edgelist.forEach((row, index) => {
-                try {
-                    // Handle different possible column names
-                    const sourceId = row.txId1 || row.source || row['0'] || row.from || row.node1;
-                    const targetId = row.txId2 || row.target || row['1'] || row.to || row.node2;
-
-                    if (sourceId !== undefined && sourceId !== null &&
-                        targetId !== undefined && targetId !== null) {
-
-                        edges.push({
-                            data: {
-                                id: `edge_${index}`,
-                                source: `tx_${sourceId}`,
-                                target: `tx_${targetId}`,
-                                amount: 1, // Elliptic doesn't provide amounts, use 1 for visualization
-                                type: 'transaction_flow'
-                            }
-                        });
-                    } else if (index < 5) {
-                        console.log('Sample edge row structure:', row);
-                    }
-                } catch (error) {
-                    console.warn(`Error processing edge row ${index}:`, error);
+            for (let i = 0; i < edgeSources.length; i++) {
+                if (included[edgeSources[i]] && included[edgeTargets[i]]) {
+                    edges.push(this.buildEdgeElement(i));
                 }
-            });
-
-            console.log(`📊 Created ${edges.length} edges`);
-
-            // Filter out nodes and edges that don't have valid connections
-            const validNodeIds = new Set(nodes.map(n => n.data.id));
-            const validEdges = edges.filter(e =>
-                validNodeIds.has(e.data.source) && validNodeIds.has(e.data.target)
-            );
+            }
 
-            console.log(`✅ Filtered to ${validEdges.length} valid edges`);
+            console.log(`✅ Filtered to ${edges.length} valid edges`);
 
-            // Get statistics
             const illicitCount = nodes.filter(n => n.data.classification === 'illicit').length;
             const licitCount = nodes.filter(n => n.data.classification === 'licit').length;
             const unknownCount = nodes.filter(n => n.data.classification === 'unknown').length;
@@ -236,13 +546,13 @@ export class EllipticDataLoader {
 
             const result = {
                 nodes: nodes,
-                edges: validEdges,
+                edges: edges,
                 statistics: {
                     total: nodes.length,
                     illicit: illicitCount,
                     licit: licitCount,
                     unknown: unknownCount,
-                    edges: validEdges.length
+                    edges: edges.length
                 }
             };
 
@@ -256,7 +566,7 @@ export class EllipticDataLoader {
     }
 
     // Load a sample subset for performance
-    loadSampleSubset(maxNodes = 500) { // Reduced default from 1000 to 500
+    loadSampleSubset(maxNodes = 500) {
         if (!this.isLoaded) {
             throw new Error('Dataset not loaded yet');
         }
@@ -264,69 +574,37 @@ export class EllipticDataLoader {
         console.log(`🔄 Creating sample subset with max ${maxNodes} nodes...`);
 
         try {
-            // Get a balanced sample
-            const classMap = {};
-            this.classes.forEach(row => {
-                const txId = row.txId || row.id || row['0'] || row.node_id || row.transaction_id;
-                const classification = row.class || row['1'] || row.label || row.classification;
-
-                if (txId !== undefined && txId !== null && classification !== undefined && classification !== null) {
-                    classMap[txId] = parseInt(classification);
-                }
-            });
-
-            // Separate transactions by class - but limit how many we look at
-            const illicitTxs = [];
-            const licitTxs = [];
-            const unknownTxs = [];
-
-            // Only look at first portion of data for performance
-            const maxRowsToExamine = Math.min(this.features.length, 10000);
-            console.log(`📊 Examining first ${maxRowsToExamine} of ${this.features.length} transactions`);
-
-            for (let i = 0; i < maxRowsToExamine; i++) {
-                const row = this.features[i];
-                const txId = row.txId || row.id || row['0'] || row.node_id || row.transaction_id;
-                if (txId === undefined || txId === null) continue;
-
-                const classification = classMap[txId] || 3;
-
-                if (classification === 1) {
-                    illicitTxs.push(row);
-                } else if (classification === 2) {
-                    licitTxs.push(row);
-                } else {
-                    unknownTxs.push(row);
+            // Sample proportionally, in file order so neighbouring
+            // transactions (and the edges between them) end up together
+            const illicitLimit = Math.min(Math.floor(maxNodes * 0.15), 50); // Max 50 illicit
+            const licitLimit = Math.min(Math.floor(maxNodes * 0.35), 200); // Max 200 licit
+            const unknownLimit = Math.min(Math.floor(maxNodes * 0.5), 250); // Max 250 unknown
+
+            const illicitSample = [];
+            const licitSample = [];
+            const unknownSample = [];
+
+            for (let i = 0; i < this.nodeCount; i++) {
+                const classification = this.getClassification(i);
+
+                if (classification === 'illicit' && illicitSample.length < illicitLimit) {
+                    illicitSample.push(i);
+                } else if (classification === 'licit' && licitSample.length < licitLimit) {
+                    licitSample.push(i);
+                } else if (classification === 'unknown' && unknownSample.length < unknownLimit) {
+                    unknownSample.push(i);
                 }
 
-                // Stop early if we have enough of each type
-                if (illicitTxs.length >= maxNodes * 0.2 &&
-                    licitTxs.length >= maxNodes * 0.4 &&
-                    unknownTxs.length >= maxNodes * 0.4) {
+                if (illicitSample.length >= illicitLimit &&
+                    licitSample.length >= licitLimit &&
+                    unknownSample.length >= unknownLimit) {
                     break;
                 }
             }
 
-            console.log(`📊 Found transactions: ${illicitTxs.length} illicit, ${licitTxs.length} licit, ${unknownTxs.length} unknown`);
-
-            // Sample proportionally with smaller numbers
-            const sampleSize = Math.min(maxNodes, maxRowsToExamine);
-            const illicitSample = illicitTxs.slice(0, Math.min(Math.floor(sampleSize * 0.15), illicitTxs.length, 50)); // Max 50 illicit
-            const licitSample = licitTxs.slice(0, Math.min(Math.floor(sampleSize * 0.35), licitTxs.length, 200)); // Max 200 licit
-            const unknownSample = unknownTxs.slice(0, Math.min(Math.floor(sampleSize * 0.5), unknownTxs.length, 250)); // Max 250 unknown
-
-            const sampleFeatures = [...illicitSample, ...licitSample, ...unknownSample];
-
             console.log(`📊 Final sample: ${illicitSample.length} illicit, ${licitSample.length} licit, ${unknownSample.length} unknown`);
 
-            // Temporarily replace full dataset with sample
-            const originalFeatures = this.features;
-            this.features = sampleFeatures;
-
-            const result = this.processDataForVisualization();
-
-            // Restore original dataset
-            this.features = originalFeatures;
+            const result = this.processDataForVisualization([...illicitSample, ...licitSample, ...unknownSample]);
 
             console.log(`✅ Sample subset created: ${result.nodes.length} nodes, ${result.edges.length} edges`);
             return result;
@@ -336,4 +614,4 @@ export class EllipticDataLoader {
             throw new Error(`Sample creation failed: ${error.message}`);
         }
     }
-}
\ No newline at end of file
+}
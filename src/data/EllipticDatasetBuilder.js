@@ -0,0 +1,393 @@
+// Builds compact, index-based structures from the Elliptic CSVs.
+// Rows are fed in one at a time (as arrays of strings, header row included)
+// so the files can be streamed chunk by chunk without keeping parsed rows
+// around. Files must be fed in order: features, then classes, then edges.
+//
+// The Elliptic++ wallet layer is optional and comes after them: wallet
+// features and classes, then the address -> transaction (AddrTx),
+// transaction -> address (TxAddr) and address -> address (AddrAddr)
+// edgelists. Addresses are indexed as they are first seen in any of these.
+//
+// Columns come from a mapping (see columnMapping.js), guessed from each
+// file's first row when none is given. Rows that can't be used are counted
+// per file and the first few are kept as issues for the validation report.
+import { guessMapping } from './columnMapping.js';
+
+export const CLASS_ILLICIT = 1;
+export const CLASS_LICIT = 2;
+export const CLASS_UNKNOWN = 3;
+
+export const ELLIPTIC_FILES = ['features', 'classes', 'edges'];
+export const WALLET_FILES = ['walletFeatures', 'walletClasses', 'addrTx', 'txAddr', 'addrAddr'];
+
+const INITIAL_CAPACITY = 1024;
+
+// Issues kept per file; the rest are only counted
+const MAX_ISSUES = 20;
+
+// A file with more invalid rows than this was almost certainly mapped wrong
+const MAX_INVALID_SHARE = 0.5;
+
+const CLASS_NAMES = { illicit: CLASS_ILLICIT, licit: CLASS_LICIT, unknown: CLASS_UNKNOWN };
+
+function cell(row, column) {
+    return column === null || row[column] === undefined ? '' : String(row[column]).trim();
+}
+
+// 1, 2, 3 or the class names; null when it is neither
+function parseClass(value) {
+    const name = value.toLowerCase();
+    if (name in CLASS_NAMES) return CLASS_NAMES[name];
+
+    const classification = Number(value);
+    return [CLASS_ILLICIT, CLASS_LICIT, CLASS_UNKNOWN].includes(classification) ? classification : null;
+}
+
+function grow(array, minLength) {
+    if (array.length >= minLength) return array;
+
+    let length = array.length || INITIAL_CAPACITY;
+    while (length < minLength) length *= 2;
+
+    const grown = new array.constructor(length);
+    grown.set(array);
+    return grown;
+}
+
+export class EllipticDatasetBuilder {
+    // `mapping` is { features, classes, edges }; a missing entry is guessed
+    constructor(mapping = {}) {
+        this.mapping = mapping;
+        this.txIds = [];
+        this.indexById = new Map();
+        this.timesteps = new Uint16Array(INITIAL_CAPACITY);
+        this.features = new Float32Array(0);
+        this.featureNames = null;
+        this.featureColumns = null;
+        this.classes = null;
+        this.edgeSources = new Uint32Array(INITIAL_CAPACITY);
+        this.edgeTargets = new Uint32Array(INITIAL_CAPACITY);
+        this.edgeCount = 0;
+
+        // Wallet layer; wallet classes are 0 until a label is read
+        this.addresses = [];
+        this.walletIndexById = new Map();
+        this.walletTimesteps = new Uint16Array(INITIAL_CAPACITY);
+        this.walletClasses = new Uint8Array(INITIAL_CAPACITY);
+        this.links = {
+            addrTx: { from: new Uint32Array(INITIAL_CAPACITY), to: new Uint32Array(INITIAL_CAPACITY), count: 0 },
+            txAddr: { from: new Uint32Array(INITIAL_CAPACITY), to: new Uint32Array(INITIAL_CAPACITY), count: 0 },
+            addrAddr: { from: new Uint32Array(INITIAL_CAPACITY), to: new Uint32Array(INITIAL_CAPACITY), count: 0 }
+        };
+
+        const files = [...ELLIPTIC_FILES, ...WALLET_FILES];
+        this.columns = Object.fromEntries(files.map(file => [file, null]));
+        this.skipped = Object.fromEntries(files.map(file => [file, 0]));
+        this.validation = Object.fromEntries(files.map(file => [file, { rows: 0, invalid: 0, issues: [] }]));
+    }
+
+    // Resolves the columns on the first row; returns false for a header row
+    startRow(file, row) {
+        if (!this.columns[file]) {
+            this.columns[file] = this.mapping[file] || guessMapping(file, row);
+            if (file === 'features') {
+                this.resolveFeatureColumns(row);
+            }
+            if (this.columns[file].hasHeader) return false;
+        }
+
+        this.validation[file].rows++;
+        return true;
+    }
+
+    // `row` is the 1-based line in the file, header included
+    reportIssue(file, column, value, message) {
+        const validation = this.validation[file];
+        const header = this.columns[file].hasHeader;
+        validation.invalid++;
+        this.skipped[file]++;
+
+        if (validation.issues.length < MAX_ISSUES) {
+            validation.issues.push({
+                row: validation.rows + (header ? 1 : 0),
+                column: column === null ? null : column + 1,
+                value,
+                message
+            });
+        }
+    }
+
+    addFeatureRow(row) {
+        if (!this.startRow('features', row)) return;
+
+        const { id, timestep } = this.columns.features;
+        const txId = cell(row, id);
+
+        if (txId === '') {
+            this.reportIssue('features', id, txId, 'Transaction id is empty');
+            return;
+        }
+        if (this.indexById.has(txId)) {
+            this.reportIssue('features', id, txId, 'Duplicate transaction id');
+            return;
+        }
+
+        let step = 0;
+        if (timestep !== null && timestep !== undefined) {
+            const value = cell(row, timestep);
+            step = Number(value);
+            if (!Number.isInteger(step) || step < 1 || step > 0xffff) {
+                this.reportIssue('features', timestep, value, 'Timestep is not a positive whole number');
+                return;
+            }
+        }
+
+        const index = this.txIds.length;
+        this.txIds.push(txId);
+        this.indexById.set(txId, index);
+
+        this.timesteps = grow(this.timesteps, index + 1);
+        this.timesteps[index] = step;
+
+        const featureCount = this.featureColumns.length;
+        this.features = grow(this.features, (index + 1) * featureCount);
+
+        const offset = index * featureCount;
+        for (let i = 0; i < featureCount; i++) {
+            const value = parseFloat(row[this.featureColumns[i]]);
+            this.features[offset + i] = isNaN(value) ? 0 : value;
+        }
+    }
+
+    addClassRow(row) {
+        if (!this.startRow('classes', row)) return;
+
+        const { id, label } = this.columns.classes;
+        const txId = cell(row, id);
+        const index = this.indexById.get(txId);
+
+        if (index === undefined) {
+            this.reportIssue('classes', id, txId, 'Transaction id is not in the features file');
+            return;
+        }
+
+        // Classes are 1 (illicit), 2 (licit) and either 3 or "unknown"
+        const value = cell(row, label);
+        const classification = parseClass(value);
+        if (classification === null) {
+            this.reportIssue('classes', label, value, 'Label is not 1 (illicit), 2 (licit), 3 or "unknown"');
+            return;
+        }
+
+        this.ensureClasses()[index] = classification;
+    }
+
+    addEdgeRow(row) {
+        if (!this.startRow('edges', row)) return;
+
+        const { source, target } = this.columns.edges;
+        const sourceId = cell(row, source);
+        const targetId = cell(row, target);
+        const sourceIndex = this.indexById.get(sourceId);
+        const targetIndex = this.indexById.get(targetId);
+
+        // Edges to transactions missing from the features file can't be drawn
+        if (sourceIndex === undefined) {
+            this.reportIssue('edges', source, sourceId, 'Source id is not in the features file');
+            return;
+        }
+        if (targetIndex === undefined) {
+            this.reportIssue('edges', target, targetId, 'Target id is not in the features file');
+            return;
+        }
+
+        const index = this.edgeCount++;
+        this.edgeSources = grow(this.edgeSources, index + 1);
+        this.edgeTargets = grow(this.edgeTargets, index + 1);
+        this.edgeSources[index] = sourceIndex;
+        this.edgeTargets[index] = targetIndex;
+    }
+
+    // Index of an address, added on first sight
+    walletIndex(address) {
+        let index = this.walletIndexById.get(address);
+        if (index === undefined) {
+            index = this.addresses.length;
+            this.addresses.push(address);
+            this.walletIndexById.set(address, index);
+            this.walletTimesteps = grow(this.walletTimesteps, index + 1);
+            this.walletClasses = grow(this.walletClasses, index + 1);
+        }
+        return index;
+    }
+
+    // Elliptic++ has a features row per address and timestep it was active
+    // in; only the first timestep is kept, not the feature vectors, which
+    // would take several times the memory of the transaction features
+    addWalletFeatureRow(row) {
+        if (!this.startRow('walletFeatures', row)) return;
+
+        const { id, timestep } = this.columns.walletFeatures;
+        const address = cell(row, id);
+
+        if (address === '') {
+            this.reportIssue('walletFeatures', id, address, 'Address is empty');
+            return;
+        }
+
+        let step = 0;
+        if (timestep !== null && timestep !== undefined) {
+            const value = cell(row, timestep);
+            step = Number(value);
+            if (!Number.isInteger(step) || step < 1 || step > 0xffff) {
+                this.reportIssue('walletFeatures', timestep, value, 'Timestep is not a positive whole number');
+                return;
+            }
+        }
+
+        const index = this.walletIndex(address);
+        if (step > 0 && (this.walletTimesteps[index] === 0 || step < this.walletTimesteps[index])) {
+            this.walletTimesteps[index] = step;
+        }
+    }
+
+    addWalletClassRow(row) {
+        if (!this.startRow('walletClasses', row)) return;
+
+        const { id, label } = this.columns.walletClasses;
+        const address = cell(row, id);
+
+        if (address === '') {
+            this.reportIssue('walletClasses', id, address, 'Address is empty');
+            return;
+        }
+
+        const value = cell(row, label);
+        const classification = parseClass(value);
+        if (classification === null) {
+            this.reportIssue('walletClasses', label, value, 'Label is not 1 (illicit), 2 (licit), 3 or "unknown"');
+            return;
+        }
+
+        this.walletClasses[this.walletIndex(address)] = classification;
+    }
+
+    // AddrTx, TxAddr and AddrAddr rows; the two mapped fields are given
+    // in edge direction
+    addLinkRow(file, row, [fromField, toField]) {
+        if (!this.startRow(file, row)) return;
+
+        const columns = this.columns[file];
+        const ends = [fromField, toField].map(field => ({ field, column: columns[field], value: cell(row, columns[field]) }));
+
+        for (const { field, column, value } of ends) {
+            if (value === '') {
+                this.reportIssue(file, column, value, field === 'txId' ? 'Transaction id is empty' : 'Address is empty');
+                return;
+            }
+            if (field === 'txId' && !this.indexById.has(value)) {
+                this.reportIssue(file, column, value, 'Transaction id is not in the features file');
+                return;
+            }
+        }
+
+        const [from, to] = ends.map(({ field, value }) => (field === 'txId' ? this.indexById.get(value) : this.walletIndex(value)));
+        const links = this.links[file];
+        const index = links.count++;
+        links.from = grow(links.from, index + 1);
+        links.to = grow(links.to, index + 1);
+        links.from[index] = from;
+        links.to[index] = to;
+    }
+
+    addInputRow(row) {
+        this.addLinkRow('addrTx', row, ['address', 'txId']);
+    }
+
+    addOutputRow(row) {
+        this.addLinkRow('txAddr', row, ['txId', 'address']);
+    }
+
+    addWalletEdgeRow(row) {
+        this.addLinkRow('addrAddr', row, ['source', 'target']);
+    }
+
+    resolveFeatureColumns(row) {
+        const { hasHeader, id, timestep } = this.columns.features;
+
+        // Every other column is a numeric feature
+        this.featureColumns = [];
+        this.featureNames = [];
+        row.forEach((name, column) => {
+            if (column === id || column === timestep) return;
+            this.featureColumns.push(column);
+            this.featureNames.push(hasHeader ? String(name).trim() : `f_${this.featureColumns.length - 1}`);
+        });
+    }
+
+    // { rows, invalid, issues } for one file, or null if it looks correctly mapped
+    validationFailure(file) {
+        const { rows, invalid, issues } = this.validation[file];
+        if (rows > 0 && invalid / rows <= MAX_INVALID_SHARE) return null;
+
+        return { file, rows, invalid, issues: [...issues] };
+    }
+
+    ensureClasses() {
+        if (!this.classes) {
+            // Transactions without a row in the classes file stay unknown
+            this.classes = new Uint8Array(this.txIds.length).fill(CLASS_UNKNOWN);
+        }
+        return this.classes;
+    }
+
+    // Returns plain data that can be posted across a worker boundary
+    build() {
+        const count = this.txIds.length;
+        const featureCount = this.featureColumns ? this.featureColumns.length : 0;
+        const walletCount = this.addresses.length;
+        const link = key => ({
+            from: this.links[key].from.slice(0, this.links[key].count),
+            to: this.links[key].to.slice(0, this.links[key].count)
+        });
+
+        const walletClasses = this.walletClasses.slice(0, walletCount);
+        for (let i = 0; i < walletCount; i++) {
+            if (walletClasses[i] === 0) walletClasses[i] = CLASS_UNKNOWN;
+        }
+
+        return {
+            txIds: this.txIds,
+            indexById: this.indexById,
+            timesteps: this.timesteps.slice(0, count),
+            classes: this.ensureClasses().slice(0, count),
+            featureNames: this.featureNames || [],
+            featureCount,
+            features: this.features.slice(0, count * featureCount),
+            edgeSources: this.edgeSources.slice(0, this.edgeCount),
+            edgeTargets: this.edgeTargets.slice(0, this.edgeCount),
+            addresses: this.addresses,
+            walletIndexById: this.walletIndexById,
+            walletTimesteps: this.walletTimesteps.slice(0, walletCount),
+            walletClasses,
+            inputs: link('addrTx'),
+            outputs: link('txAddr'),
+            walletEdges: link('addrAddr'),
+            skipped: { ...this.skipped }
+        };
+    }
+}
+
+// Buffers to move (rather than copy) when posting a built dataset
+export function datasetTransferables(dataset) {
+    return [
+        dataset.timesteps.buffer,
+        dataset.classes.buffer,
+        dataset.features.buffer,
+        dataset.edgeSources.buffer,
+        dataset.edgeTargets.buffer,
+        dataset.walletTimesteps.buffer,
+        dataset.walletClasses.buffer,
+        ...['inputs', 'outputs', 'walletEdges'].flatMap(key => [dataset[key].from.buffer, dataset[key].to.buffer])
+    ];
+}
@@ -0,0 +1,33 @@
+// Remembers column mappings per file schema (localStorage), so a dataset
+// exported in the same layout maps itself the next time it is loaded.
+
+const STORAGE_KEY = 'crypto-compliance-column-mappings';
+
+export class MappingStore {
+    constructor() {
+        this.available = typeof localStorage !== 'undefined';
+    }
+
+    readAll() {
+        if (!this.available) return {};
+
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable saved column mappings:', error);
+            return {};
+        }
+    }
+
+    get(signature) {
+        return this.readAll()[signature] || null;
+    }
+
+    save(signature, mapping) {
+        if (!this.available) return;
+
+        const mappings = this.readAll();
+        mappings[signature] = { ...mapping, savedAt: new Date().toISOString() };
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings));
+    }
+}
@@ -0,0 +1,41 @@
+// Keeps imported watchlists (localStorage) so screening lists survive
+// reloads: [{ name, entries: [{ value, note }], importedAt }]
+
+const STORAGE_KEY = 'crypto-compliance-watchlists';
+
+export class WatchlistStore {
+    constructor() {
+        this.available = typeof localStorage !== 'undefined';
+        this.memory = []; // Fallback when localStorage is unavailable
+    }
+
+    list() {
+        if (!this.available) return this.memory;
+
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable saved watchlists:', error);
+            return [];
+        }
+    }
+
+    write(lists) {
+        if (this.available) {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(lists));
+        } else {
+            this.memory = lists;
+        }
+    }
+
+    // Replaces any list with the same name
+    save(watchlist) {
+        const lists = this.list().filter(list => list.name !== watchlist.name);
+        lists.push({ ...watchlist, importedAt: new Date().toISOString() });
+        this.write(lists);
+    }
+
+    remove(name) {
+        this.write(this.list().filter(list => list.name !== name));
+    }
+}
@@ -0,0 +1,60 @@
+// Results fetched from the screening API (src/cli/serve.js). The response
+// comes from another process, so its graph is checked before the current
+// one is replaced by it.
+
+// Datasets the API serves
+export const API_DATASETS = ['elliptic', 'ledger'];
+
+function hasId(value) {
+    return (typeof value === 'string' && value !== '') || typeof value === 'number';
+}
+
+// Returns { dataset, elements: { nodes, edges, truncated } }; throws when
+// the result has no graph or one Cytoscape could not add
+export function parseApiResult(result) {
+    if (!result || typeof result !== 'object') {
+        throw new Error('Response is not a JSON object');
+    }
+    if (!API_DATASETS.includes(result.dataset)) {
+        throw new Error(`Unknown dataset "${result.dataset}" (expected ${API_DATASETS.join(' or ')})`);
+    }
+
+    // Neighbourhoods are elements themselves; every other result carries them
+    const elements = result.elements || (Array.isArray(result.nodes) && result);
+    if (!elements || !Array.isArray(elements.nodes) || elements.nodes.length === 0) {
+        throw new Error('This result has no nodes to show (the /api summary has no graph - open a node, neighbourhood, risk or patterns result)');
+    }
+    const edges = elements.edges === undefined ? [] : elements.edges;
+    if (!Array.isArray(edges)) {
+        throw new Error('Result edges are not a list');
+    }
+
+    const ids = new Set();
+    const addId = (element, kind, index) => {
+        const data = element && element.data;
+        if (!data || typeof data !== 'object' || !hasId(data.id)) {
+            throw new Error(`${kind} ${index + 1} has no id`);
+        }
+        if (ids.has(String(data.id))) {
+            throw new Error(`Duplicate element id "${data.id}"`);
+        }
+        ids.add(String(data.id));
+        return data;
+    };
+
+    elements.nodes.forEach((node, i) => addId(node, 'Node', i));
+    const nodeIds = new Set(ids);
+    edges.forEach((edge, i) => {
+        const data = addId(edge, 'Edge', i);
+        [data.source, data.target].forEach(end => {
+            if (!hasId(end) || !nodeIds.has(String(end))) {
+                throw new Error(`Edge "${data.id}" refers to a node not in the result: ${end}`);
+            }
+        });
+    });
+
+    return {
+        dataset: result.dataset,
+        elements: { nodes: elements.nodes, edges, truncated: Boolean(elements.truncated || result.truncated) }
+    };
+}
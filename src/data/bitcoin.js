@@ -0,0 +1,239 @@
+// Raw Bitcoin Core JSON: `getblock <hash> 2|3` and `getrawtransaction
+// <txid> true` output, as saved from a node. A file may hold one result, an
+// array of them, JSON-RPC responses ({ result, error, id }) or one JSON
+// document per line.
+//
+// The graph has a node per transaction and per address: inputs are edges
+// from the spending address to the transaction, outputs edges from the
+// transaction to the receiving address, both carrying the BTC amount.
+// An input's address and amount come from its `prevout` (verbosity 3) or
+// from the spent output when that transaction is loaded too.
+
+const SATOSHIS = 1e8;
+
+function toSatoshis(value) {
+    return Math.round(Number(value) * SATOSHIS);
+}
+
+function toBTC(satoshis) {
+    return satoshis / SATOSHIS;
+}
+
+function shortAddress(address) {
+    return address.length > 14 ? `${address.slice(0, 6)}…${address.slice(-4)}` : address;
+}
+
+// Older nodes list `addresses`; only a single one identifies the owner
+function outputAddress(output) {
+    const script = output.scriptPubKey || {};
+    if (script.address) return script.address;
+    return Array.isArray(script.addresses) && script.addresses.length === 1 ? script.addresses[0] : null;
+}
+
+function isTransaction(value) {
+    return value && typeof value === 'object' && typeof value.txid === 'string' && Array.isArray(value.vin);
+}
+
+function isBlock(value) {
+    return value && typeof value === 'object' && typeof value.hash === 'string' && Array.isArray(value.tx);
+}
+
+function parseDocuments(text) {
+    const trimmed = text.trim();
+    if (trimmed === '') return [];
+
+    try {
+        return [JSON.parse(trimmed)];
+    } catch (error) {
+        // Not one document: try one per line
+        const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) throw error;
+
+        return lines.map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (lineError) {
+                throw new Error(`Line ${i + 1}: ${lineError.message}`);
+            }
+        });
+    }
+}
+
+// Returns { transactions, warnings }; each transaction is the raw object
+// plus `blockHash`, `blockHeight` and `blockTime` when known
+export function parseBitcoinDump(text) {
+    const transactions = [];
+    const warnings = [];
+
+    const visit = (value) => {
+        if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value && typeof value === 'object' && 'result' in value && 'id' in value) {
+            if (value.error) {
+                warnings.push(`RPC error: ${value.error.message || JSON.stringify(value.error)}`);
+            } else {
+                visit(value.result);
+            }
+        } else if (isBlock(value)) {
+            if (value.tx.some(tx => typeof tx === 'string')) {
+                warnings.push(`Block ${value.height !== undefined ? value.height : value.hash} lists transaction ids only - dump it with getblock <hash> 2`);
+                return;
+            }
+            value.tx.forEach(tx => transactions.push({
+                ...tx,
+                blockHash: value.hash,
+                blockHeight: value.height,
+                blockTime: value.time
+            }));
+        } else if (isTransaction(value)) {
+            transactions.push({
+                ...value,
+                blockHash: value.blockhash,
+                blockHeight: value.blockheight,
+                blockTime: value.blocktime || value.time
+            });
+        } else {
+            warnings.push('Skipped a JSON value that is neither a block nor a transaction');
+        }
+    };
+
+    parseDocuments(text).forEach(visit);
+    return { transactions, warnings };
+}
+
+// Returns { nodes, edges, statistics } as Cytoscape element definitions
+export function buildBitcoinGraph(transactions) {
+    const unique = new Map();
+    transactions.forEach(tx => {
+        if (!unique.has(tx.txid)) unique.set(tx.txid, tx);
+    });
+
+    // Every loaded output, so inputs spending them can be resolved
+    const outputs = new Map();
+    unique.forEach(tx => {
+        tx.vout.forEach(output => outputs.set(`${tx.txid}:${output.n}`, {
+            address: outputAddress(output),
+            satoshis: toSatoshis(output.value)
+        }));
+    });
+
+    const addresses = new Map();
+    const address = (value) => {
+        if (!addresses.has(value)) {
+            addresses.set(value, {
+                id: `btc_addr_${value}`,
+                label: shortAddress(value),
+                type: 'address',
+                address: value,
+                received: 0,
+                sent: 0,
+                transferCount: 0
+            });
+        }
+        return addresses.get(value);
+    };
+
+    const nodes = [];
+    const edges = [];
+    let unresolvedInputs = 0;
+
+    unique.forEach(tx => {
+        const id = `btc_tx_${tx.txid}`;
+        const timestamp = tx.blockTime ? new Date(tx.blockTime * 1000).toISOString() : undefined;
+        const coinbase = tx.vin.some(input => input.coinbase !== undefined);
+        let inputSatoshis = 0;
+        let outputSatoshis = 0;
+        let unresolved = 0;
+
+        tx.vin.forEach((input, i) => {
+            if (input.coinbase !== undefined) return;
+
+            const spent = input.prevout ?
+                { address: outputAddress(input.prevout), satoshis: toSatoshis(input.prevout.value) } :
+                outputs.get(`${input.txid}:${input.vout}`);
+
+            if (!spent) {
+                unresolved++;
+                return;
+            }
+            inputSatoshis += spent.satoshis;
+            if (!spent.address) return;
+
+            const sender = address(spent.address);
+            sender.sent += spent.satoshis;
+            sender.transferCount++;
+            edges.push({
+                data: {
+                    id: `btc_in_${tx.txid}_${i}`,
+                    source: sender.id,
+                    target: id,
+                    type: 'input',
+                    amount: toBTC(spent.satoshis),
+                    ...(timestamp && { timestamp })
+                }
+            });
+        });
+
+        tx.vout.forEach(output => {
+            const satoshis = toSatoshis(output.value);
+            outputSatoshis += satoshis;
+
+            const value = outputAddress(output);
+            if (!value) return; // OP_RETURN and other scripts without an address
+
+            const recipient = address(value);
+            recipient.received += satoshis;
+            recipient.transferCount++;
+            edges.push({
+                data: {
+                    id: `btc_out_${tx.txid}_${output.n}`,
+                    source: id,
+                    target: recipient.id,
+                    type: 'output',
+                    amount: toBTC(satoshis),
+                    ...(timestamp && { timestamp })
+                }
+            });
+        });
+
+        unresolvedInputs += unresolved;
+        nodes.push({
+            data: {
+                id,
+                label: `TX ${tx.txid.substring(0, 8)}`,
+                type: 'transaction',
+                txId: tx.txid,
+                coinbase,
+                inputCount: tx.vin.length,
+                outputCount: tx.vout.length,
+                outputValue: toBTC(outputSatoshis),
+                // Input value and fee are only known once every input resolves
+                ...(unresolved === 0 && !coinbase && {
+                    inputValue: toBTC(inputSatoshis),
+                    fee: toBTC(inputSatoshis - outputSatoshis)
+                }),
+                ...(unresolved > 0 && { unresolvedInputs: unresolved }),
+                ...(tx.blockHash && { blockHash: tx.blockHash }),
+                ...(tx.blockHeight !== undefined && { blockHeight: tx.blockHeight }),
+                ...(timestamp && { timestamp })
+            }
+        });
+    });
+
+    addresses.forEach(data => {
+        data.received = toBTC(data.received);
+        data.sent = toBTC(data.sent);
+        nodes.push({ data });
+    });
+
+    return {
+        nodes,
+        edges,
+        statistics: {
+            transactions: unique.size,
+            addresses: addresses.size,
+            blocks: new Set(Array.from(unique.values(), tx => tx.blockHash).filter(Boolean)).size,
+            unresolvedInputs
+        }
+    };
+}
@@ -0,0 +1,195 @@
+// Column mappings for the Elliptic CSVs and transfer ledgers.
+//
+// A mapping says, per file, whether the first row is a header and which
+// column (by index) holds each field:
+//   features - { hasHeader, id, timestep }   every other column is a feature
+//   classes  - { hasHeader, id, label }
+//   edges    - { hasHeader, source, target }
+//   walletFeatures - { hasHeader, id, timestep }   Elliptic++ wallet layer
+//   walletClasses  - { hasHeader, id, label }
+//   addrTx   - { hasHeader, address, txId }       input address -> transaction
+//   txAddr   - { hasHeader, txId, address }       transaction -> output address
+//   addrAddr - { hasHeader, source, target }
+//   ledger   - { hasHeader, from, to, amount, timestamp, asset, id, fromType, toType }
+// Mappings are guessed from the first row and can be corrected by the
+// user; schemaSignature() identifies a file layout so they can be reused.
+import Papa from 'papaparse';
+
+export const MAPPING_FIELDS = {
+    features: [
+        { key: 'id', label: 'Transaction id', required: true },
+        { key: 'timestep', label: 'Timestep', required: false }
+    ],
+    classes: [
+        { key: 'id', label: 'Transaction id', required: true },
+        { key: 'label', label: 'Label', required: true }
+    ],
+    edges: [
+        { key: 'source', label: 'Source id', required: true },
+        { key: 'target', label: 'Target id', required: true }
+    ],
+    walletFeatures: [
+        { key: 'id', label: 'Address', required: true },
+        { key: 'timestep', label: 'Timestep', required: false }
+    ],
+    walletClasses: [
+        { key: 'id', label: 'Address', required: true },
+        { key: 'label', label: 'Label', required: true }
+    ],
+    addrTx: [
+        { key: 'address', label: 'Input address', required: true },
+        { key: 'txId', label: 'Transaction id', required: true }
+    ],
+    txAddr: [
+        { key: 'txId', label: 'Transaction id', required: true },
+        { key: 'address', label: 'Output address', required: true }
+    ],
+    addrAddr: [
+        { key: 'source', label: 'Input address', required: true },
+        { key: 'target', label: 'Output address', required: true }
+    ],
+    ledger: [
+        { key: 'from', label: 'Sender address', required: true },
+        { key: 'to', label: 'Recipient address', required: true },
+        { key: 'amount', label: 'Amount', required: true },
+        { key: 'timestamp', label: 'Timestamp', required: false },
+        { key: 'asset', label: 'Asset', required: false },
+        { key: 'id', label: 'Transfer id', required: false },
+        { key: 'fromType', label: 'Sender type', required: false },
+        { key: 'toType', label: 'Recipient type', required: false }
+    ]
+};
+
+// Column names seen across Elliptic and Elliptic++ exports and common
+// ledger layouts (matched case-insensitively), and the position each field
+// has in headerless files; null when it has no usual position
+const KNOWN_COLUMNS = {
+    features: {
+        id: { names: ['txId', 'txid', 'id', 'node_id', 'transaction_id'], position: 0 },
+        timestep: { names: ['Time step', 'timestep', 'time_step'], position: 1 }
+    },
+    classes: {
+        id: { names: ['txId', 'txid', 'id', 'node_id', 'transaction_id'], position: 0 },
+        label: { names: ['class', 'label', 'classification'], position: 1 }
+    },
+    edges: {
+        source: { names: ['txId1', 'source', 'from', 'node1'], position: 0 },
+        target: { names: ['txId2', 'target', 'to', 'node2'], position: 1 }
+    },
+    walletFeatures: {
+        id: { names: ['address', 'wallet', 'addr'], position: 0 },
+        timestep: { names: ['Time step', 'timestep', 'time_step'], position: 1 }
+    },
+    walletClasses: {
+        id: { names: ['address', 'wallet', 'addr'], position: 0 },
+        label: { names: ['class', 'label', 'classification'], position: 1 }
+    },
+    addrTx: {
+        address: { names: ['input_address', 'address', 'addr'], position: 0 },
+        txId: { names: ['txId', 'txid', 'transaction_id'], position: 1 }
+    },
+    txAddr: {
+        txId: { names: ['txId', 'txid', 'transaction_id'], position: 0 },
+        address: { names: ['output_address', 'address', 'addr'], position: 1 }
+    },
+    addrAddr: {
+        source: { names: ['input_address', 'source', 'from'], position: 0 },
+        target: { names: ['output_address', 'target', 'to'], position: 1 }
+    },
+    ledger: {
+        from: { names: ['from', 'sender', 'source', 'from_address', 'input'], position: 0 },
+        to: { names: ['to', 'recipient', 'receiver', 'target', 'to_address', 'output'], position: 1 },
+        amount: { names: ['amount', 'value', 'quantity'], position: 2 },
+        timestamp: { names: ['timestamp', 'time', 'date', 'datetime', 'block_time'], position: 3 },
+        asset: { names: ['asset', 'currency', 'token', 'symbol', 'coin'], position: 4 },
+        id: { names: ['id', 'txid', 'tx_hash', 'hash', 'transaction_id'], position: null },
+        fromType: { names: ['from_type', 'sender_type'], position: null },
+        toType: { names: ['to_type', 'recipient_type'], position: null }
+    }
+};
+
+// Files whose first column holds addresses, which aren't numeric either
+const ADDRESS_FIRST = new Set(['walletFeatures', 'walletClasses', 'addrTx', 'addrAddr']);
+
+// The original Elliptic files have no header row, Elliptic++ files do.
+// Transaction ids are always numeric there, so a non-numeric first cell
+// means a header; files starting with an address need a known column name.
+export function isHeaderRow(row, file = null) {
+    if (ADDRESS_FIRST.has(file)) {
+        const names = Object.values(KNOWN_COLUMNS[file]).flatMap(({ names: known }) => known.map(name => name.toLowerCase()));
+        return row.some(cell => names.includes(String(cell).trim().toLowerCase()));
+    }
+
+    const first = row[0] === undefined ? '' : String(row[0]).trim();
+    return first === '' || isNaN(Number(first));
+}
+
+// Best guess from the first row of a file; known names win over positions
+export function guessMapping(file, firstRow) {
+    const hasHeader = isHeaderRow(firstRow, file);
+    const mapping = { hasHeader };
+    const required = new Set(MAPPING_FIELDS[file].filter(field => field.required).map(field => field.key));
+
+    Object.entries(KNOWN_COLUMNS[file]).forEach(([field, { names, position }]) => {
+        const lowerNames = names.map(name => name.toLowerCase());
+        const named = hasHeader ?
+            firstRow.findIndex(name => lowerNames.includes(String(name).trim().toLowerCase())) : -1;
+
+        if (named !== -1) {
+            mapping[field] = named;
+        } else {
+            // A headered file only gets positional guesses for required fields
+            const usable = position !== null && position < firstRow.length && (!hasHeader || required.has(field));
+            mapping[field] = usable ? position : null;
+        }
+    });
+
+    return mapping;
+}
+
+// Identifies a file layout: its header names, or its column count if headerless
+export function schemaSignature(file, firstRow, hasHeader) {
+    const shape = hasHeader ?
+        firstRow.map(name => String(name).trim()).join(',') :
+        `${firstRow.length} columns`;
+    return `${file}|${shape}`;
+}
+
+// Problems that make a mapping unusable before any rows are read
+export function validateMapping(file, mapping, columnCount) {
+    const problems = [];
+    const used = new Map();
+
+    MAPPING_FIELDS[file].forEach(({ key, label, required }) => {
+        const column = mapping[key];
+        if (column === null || column === undefined) {
+            if (required) problems.push(`${label} column is not mapped`);
+            return;
+        }
+        if (!Number.isInteger(column) || column < 0 || column >= columnCount) {
+            problems.push(`${label} column ${column + 1} does not exist (the file has ${columnCount})`);
+            return;
+        }
+        if (used.has(column)) {
+            problems.push(`${label} and ${used.get(column)} are both mapped to column ${column + 1}`);
+        }
+        used.set(column, label);
+    });
+
+    return problems;
+}
+
+// First few rows of a CSV as arrays of strings
+export function previewCSV(file, rows = 5) {
+    return new Promise((resolve, reject) => {
+        Papa.parse(file, {
+            header: false,
+            dynamicTyping: false,
+            skipEmptyLines: true,
+            delimiter: ',',
+            preview: rows,
+            complete: (results) => resolve(results.data),
+            error: (error) => reject(new Error(`Failed to read ${file.name}: ${error.message}`))
+        });
+    });
+}
@@ -0,0 +1,47 @@
+// Web Worker that streams the Elliptic CSVs through Papa Parse and builds
+// the indexed dataset off the main thread, so the UI stays responsive
+// while all ~200k transactions load.
+import Papa from 'papaparse';
+import { datasetTransferables } from './EllipticDatasetBuilder.js';
+import { readEllipticDataset } from '../core/datasets.js';
+
+function parseFile(file, key, onRow) {
+    return new Promise((resolve, reject) => {
+        let rows = 0;
+
+        Papa.parse(file, {
+            header: false,
+            dynamicTyping: false,
+            skipEmptyLines: true,
+            delimiter: ',',
+            chunk: (results) => {
+                results.data.forEach(onRow);
+                rows += results.data.length;
+
+                self.postMessage({
+                    type: 'progress',
+                    file: key,
+                    fileName: file.name,
+                    loaded: Math.min(results.meta.cursor, file.size),
+                    total: file.size,
+                    rows
+                });
+            },
+            complete: () => resolve(rows),
+            error: (error) => reject(new Error(`Failed to parse ${file.name}: ${error.message}`))
+        });
+    });
+}
+
+async function load(files, mapping) {
+    const dataset = await readEllipticDataset(files, { mapping: mapping || {}, parseFile });
+    self.postMessage({ type: 'complete', dataset }, datasetTransferables(dataset));
+}
+
+self.onmessage = (event) => {
+    if (event.data.type !== 'load') return;
+
+    load(event.data.files, event.data.mapping).catch(error => {
+        self.postMessage({ type: 'error', message: error.message, validation: error.validation });
+    });
+};
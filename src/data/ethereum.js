@@ -0,0 +1,359 @@
+// Account-model (Ethereum) transfers: ERC-20 `Transfer` events and native
+// ETH transactions, as
+//   - Etherscan API results ({ status, message, result: [...] }) or CSV
+//     exports of token transfers (tokentx) and normal transactions (txlist)
+//   - BigQuery-style token_transfers / transactions tables
+//   - raw eth_getLogs results (Transfer logs with topics and data)
+// Column and field names are matched ignoring case, spaces and underscores.
+//
+// Amounts are normalised by the token's decimals (18 for ETH). The graph
+// has a node per account and an edge per sender, recipient and token
+// contract; like ledger edges, each keeps its individual transfers.
+import Papa from 'papaparse';
+
+export const NATIVE_TOKEN = 'ETH';
+
+// keccak256('Transfer(address,address,uint256)')
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+// Decimals for common mainnet tokens, for exports that don't carry them
+const KNOWN_TOKENS = {
+    '0xdac17f958d2ee523a2206206994597c13d831ec7': { symbol: 'USDT', decimals: 6 },
+    '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': { symbol: 'USDC', decimals: 6 },
+    '0x6b175474e89094c44da98b954eedeac495271d0f': { symbol: 'DAI', decimals: 18 },
+    '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': { symbol: 'WETH', decimals: 18 },
+    '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599': { symbol: 'WBTC', decimals: 8 }
+};
+
+// Field names, normalised (lowercase, no spaces, underscores or brackets)
+const FIELDS = {
+    hash: ['hash', 'transactionhash', 'txhash'],
+    logIndex: ['logindex'],
+    from: ['from', 'fromaddress'],
+    to: ['to', 'toaddress'],
+    contract: ['contractaddress', 'tokenaddress'],
+    symbol: ['tokensymbol', 'symbol'],
+    decimals: ['tokendecimal', 'tokendecimals', 'decimals'],
+    value: ['value'],
+    amount: ['tokenvalue', 'quantity', 'amount'],
+    valueIn: ['valueineth'],
+    valueOut: ['valueouteth'],
+    timestamp: ['timestamp', 'timestampunix', 'blocktimestamp', 'unixtimestamp', 'datetimeutc', 'datetime'],
+    blockNumber: ['blocknumber', 'blockno'],
+    isError: ['iserror'],
+    receiptStatus: ['txreceiptstatus', 'receiptstatus'],
+    input: ['input'],
+    tokenId: ['tokenid']
+};
+
+// Fields only token transfer exports have
+const TOKEN_FIELDS = ['tokensymbol', 'tokendecimal', 'tokendecimals', 'tokenname', 'tokenaddress', 'tokenvalue', 'quantity'];
+
+function normaliseKey(key) {
+    return String(key).toLowerCase().replace(/[\s_()]/g, '');
+}
+
+function shortAddress(address) {
+    return address.length > 14 ? `${address.slice(0, 6)}…${address.slice(-4)}` : address;
+}
+
+function isAddress(value) {
+    return /^0x[0-9a-f]{40}$/i.test(value);
+}
+
+// Token units to a decimal number, e.g. ('1500000', 6) -> 1.5. Integer
+// maths on BigInt so 18-decimal amounts keep their precision.
+function fromUnits(raw, decimals) {
+    const units = BigInt(raw);
+    if (decimals === 0) return Number(units);
+
+    const scale = BigInt(`1${'0'.repeat(decimals)}`);
+    const fraction = (units % scale).toString().padStart(decimals, '0');
+    return Number(`${units / scale}.${fraction}`);
+}
+
+// Log fields are hex quantities in raw RPC output, decimal elsewhere
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    const number = /^0x[0-9a-f]+$/i.test(text) ? parseInt(text, 16) : Number(text);
+    return isNaN(number) ? null : number;
+}
+
+function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = toNumber(value);
+    const time = number !== null ? (number < 1e12 ? number * 1000 : number) : Date.parse(String(value).trim());
+    return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function parseDocuments(text) {
+    const trimmed = text.trim();
+    try {
+        return [JSON.parse(trimmed)];
+    } catch (error) {
+        // One JSON document per line
+        return trimmed.split(/\r?\n/).filter(line => line.trim() !== '').map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (lineError) {
+                throw new Error(`Line ${i + 1}: ${lineError.message}`);
+            }
+        });
+    }
+}
+
+// Records (plain objects) from a CSV or JSON export
+export function parseEthereumText(text, fileName = '') {
+    const trimmed = text.trim();
+    if (trimmed === '') return [];
+
+    if (/\.jsonl?$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const records = [];
+        const visit = (value) => {
+            if (Array.isArray(value)) {
+                value.forEach(visit);
+            } else if (value && typeof value === 'object' && Array.isArray(value.result)) {
+                // Etherscan API and JSON-RPC responses
+                visit(value.result);
+            } else if (value && typeof value === 'object' && Array.isArray(value.transfers)) {
+                visit(value.transfers);
+            } else if (value && typeof value === 'object') {
+                records.push(value);
+            }
+        };
+        parseDocuments(trimmed).forEach(visit);
+        return records;
+    }
+
+    const results = Papa.parse(trimmed, { header: true, dynamicTyping: false, skipEmptyLines: true });
+    if (results.errors.length > 0 && results.data.length === 0) {
+        throw new Error(results.errors[0].message);
+    }
+    return results.data;
+}
+
+// One record as { hash, logIndex, from, to, token, symbol, decimals,
+// units | amount, timestamp, ... } or { skip: reason }
+function readRecord(record) {
+    const fields = new Map(Object.entries(record).map(([key, value]) => [normaliseKey(key), value]));
+    const get = (name) => {
+        const key = FIELDS[name].find(candidate => fields.has(candidate));
+        const value = key === undefined ? undefined : fields.get(key);
+        return value === undefined || value === null ? '' : String(value).trim();
+    };
+
+    // Raw Transfer logs carry the parties in the topics and the value in data
+    if (Array.isArray(record.topics)) {
+        if (String(record.topics[0]).toLowerCase() !== TRANSFER_TOPIC) return { skip: 'Log is not a Transfer event' };
+        if (record.topics.length !== 3) return { skip: 'Transfer event of a non-fungible (ERC-721) token' };
+        if (record.removed === true) return { skip: 'Log was removed by a reorg' };
+
+        return {
+            hash: String(record.transactionHash || '').toLowerCase(),
+            logIndex: toNumber(record.logIndex),
+            from: `0x${String(record.topics[1]).slice(-40)}`.toLowerCase(),
+            to: `0x${String(record.topics[2]).slice(-40)}`.toLowerCase(),
+            token: String(record.address).toLowerCase(),
+            units: record.data === '0x' ? '0' : record.data,
+            timestamp: parseTimestamp(record.blockTimestamp || record.timeStamp),
+            blockNumber: toNumber(record.blockNumber)
+        };
+    }
+
+    if (get('tokenId') !== '') return { skip: 'Transfer of a non-fungible token' };
+    if (get('isError') === '1' || get('receiptStatus') === '0') return { skip: 'Transaction failed' };
+
+    const isToken = TOKEN_FIELDS.some(field => fields.has(field));
+    const contract = get('contract').toLowerCase();
+    const input = get('input');
+    const transfer = {
+        hash: get('hash').toLowerCase(),
+        logIndex: toNumber(get('logIndex')),
+        from: get('from').toLowerCase(),
+        to: get('to').toLowerCase(),
+        token: isToken ? contract : NATIVE_TOKEN,
+        timestamp: parseTimestamp(get('timestamp')),
+        blockNumber: toNumber(get('blockNumber'))
+    };
+
+    if (isToken) {
+        transfer.symbol = get('symbol');
+        if (get('decimals') !== '') transfer.decimals = Number(get('decimals'));
+    } else {
+        transfer.decimals = 18;
+        // Contract creations have no recipient, the new contract is listed instead
+        if (transfer.to === '' && isAddress(contract)) {
+            transfer.to = contract;
+            transfer.createdContract = contract;
+        }
+        // Calldata means the recipient is (almost always) a contract
+        transfer.call = input !== '' && input !== '0x' && input !== 'deprecated';
+    }
+
+    // Exports in whole tokens (Etherscan CSV), otherwise raw units
+    const decimal = name => Number(get(name).replace(/,/g, ''));
+    if (fields.has('valueineth') || fields.has('valueouteth')) {
+        transfer.amount = (decimal('valueIn') || 0) || (decimal('valueOut') || 0);
+    } else if (get('amount') !== '') {
+        transfer.amount = decimal('amount');
+    } else if (get('value') !== '') {
+        transfer.units = get('value');
+    } else {
+        return { skip: 'No value or amount field' };
+    }
+
+    return transfer;
+}
+
+// Returns { nodes, edges, tokens, statistics, warnings } as Cytoscape
+// element definitions; `tokens` is [{ key, symbol, contract, decimals, transfers }]
+export function buildEthereumGraph(records) {
+    const warnings = [];
+    const skipped = new Map(); // reason -> count
+    const skip = reason => skipped.set(reason, (skipped.get(reason) || 0) + 1);
+
+    const tokens = new Map();
+    const contracts = new Set();
+    const accounts = new Map();
+    const edges = new Map();
+    const seen = new Set();
+    const unknownDecimals = new Set();
+    let transferCount = 0;
+
+    const account = (address) => {
+        if (!accounts.has(address)) {
+            accounts.set(address, {
+                id: address,
+                label: shortAddress(address),
+                type: 'account',
+                address,
+                transferCount: 0,
+                tokens: []
+            });
+        }
+        return accounts.get(address);
+    };
+
+    records.forEach(record => {
+        const transfer = readRecord(record);
+        if (transfer.skip) {
+            skip(transfer.skip);
+            return;
+        }
+        if (!isAddress(transfer.from) || !isAddress(transfer.to)) {
+            skip('Sender or recipient is not an address');
+            return;
+        }
+
+        // Token and transaction exports of one account overlap
+        const key = transfer.logIndex !== null ? `${transfer.hash}:${transfer.logIndex}` : `${transfer.hash}:${transfer.token}:${transfer.from}:${transfer.to}`;
+        if (transfer.hash !== '' && seen.has(key)) return;
+        seen.add(key);
+
+        if (transfer.createdContract) contracts.add(transfer.createdContract);
+        if (transfer.call) contracts.add(transfer.to);
+
+        if (!tokens.has(transfer.token)) {
+            const known = KNOWN_TOKENS[transfer.token] || {};
+            const native = transfer.token === NATIVE_TOKEN;
+            tokens.set(transfer.token, {
+                key: transfer.token,
+                symbol: native ? NATIVE_TOKEN : (transfer.symbol || known.symbol || shortAddress(transfer.token)),
+                contract: native ? null : transfer.token,
+                decimals: transfer.decimals !== undefined ? transfer.decimals : known.decimals,
+                transfers: 0
+            });
+            if (!native) contracts.add(transfer.token);
+        }
+        const token = tokens.get(transfer.token);
+
+        let amount = transfer.amount;
+        if (amount === undefined) {
+            let decimals = token.decimals;
+            if (decimals === undefined || !Number.isInteger(decimals)) {
+                unknownDecimals.add(token.symbol);
+                decimals = 0;
+            }
+            try {
+                amount = fromUnits(transfer.units, decimals);
+            } catch (error) {
+                skip('Value is not a whole number of token units');
+                return;
+            }
+        }
+        if (isNaN(amount) || amount < 0) {
+            skip('Amount is not a non-negative number');
+            return;
+        }
+        // Zero-value native transactions are plain contract calls. Zero-value
+        // token transfers are kept: they are a known address-poisoning trick.
+        if (amount === 0 && token.key === NATIVE_TOKEN) {
+            skip('Zero-value transaction');
+            return;
+        }
+
+        token.transfers++;
+        transferCount++;
+        const sender = account(transfer.from);
+        const recipient = account(transfer.to);
+        [sender, recipient].forEach(data => {
+            data.transferCount++;
+            if (!data.tokens.includes(token.key)) data.tokens.push(token.key);
+        });
+
+        const edgeKey = JSON.stringify([transfer.from, transfer.to, token.key]);
+        if (!edges.has(edgeKey)) {
+            edges.set(edgeKey, {
+                id: `eth_transfer_${edges.size + 1}`,
+                source: transfer.from,
+                target: transfer.to,
+                type: 'transfer',
+                asset: token.symbol,
+                token: token.key,
+                amount: 0,
+                count: 0,
+                transfers: []
+            });
+        }
+
+        const edge = edges.get(edgeKey);
+        edge.amount += amount;
+        edge.count++;
+        edge.transfers.push({
+            id: transfer.logIndex !== null ? `${transfer.hash}:${transfer.logIndex}` : transfer.hash,
+            amount,
+            ...(transfer.timestamp && { timestamp: transfer.timestamp }),
+            ...(transfer.blockNumber !== null && { blockNumber: transfer.blockNumber })
+        });
+    });
+
+    edges.forEach(edge => {
+        const times = edge.transfers.map(transfer => transfer.timestamp).filter(Boolean).sort();
+        if (times.length > 0) {
+            edge.timestamp = times[0];
+            edge.lastTimestamp = times[times.length - 1];
+        }
+    });
+
+    accounts.forEach(data => {
+        if (contracts.has(data.address)) data.type = 'contract';
+    });
+
+    unknownDecimals.forEach(symbol => warnings.push(`${symbol} has no known decimals - its amounts are in raw token units`));
+    skipped.forEach((count, reason) => warnings.push(`Skipped ${count} records: ${reason}`));
+
+    return {
+        nodes: Array.from(accounts.values(), data => ({ data })),
+        edges: Array.from(edges.values(), data => ({ data })),
+        tokens: Array.from(tokens.values()).sort((a, b) => b.transfers - a.transfers),
+        statistics: {
+            transfers: transferCount,
+            accounts: accounts.size,
+            contracts: Array.from(accounts.values()).filter(data => data.type === 'contract').length,
+            edges: edges.size,
+            tokens: tokens.size
+        },
+        warnings
+    };
+}
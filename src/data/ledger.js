@@ -0,0 +1,192 @@
+// Generic transfer ledgers: one record per transfer (from, to, amount and
+// optionally timestamp, asset, id and the sender/recipient types), as CSV
+// or JSON. Transfers are aggregated into a wallet graph with one edge per
+// sender, recipient and asset; each edge keeps its individual transfers.
+import Papa from 'papaparse';
+
+// Issues kept for the validation report; the rest are only counted
+const MAX_ISSUES = 20;
+
+// A ledger with more invalid rows than this was almost certainly mapped wrong
+const MAX_INVALID_SHARE = 0.5;
+
+// JSON ledgers are an array of transfer objects, or { transfers: [...] }.
+// Returns rows of strings with a header row, like a parsed CSV.
+function rowsFromJSON(text) {
+    const parsed = JSON.parse(text);
+    const records = Array.isArray(parsed) ? parsed : parsed && parsed.transfers;
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+        throw new Error('JSON ledgers must be an array of transfer objects or { "transfers": [...] }');
+    }
+
+    const header = [];
+    records.forEach(record => Object.keys(record).forEach(key => {
+        if (!header.includes(key)) header.push(key);
+    }));
+
+    return [header, ...records.map(record => header.map(key => {
+        const value = record[key];
+        return value === undefined || value === null ? '' : String(value);
+    }))];
+}
+
+// Rows of strings (header included) from the text of a CSV or JSON ledger
+export function parseLedgerText(text, fileName = '') {
+    const trimmed = text.trim();
+    if (/\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        return rowsFromJSON(trimmed);
+    }
+
+    const results = Papa.parse(trimmed, { header: false, dynamicTyping: false, skipEmptyLines: true });
+    if (results.errors.length > 0 && results.data.length === 0) {
+        throw new Error(results.errors[0].message);
+    }
+    return results.data;
+}
+
+// ISO string from an ISO/date string or Unix seconds/milliseconds, or null
+function parseTimestamp(value) {
+    const number = Number(value);
+    const time = value !== '' && !isNaN(number) ?
+        (number < 1e12 ? number * 1000 : number) :
+        Date.parse(value);
+
+    return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function shortAddress(address) {
+    return address.length > 14 ? `${address.slice(0, 6)}…${address.slice(-4)}` : address;
+}
+
+// Returns { nodes, edges, statistics, validation } as Cytoscape element
+// definitions. Throws with `validation` set when the mapping doesn't fit.
+export function buildLedgerGraph(rows, mapping) {
+    const cell = (row, column) => (column === null || column === undefined || row[column] === undefined ?
+        '' : String(row[column]).trim());
+
+    const validation = { file: 'ledger', rows: 0, invalid: 0, issues: [] };
+    const reportIssue = (rowNumber, column, value, message) => {
+        validation.invalid++;
+        if (validation.issues.length < MAX_ISSUES) {
+            validation.issues.push({ row: rowNumber, column: column === null ? null : column + 1, value, message });
+        }
+    };
+
+    const wallets = new Map();
+    const edges = new Map();
+    const assets = new Set();
+
+    const wallet = (address, type) => {
+        if (!wallets.has(address)) {
+            wallets.set(address, {
+                id: address,
+                label: shortAddress(address),
+                type: 'wallet',
+                address,
+                sent: 0,
+                received: 0,
+                transferCount: 0
+            });
+        }
+        const data = wallets.get(address);
+        // Any non-wallet type (exchange, mixer...) reported for an address wins
+        if (type && type !== 'wallet') data.type = type;
+        return data;
+    };
+
+    const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+    dataRows.forEach((row, i) => {
+        const rowNumber = i + 1 + (mapping.hasHeader ? 1 : 0);
+        validation.rows++;
+
+        const from = cell(row, mapping.from);
+        const to = cell(row, mapping.to);
+        const rawAmount = cell(row, mapping.amount);
+        const amount = Number(rawAmount);
+
+        if (from === '') {
+            reportIssue(rowNumber, mapping.from, from, 'Sender address is empty');
+            return;
+        }
+        if (to === '') {
+            reportIssue(rowNumber, mapping.to, to, 'Recipient address is empty');
+            return;
+        }
+        if (rawAmount === '' || isNaN(amount) || amount < 0) {
+            reportIssue(rowNumber, mapping.amount, rawAmount, 'Amount is not a non-negative number');
+            return;
+        }
+
+        let timestamp = null;
+        const rawTimestamp = cell(row, mapping.timestamp);
+        if (rawTimestamp !== '') {
+            timestamp = parseTimestamp(rawTimestamp);
+            if (!timestamp) {
+                reportIssue(rowNumber, mapping.timestamp, rawTimestamp, 'Timestamp is not a date or Unix time');
+                return;
+            }
+        }
+
+        const asset = cell(row, mapping.asset);
+        const sender = wallet(from, cell(row, mapping.fromType).toLowerCase());
+        const recipient = wallet(to, cell(row, mapping.toType).toLowerCase());
+        sender.sent += amount;
+        sender.transferCount++;
+        recipient.received += amount;
+        recipient.transferCount++;
+        if (asset) assets.add(asset);
+
+        const key = JSON.stringify([from, to, asset]);
+        if (!edges.has(key)) {
+            edges.set(key, {
+                id: `transfer_${edges.size + 1}`,
+                source: from,
+                target: to,
+                type: 'transfer',
+                ...(asset && { asset }),
+                amount: 0,
+                count: 0,
+                transfers: []
+            });
+        }
+
+        const edge = edges.get(key);
+        edge.amount += amount;
+        edge.count++;
+        edge.transfers.push({
+            id: cell(row, mapping.id) || `row ${rowNumber}`,
+            amount,
+            ...(timestamp && { timestamp })
+        });
+    });
+
+    if (validation.rows === 0 || validation.invalid / validation.rows > MAX_INVALID_SHARE) {
+        const error = new Error(validation.rows === 0 ?
+            'The ledger has no transfer rows' :
+            `${validation.invalid.toLocaleString()} of ${validation.rows.toLocaleString()} ledger rows are invalid - check the column mapping.`);
+        error.validation = validation;
+        throw error;
+    }
+
+    // First and last transfer time per edge, for the timestamp field the
+    // rest of the app reads
+    edges.forEach(edge => {
+        const times = edge.transfers.map(transfer => transfer.timestamp).filter(Boolean).sort();
+        if (times.length > 0) {
+            edge.timestamp = times[0];
+            edge.lastTimestamp = times[times.length - 1];
+        }
+    });
+
+    return {
+        nodes: Array.from(wallets.values(), data => ({ data })),
+        edges: Array.from(edges.values(), data => ({ data })),
+        statistics: {
+            transfers: validation.rows - validation.invalid,
+            wallets: wallets.size,
+            edges: edges.size,
+            assets: Array.from(assets)
+        },
+        validation
+    };
+}
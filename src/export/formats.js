@@ -0,0 +1,173 @@
+// Serialisers for exporting graph elements. All take plain element
+// definitions ({ nodes: [{ data, position }], edges: [{ data }] }), so they
+// work on Cytoscape output or anything shaped like it.
+
+import Papa from 'papaparse';
+
+// Data keys that are structural or too bulky to export as attributes
+const SKIPPED_KEYS = new Set(['id', 'source', 'target', 'features']);
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Arrays of plain values become ';'-joined strings, anything else JSON
+function flattenValue(value) {
+    if (Array.isArray(value) && !value.some(item => item !== null && typeof item === 'object')) {
+        return value.join(';');
+    }
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+function valueType(value) {
+    if (typeof value === 'boolean') return 'boolean';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'long' : 'double';
+    return 'string';
+}
+
+// Union of attribute keys across elements, with a type that fits every value
+function collectAttributes(elements) {
+    const attributes = new Map();
+
+    elements.forEach(element => {
+        Object.entries(element.data).forEach(([key, value]) => {
+            if (SKIPPED_KEYS.has(key) || value === undefined || value === null) return;
+
+            const type = valueType(flattenValue(value));
+            const known = attributes.get(key);
+            if (!known) {
+                attributes.set(key, type);
+            } else if (known !== type) {
+                const numeric = ['long', 'double'];
+                attributes.set(key, numeric.includes(known) && numeric.includes(type) ? 'double' : 'string');
+            }
+        });
+    });
+
+    return attributes;
+}
+
+export function toGraphML({ nodes, edges }) {
+    const nodeAttributes = collectAttributes(nodes);
+    const edgeAttributes = collectAttributes(edges);
+
+    const keys = [
+        ...Array.from(nodeAttributes, ([name, type]) =>
+            `    <key id="n_${escapeXml(name)}" for="node" attr.name="${escapeXml(name)}" attr.type="${type}"/>`),
+        ...Array.from(edgeAttributes, ([name, type]) =>
+            `    <key id="e_${escapeXml(name)}" for="edge" attr.name="${escapeXml(name)}" attr.type="${type}"/>`)
+    ];
+
+    const dataLines = (data, attributes, prefix) => Array.from(attributes.keys())
+        .filter(name => data[name] !== undefined && data[name] !== null)
+        .map(name => `            <data key="${prefix}_${escapeXml(name)}">${escapeXml(flattenValue(data[name]))}</data>`);
+
+    const nodeLines = nodes.map(({ data }) => [
+        `        <node id="${escapeXml(data.id)}">`,
+        ...dataLines(data, nodeAttributes, 'n'),
+        '        </node>'
+    ].join('\n'));
+
+    const edgeLines = edges.map(({ data }) => [
+        `        <edge id="${escapeXml(data.id)}" source="${escapeXml(data.source)}" target="${escapeXml(data.target)}">`,
+        ...dataLines(data, edgeAttributes, 'e'),
+        '        </edge>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        ...keys,
+        '    <graph id="G" edgedefault="directed">',
+        ...nodeLines,
+        ...edgeLines,
+        '    </graph>',
+        '</graphml>',
+        ''
+    ].join('\n');
+}
+
+export function toGEXF({ nodes, edges }) {
+    const gexfType = type => (type === 'long' ? 'integer' : type);
+    const nodeAttributes = Array.from(collectAttributes(nodes));
+    const edgeAttributes = Array.from(collectAttributes(edges));
+
+    const declarations = (attributes, cls) => [
+        `        <attributes class="${cls}">`,
+        ...attributes.map(([name, type], i) =>
+            `            <attribute id="${i}" title="${escapeXml(name)}" type="${gexfType(type)}"/>`),
+        '        </attributes>'
+    ];
+
+    const attValues = (data, attributes) => {
+        const values = attributes
+            .map(([name], i) => [i, data[name]])
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([i, value]) => `                    <attvalue for="${i}" value="${escapeXml(flattenValue(value))}"/>`);
+        return values.length > 0 ? ['                <attvalues>', ...values, '                </attvalues>'] : [];
+    };
+
+    const nodeLines = nodes.map(({ data, position }) => [
+        `            <node id="${escapeXml(data.id)}" label="${escapeXml(data.label || data.id)}">`,
+        ...attValues(data, nodeAttributes),
+        ...(position ? [`                <viz:position x="${position.x}" y="${-position.y}" z="0"/>`] : []),
+        '            </node>'
+    ].join('\n'));
+
+    const edgeLines = edges.map(({ data }) => {
+        const weight = Number(data.amount);
+        return [
+            `            <edge id="${escapeXml(data.id)}" source="${escapeXml(data.source)}" target="${escapeXml(data.target)}"` +
+                `${isNaN(weight) ? '' : ` weight="${weight}"`}>`,
+            ...attValues(data, edgeAttributes),
+            '            </edge>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+        `    <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+        '        <creator>Crypto Compliance Network Visualizer</creator>',
+        '    </meta>',
+        '    <graph defaultedgetype="directed" mode="static">',
+        ...declarations(nodeAttributes, 'node'),
+        ...declarations(edgeAttributes, 'edge'),
+        '        <nodes>',
+        ...nodeLines,
+        '        </nodes>',
+        '        <edges>',
+        ...edgeLines,
+        '        </edges>',
+        '    </graph>',
+        '</gexf>',
+        ''
+    ].join('\n');
+}
+
+// One row per element; `id` (and `source`/`target` for edges) come first
+function toCSV(elements, leadingColumns) {
+    const columns = [...leadingColumns, ...collectAttributes(elements).keys()];
+    const rows = elements.map(({ data }) => columns.map(column => {
+        const value = flattenValue(data[column]);
+        return value === undefined || value === null ? '' : value;
+    }));
+
+    // Labels and notes come from imported files; keep spreadsheets from
+    // running a value like =HYPERLINK(...) as a formula
+    return Papa.unparse({ fields: columns, data: rows }, { escapeFormulae: true });
+}
+
+export function toNodesCSV({ nodes }) {
+    return toCSV(nodes, ['id']);
+}
+
+export function toEdgesCSV({ edges }) {
+    return toCSV(edges, ['id', 'source', 'target']);
+}
@@ -0,0 +1,63 @@
+// Session files: everything needed to put the visualizer back into the
+// state it was saved in. The visualizer gathers and applies the state;
+// this module only versions, serialises and validates it.
+//
+//   dataset, datasetKey   - currentDataset mode and the case-store key
+//   elements              - Cytoscape element JSON (data, position, classes, selected)
+//   viewport              - { zoom, pan }
+//   filters               - { timeline: { visible, min, max, start, end }, search, searchMode }
+//   view                  - { mode, transactions: [txId] or null }, the Elliptic graph view
+//   tokens                - { list, selected } tokens of an Ethereum import and the one shown
+//   patterns              - { results: [{ detector, findings, truncated }], cursor, detectors }
+//   risk                  - { seeds, active, model, seedSource, maxHops, decay }
+//   metrics               - { rankBy, sizeBy, colourBy, active }
+//   communities           - { resolution, summary: { count, modularity } or null }
+//   clustering            - { heuristics, rejected: [evidence id], summary or null }
+//   screening             - { maxHops, summary: { lists, matches, exposed, maxHops } or null }
+//   paths                 - { source, target, mode, maxHops, active }
+//   annotations, cases    - investigation notes, as stored by CaseStore
+//   classifier            - metrics from the last classifier run, or null
+
+export const SESSION_FORMAT = 'crypto-compliance-session';
+export const SESSION_VERSION = 1;
+
+export function serializeSession(state) {
+    return JSON.stringify({
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        ...state
+    });
+}
+
+export function parseSession(text) {
+    let session;
+    try {
+        session = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Session file is not valid JSON: ${error.message}`);
+    }
+
+    if (!session || session.format !== SESSION_FORMAT) {
+        throw new Error('Not a session file');
+    }
+    if (session.version > SESSION_VERSION) {
+        throw new Error(`Session version ${session.version} is newer than this app supports (${SESSION_VERSION})`);
+    }
+    if (!Array.isArray(session.elements)) {
+        throw new Error('Session file has no graph elements');
+    }
+
+    return {
+        dataset: 'none',
+        datasetKey: null,
+        viewport: null,
+        filters: {},
+        patterns: { results: [], cursor: {}, detectors: {} },
+        risk: { seeds: [] },
+        annotations: [],
+        cases: [],
+        classifier: null,
+        ...session
+    };
+}
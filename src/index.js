@@ -2,13 +2,49 @@
 import cytoscape from 'cytoscape';
 import coseBilkent from 'cytoscape-cose-bilkent';
 import popper from 'cytoscape-popper';
+import svg from 'cytoscape-svg';
 
 // Import data processing modules
-import { EllipticDataLoader } from './data/EllipticDataLoader.js';
+import { EllipticDataLoader, ELLIPTIC_VIEWS } from './data/EllipticDataLoader.js';
+import { ELLIPTIC_FILES, WALLET_FILES } from './data/EllipticDatasetBuilder.js';
+import { CaseStore } from './data/CaseStore.js';
+import { MappingStore } from './data/MappingStore.js';
+import { WatchlistStore } from './data/WatchlistStore.js';
+import { MAPPING_FIELDS, guessMapping, schemaSignature, validateMapping, previewCSV } from './data/columnMapping.js';
+import { parseLedgerText, buildLedgerGraph } from './data/ledger.js';
+import { parseBitcoinDump, buildBitcoinGraph } from './data/bitcoin.js';
+import { parseEthereumText, buildEthereumGraph } from './data/ethereum.js';
+import { parseApiResult } from './data/apiResult.js';
+import { TimelineControl } from './ui/TimelineControl.js';
+import { UndoHistory } from './ui/UndoHistory.js';
+import { escapeHtml } from './ui/html.js';
+import { downloadFile } from './ui/download.js';
+
+// Import analysis modules
+import { graphFromCytoscape, nodeLabel } from './analysis/graph.js';
+import { createDefaultRegistry } from './analysis/detectors/index.js';
+import { detectionContext, graphStatistics } from './core/analysis.js';
+import { propagateRisk, RISK_MODELS } from './analysis/riskPropagation.js';
+import { trainTemporalClassifier } from './analysis/classifier.js';
+import { shortestPath, findSimplePaths, maxFlow } from './analysis/paths.js';
+import { computeNetworkMetrics, NETWORK_METRICS } from './analysis/centrality.js';
+import { detectCommunities } from './analysis/communities.js';
+import { clusterAddresses, CLUSTERING_HEURISTICS } from './analysis/clustering.js';
+import { parseWatchlist, screenGraph } from './analysis/screening.js';
+import { parseQuery, matchesQuery } from './analysis/query.js';
+
+// Import export serialisers
+import { toGraphML, toGEXF, toNodesCSV, toEdgesCSV } from './export/formats.js';
+import { serializeSession, parseSession } from './export/session.js';
+import { buildComplianceReport } from './report/complianceReport.js';
+
+// Node data keys written by the metrics panel
+const METRIC_DATA_KEYS = [...Object.keys(NETWORK_METRICS), 'component'].join(' ');
 
 // Register extensions with Cytoscape
 cytoscape.use(coseBilkent);
 cytoscape.use(popper);
+cytoscape.use(svg);
 
 // Main application class
 class CryptoNetworkVisualizer {
@@ -16,7 +52,44 @@ class CryptoNetworkVisualizer {
         this.cy = null;
         this.isInitialized = false;
         this.ellipticLoader = new EllipticDataLoader();
+        this.mappingStore = new MappingStore();
+        this.uploadMappings = {}; // File key -> { rows, mapping, signature } for the upload modal
         this.currentDataset = 'none'; // Track which dataset is loaded
+        this.ellipticDatasetKey = null; // Dataset key of the files held by ellipticLoader
+        this.ellipticView = 'transactions'; // One of ELLIPTIC_VIEWS
+        this.viewTxIds = null; // Transactions the wallet views are built around
+        this.tokens = []; // Tokens of an Ethereum import, most transfers first
+        this.tokenFilter = ''; // Key of the token shown, '' for all
+        this.timeline = null;
+        this.detectors = createDefaultRegistry();
+        this.patternResults = []; // Grouped findings from the last detection run
+        this.patternCursor = {}; // Detector id -> finding currently stepped to
+        this.riskSeeds = new Set(); // Node ids manually chosen as taint sources
+        this.classifierResult = null; // Metrics from the last classifier run
+        this.pathEndpoints = { source: null, target: null }; // Node ids picked for path tracing
+        this.pathResults = []; // Paths from the last trace
+        this.pathCursor = -1;
+        this.pathSummary = null; // One-line description of the last trace
+        this.riskSummary = null; // { seeds, exposed, highRisk, top } from the last propagation
+        this.networkSummary = null; // Graph-level figures from the last metrics run
+        this.communitySummary = null; // { count, modularity } from the last community detection
+        this.clusterSummary = null; // { entities, evidence, skipped } counts from the last clustering
+        this.clusterRejected = new Set(); // Evidence ids the analyst un-merged
+        this.watchlists = new WatchlistStore();
+        this.screeningSummary = null; // { lists, matches, exposed, maxHops } from the last screening
+        this.apiUrl = 'http://localhost:8787/api/patterns'; // Last screening API result opened
+        this.history = new UndoHistory(); // Snapshots taken before each graph operation
+        this.restoringHistory = false;
+        this.dragOrigins = new Map(); // Node id -> position when the current drag started
+        this.searchQuery = ''; // Query the search classes were last applied for
+        this.searchMatches = null; // Nodes matching the current search query
+        this.searchCursor = -1;
+
+        // Investigation state, persisted per dataset
+        this.caseStore = new CaseStore();
+        this.datasetKey = null;
+        this.annotations = new Map(); // Node id -> { flagged, notes, tags }
+        this.cases = [];
 
         // Initialize the application
         this.init();
@@ -105,6 +178,71 @@ class CryptoNetworkVisualizer {
                     }
                 },
 
+                // Addresses from raw Bitcoin dumps - small cyan circles
+                {
+                    selector: 'node[type="address"]',
+                    style: {
+                        'background-color': '#06b6d4',
+                        'border-color': '#0e7490',
+                        'shape': 'ellipse',
+                        'width': 45,
+                        'height': 45
+                    }
+                },
+
+                // Elliptic++ wallet addresses - small teal rounded squares
+                {
+                    selector: 'node[type="actor"]',
+                    style: {
+                        'background-color': '#14b8a6',
+                        'border-color': '#0f766e',
+                        'shape': 'round-rectangle',
+                        'width': 40,
+                        'height': 40,
+                        'font-size': '11px'
+                    }
+                },
+
+                // Ethereum contracts - indigo cut rectangles, accounts keep the default circle
+                {
+                    selector: 'node[type="contract"]',
+                    style: {
+                        'background-color': '#6366f1',
+                        'border-color': '#4338ca',
+                        'shape': 'cut-rectangle',
+                        'width': 70,
+                        'height': 50
+                    }
+                },
+
+                // Transfers in other tokens than the selected one
+                {
+                    selector: '.token-hidden',
+                    style: {
+                        'display': 'none'
+                    }
+                },
+
+                // Address clusters - purple hexagons sized by member count
+                {
+                    selector: 'node[type="entity"]',
+                    style: {
+                        'background-color': '#8b5cf6',
+                        'border-color': '#6d28d9',
+                        'shape': 'hexagon',
+                        'width': 'mapData(size, 2, 50, 60, 120)',
+                        'height': 'mapData(size, 2, 50, 60, 120)'
+                    }
+                },
+
+                // Addresses merged into an entity
+                {
+                    selector: '.entity-merged',
+                    style: {
+                        'display': 'none'
+                    }
+                },
+
                 // Suspicious nodes - red
                 {
                     selector: 'node[suspicious="true"]',
@@ -115,6 +253,28 @@ class CryptoNetworkVisualizer {
                     }
                 },
 
+                // Watchlist matches - black octagon with a magenta double border
+                {
+                    selector: 'node.screening-match',
+                    style: {
+                        'shape': 'octagon',
+                        'background-color': '#111827',
+                        'border-color': '#f0abfc',
+                        'border-style': 'double',
+                        'border-width': 8
+                    }
+                },
+
+                // Within a few hops of a watchlist match - magenta dotted border
+                {
+                    selector: 'node.screening-exposed',
+                    style: {
+                        'border-color': '#e879f9',
+                        'border-style': 'dotted',
+                        'border-width': 5
+                    }
+                },
+
                 // Edge styling
                 {
                     selector: 'edge',
@@ -128,6 +288,230 @@ class CryptoNetworkVisualizer {
                     }
                 },
 
+                // Ledger edges aggregating several transfers - wider with more
+                {
+                    selector: 'edge[count > 1]',
+                    style: {
+                        'width': 'mapData(count, 2, 50, 5, 14)'
+                    }
+                },
+
+                // Edges in a danger-level pattern (illicit links, peel chains, structuring) - red
+                {
+                    selector: 'edge.suspicious-pattern',
+                    style: {
+                        'width': 6,
+                        'line-color': '#ef4444',
+                        'target-arrow-color': '#ef4444'
+                    }
+                },
+
+                // Nodes coloured by detected community
+                {
+                    selector: 'node.community-coloured',
+                    style: {
+                        'background-color': 'data(communityColour)'
+                    }
+                },
+
+                // Collapsed communities: one node with a pie of its illicit / licit / unknown mix
+                {
+                    selector: 'node.community-meta',
+                    style: {
+                        'width': 'mapData(size, 2, 100, 70, 160)',
+                        'height': 'mapData(size, 2, 100, 70, 160)',
+                        'background-color': 'data(communityColour)',
+                        'border-width': 6,
+                        'border-color': 'data(communityColour)',
+                        'pie-size': '85%',
+                        'pie-1-background-color': '#dc3545',
+                        'pie-1-background-size': 'data(illicitShare)',
+                        'pie-2-background-color': '#28a745',
+                        'pie-2-background-size': 'data(licitShare)',
+                        'pie-3-background-color': '#6c757d',
+                        'pie-3-background-size': 'data(unknownShare)',
+                        'text-valign': 'bottom',
+                        'text-margin-y': 8
+                    }
+                },
+
+                {
+                    selector: 'edge.community-meta',
+                    style: {
+                        'width': 'mapData(count, 1, 20, 2, 10)',
+                        'line-style': 'dashed',
+                        'line-color': '#a1a1aa',
+                        'target-arrow-color': '#a1a1aa',
+                        'label': 'data(label)',
+                        'color': '#ffffff',
+                        'font-size': '11px',
+                        'text-outline-width': 2,
+                        'text-outline-color': '#000000'
+                    }
+                },
+
+                // Search matches - yellow dashed border
+                {
+                    selector: 'node.search-highlight',
+                    style: {
+                        'border-width': 5,
+                        'border-style': 'dashed',
+                        'border-color': '#facc15'
+                    }
+                },
+
+                // Nodes hidden by a search in filter mode
+                {
+                    selector: '.search-hidden',
+                    style: {
+                        'display': 'none'
+                    }
+                },
+
+                // Members hidden inside a collapsed community
+                {
+                    selector: '.community-collapsed',
+                    style: {
+                        'display': 'none'
+                    }
+                },
+
+                // Nodes sized / coloured by a network metric, scaled to 0-1
+                {
+                    selector: 'node.metric-sized',
+                    style: {
+                        'width': 'mapData(metricSize, 0, 1, 30, 120)',
+                        'height': 'mapData(metricSize, 0, 1, 30, 120)'
+                    }
+                },
+
+                {
+                    selector: 'node.metric-coloured',
+                    style: {
+                        'background-color': 'mapData(metricColour, 0, 1, #1e3a8a, #facc15)'
+                    }
+                },
+
+                // Nodes coloured and sized by propagated risk
+                {
+                    selector: 'node.risk-scored',
+                    style: {
+                        'background-color': 'mapData(risk, 0, 1, #fde68a, #b91c1c)',
+                        'width': 'mapData(risk, 0, 1, 50, 100)',
+                        'height': 'mapData(risk, 0, 1, 50, 100)'
+                    }
+                },
+
+                // Unknown transactions the classifier predicts as illicit
+                {
+                    selector: 'node[predictedLabel = "illicit"]',
+                    style: {
+                        'border-color': '#ef4444',
+                        'border-style': 'dashed',
+                        'border-width': 5
+                    }
+                },
+
+                // Nodes flagged by an investigator
+                {
+                    selector: 'node[flagged = "true"]',
+                    style: {
+                        'underlay-color': '#22d3ee',
+                        'underlay-padding': 10,
+                        'underlay-opacity': 0.45,
+                        'underlay-shape': 'ellipse'
+                    }
+                },
+
+                // Manually chosen risk seeds
+                {
+                    selector: 'node.risk-seed',
+                    style: {
+                        'border-style': 'double',
+                        'border-width': 8,
+                        'border-color': '#f97316'
+                    }
+                },
+
+                // Traced paths between two nodes - cyan
+                {
+                    selector: 'node.path-member',
+                    style: {
+                        'border-width': 4,
+                        'border-color': '#06b6d4'
+                    }
+                },
+
+                {
+                    selector: 'edge.path-member',
+                    style: {
+                        'width': 5,
+                        'line-color': '#06b6d4',
+                        'target-arrow-color': '#06b6d4'
+                    }
+                },
+
+                {
+                    selector: 'node.path-focus',
+                    style: {
+                        'border-width': 8,
+                        'border-color': '#67e8f9'
+                    }
+                },
+
+                {
+                    selector: 'edge.path-focus',
+                    style: {
+                        'width': 9,
+                        'line-color': '#67e8f9',
+                        'target-arrow-color': '#67e8f9'
+                    }
+                },
+
+                // Edges in a warning-level pattern (cycles, hubs, layering) - yellow
+                {
+                    selector: 'edge.pattern-warning',
+                    style: {
+                        'width': 6,
+                        'line-color': '#facc15',
+                        'target-arrow-color': '#facc15'
+                    }
+                },
+
+                // Pattern finding currently stepped to in the pattern panel
+                {
+                    selector: 'node.pattern-focus',
+                    style: {
+                        'border-width': 8,
+                        'border-color': '#facc15'
+                    }
+                },
+
+                {
+                    selector: 'edge.pattern-focus',
+                    style: {
+                        'width': 9,
+                        'line-color': '#fde047',
+                        'target-arrow-color': '#fde047'
+                    }
+                },
+
+                // Nodes outside the active timeline window
+                {
+                    selector: '.timeline-hidden',
+                    style: {
+                        'display': 'none'
+                    }
+                },
+
+                // Everything outside a compliance report's subgraph while it is rendered
+                {
+                    selector: '.report-excluded',
+                    style: {
+                        'display': 'none'
+                    }
+                },
+
                 // Selected elements
                 {
                     selector: ':selected',
@@ -152,10 +536,39 @@ class CryptoNetworkVisualizer {
         // Node click events
         this.cy.on('tap', 'node', (evt) => {
             const node = evt.target;
+
+            // Collapsed communities expand on click
+            if (node.hasClass('community-meta')) {
+                this.recordHistory('Expand community');
+                this.expandCommunity(node.data('community'));
+                return;
+            }
+
             this.displayNodeInfo(node);
             this.highlightConnections(node);
         });
 
+        // Node drags are undoable: remember where the grabbed nodes started
+        this.cy.on('grabon', 'node', () => {
+            this.dragOrigins = new Map();
+        });
+        this.cy.on('grab', 'node', (evt) => {
+            this.dragOrigins.set(evt.target.id(), { ...evt.target.position() });
+        });
+        this.cy.on('dragfreeon', 'node', () => {
+            const origins = this.dragOrigins;
+            this.dragOrigins = new Map();
+            this.recordHistory('Move nodes', null, () => {
+                const state = this.getHistoryState();
+                state.elements.forEach(element => {
+                    if (element.group === 'nodes' && origins.has(element.data.id)) {
+                        element.position = origins.get(element.data.id);
+                    }
+                });
+                return state;
+            });
+        });
+
         // Background click to clear selection
         this.cy.on('tap', (evt) => {
             if (evt.target === this.cy) {
@@ -172,20 +585,247 @@ class CryptoNetworkVisualizer {
             this.promptForEllipticFiles();
         });
 
+        document.getElementById('load-ledger-data').addEventListener('click', () => {
+            this.promptForLedgerFile();
+        });
+
+        document.getElementById('load-bitcoin-data').addEventListener('click', () => {
+            this.promptForBitcoinFiles();
+        });
+
+        document.getElementById('load-ethereum-data').addEventListener('click', () => {
+            this.promptForEthereumFiles();
+        });
+
+        document.getElementById('open-api-result').addEventListener('click', () => {
+            this.promptForApiResult();
+        });
+
         document.getElementById('clear-graph').addEventListener('click', () => {
             this.clearGraph();
         });
 
+        document.getElementById('undo').addEventListener('click', () => {
+            this.undo();
+        });
+
+        document.getElementById('redo').addEventListener('click', () => {
+            this.redo();
+        });
+
+        // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text
+        // fields keep their own undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+        this.updateHistoryControls();
+
         document.getElementById('detect-patterns').addEventListener('click', () => {
+            this.recordHistory('Detect patterns');
             this.detectSuspiciousPatterns();
         });
 
+        document.getElementById('configure-detectors').addEventListener('click', () => {
+            this.promptForDetectorSettings();
+        });
+
+        document.getElementById('open-classifier').addEventListener('click', () => {
+            this.promptForClassifier();
+        });
+
+        document.getElementById('export-graph').addEventListener('click', () => {
+            this.promptForExport();
+        });
+
+        document.getElementById('open-report').addEventListener('click', () => {
+            this.promptForReport();
+        });
+
+        // Watchlists are added through a hidden file input too
+        const watchlistInput = document.getElementById('watchlist-file');
+        document.getElementById('add-watchlist').addEventListener('click', () => {
+            watchlistInput.click();
+        });
+        watchlistInput.addEventListener('change', () => {
+            this.addWatchlistFiles(Array.from(watchlistInput.files));
+            watchlistInput.value = '';
+        });
+
+        document.getElementById('run-screening').addEventListener('click', () => {
+            this.recordHistory('Screen watchlists');
+            this.runScreening();
+        });
+
+        document.getElementById('clear-screening').addEventListener('click', () => {
+            this.recordHistory('Clear screening');
+            this.clearScreening();
+        });
+
+        this.renderWatchlists();
+
+        // Session files are picked through a hidden file input
+        const sessionInput = document.getElementById('session-file');
+        document.getElementById('open-session').addEventListener('click', () => {
+            sessionInput.click();
+        });
+        sessionInput.addEventListener('change', () => {
+            if (sessionInput.files[0]) {
+                this.openSessionFile(sessionInput.files[0]);
+            }
+            sessionInput.value = '';
+        });
+
+        // Case management
+        document.getElementById('create-case-btn').addEventListener('click', () => {
+            const nameInput = document.getElementById('new-case-name');
+            const name = nameInput.value.trim();
+            if (name) {
+                this.createCase(name);
+                nameInput.value = '';
+            }
+        });
+
+        if (!this.caseStore.available) {
+            console.warn('⚠️ IndexedDB unavailable - cases will not persist across reloads');
+        }
+        this.renderCaseList();
+
+        // Elliptic graph views
+        const viewSelect = document.getElementById('graph-view');
+        viewSelect.innerHTML = Object.entries(ELLIPTIC_VIEWS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        viewSelect.addEventListener('change', () => {
+            this.setEllipticView(viewSelect.value);
+        });
+        this.updateGraphViewControl();
+
+        document.getElementById('token-filter').addEventListener('change', (e) => {
+            this.recordHistory('Filter token');
+            this.applyTokenFilter(e.target.value);
+        });
+        this.updateTokenFilterControl();
+
+        // Risk propagation
+        const riskModelSelect = document.getElementById('risk-model');
+        riskModelSelect.innerHTML = Object.entries(RISK_MODELS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        riskModelSelect.value = 'decay';
+
+        document.getElementById('run-risk').addEventListener('click', () => {
+            this.recordHistory('Propagate risk');
+            this.runRiskPropagation();
+        });
+
+        document.getElementById('clear-risk').addEventListener('click', () => {
+            this.recordHistory('Clear risk');
+            this.clearRisk();
+        });
+
+        // Network metrics
+        const metricOptions = Object.entries(NETWORK_METRICS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        document.getElementById('metric-rank').innerHTML = metricOptions;
+        document.getElementById('metric-rank').value = 'pageRank';
+        document.getElementById('metric-size').innerHTML = `<option value="">None</option>${metricOptions}`;
+        document.getElementById('metric-colour').innerHTML = `<option value="">None</option>${metricOptions}`;
+
+        document.getElementById('run-metrics').addEventListener('click', () => {
+            this.recordHistory('Compute metrics');
+            this.computeMetrics();
+        });
+
+        document.getElementById('clear-metrics').addEventListener('click', () => {
+            this.recordHistory('Clear metrics');
+            this.clearMetrics();
+        });
+
+        document.getElementById('metric-rank').addEventListener('change', () => {
+            this.renderMetricRanking();
+        });
+
+        ['metric-size', 'metric-colour'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.recordHistory('Style by metric');
+                this.applyMetricStyling();
+            });
+        });
+
+        // Community detection
+        document.getElementById('run-communities').addEventListener('click', () => {
+            this.recordHistory('Detect communities');
+            this.runCommunityDetection();
+        });
+
+        document.getElementById('run-clustering').addEventListener('click', () => {
+            this.recordHistory('Cluster addresses');
+            this.runClustering();
+        });
+
+        document.getElementById('clear-clustering').addEventListener('click', () => {
+            this.recordHistory('Clear clustering');
+            this.clearClustering();
+        });
+
+        document.getElementById('collapse-communities').addEventListener('click', () => {
+            this.recordHistory('Collapse communities');
+            this.collapseAllCommunities();
+        });
+
+        document.getElementById('expand-communities').addEventListener('click', () => {
+            this.recordHistory('Expand communities');
+            this.expandAllCommunities();
+        });
+
+        document.getElementById('clear-communities').addEventListener('click', () => {
+            this.recordHistory('Clear communities');
+            this.clearCommunities();
+        });
+
+        // Path tracing
+        document.getElementById('run-paths').addEventListener('click', () => {
+            this.recordHistory('Trace paths');
+            this.tracePaths();
+        });
+
+        document.getElementById('clear-paths').addEventListener('click', () => {
+            this.recordHistory('Clear paths');
+            this.pathEndpoints = { source: null, target: null };
+            this.updatePathEndpoints();
+            this.clearPathHighlights();
+        });
+
+        // Timeline filtering
+        this.timeline = new TimelineControl((start, end) => {
+            this.applyTimeWindow(start, end);
+        }, () => {
+            this.recordHistory('Filter timesteps', 'timeline');
+        });
+
         // Search functionality
         const searchInput = document.getElementById('search-input');
         searchInput.addEventListener('input', (evt) => {
+            this.recordHistory('Search', 'search');
             this.searchNodes(evt.target.value);
         });
 
+        document.getElementById('search-mode').addEventListener('change', () => {
+            this.recordHistory('Search', 'search');
+            this.searchNodes(searchInput.value);
+        });
+
         console.log('🎛️ Event handlers set up');
     }
 
@@ -229,7 +869,8 @@ class CryptoNetworkVisualizer {
 
         try {
             // Clear existing data and add new data
-            this.cy.elements().remove();
+            this.recordHistory('Load sample data');
+            this.resetDatasetState();
             console.log('🗑️ Cleared existing elements');
 
             this.cy.add(sampleData.nodes);
@@ -272,6 +913,8 @@ class CryptoNetworkVisualizer {
 
             // Update tracking
             this.currentDataset = 'sample';
+            this.timeline.hide();
+            this.loadCaseData('sample');
 
             // Update statistics
             this.updateNetworkStats();
@@ -300,293 +943,3762 @@ class CryptoNetworkVisualizer {
         modal.innerHTML = `
             <div class="modal-content">
                 <h3>Load Elliptic Dataset</h3>
-                <p>Please select the three CSV files from the Elliptic dataset to analyze real Bitcoin transaction networks with ground-truth labels.</p>
+                <p>Please select the three CSV files from the Elliptic dataset to analyze real Bitcoin transaction networks with ground-truth labels. Check the column mapping shown for each file - other exports work as long as their columns are mapped.</p>
                 
                 <div class="file-input-group">
                     <label>Features File (txs_features.csv):</label>
                     <input type="file" id="features-upload" accept=".csv" />
+                    <div class="column-mapping" id="features-mapping"></div>
                 </div>
                 
                 <div class="file-input-group">
                     <label>Classes File (txs_classes.csv):</label>
                     <input type="file" id="classes-upload" accept=".csv" />
+                    <div class="column-mapping" id="classes-mapping"></div>
                 </div>
                 
                 <div class="file-input-group">
                     <label>Edges File (txs_edgelist.csv):</label>
                     <input type="file" id="edges-upload" accept=".csv" />
+                    <div class="column-mapping" id="edges-mapping"></div>
                 </div>
+
+                <details class="wallet-layer">
+                    <summary>Elliptic++ wallet layer (optional)</summary>
+                    <p>Add the address files to switch between transaction, address-transaction and address-address views. At least one of AddrTx / TxAddr is needed; wallet classes label the addresses.</p>
+                    ${[
+                        ['walletFeatures', 'Wallet Features (wallets_features.csv)'],
+                        ['walletClasses', 'Wallet Classes (wallets_classes.csv)'],
+                        ['addrTx', 'Inputs (AddrTx_edgelist.csv)'],
+                        ['txAddr', 'Outputs (TxAddr_edgelist.csv)'],
+                        ['addrAddr', 'Address Edges (AddrAddr_edgelist.csv)']
+                    ].map(([key, label]) => `
+                        <div class="file-input-group">
+                            <label>${label}:</label>
+                            <input type="file" id="${key}-upload" accept=".csv" />
+                            <div class="column-mapping" id="${key}-mapping"></div>
+                        </div>
+                    `).join('')}
+                </details>
+
+                <div id="mapping-report"></div>
                 
                 <div class="info-box">
                     <strong>📁 Dataset Source:</strong>
                     Download from: <a href="https://drive.google.com/drive/folders/1MRPXz79Lu_JGLlJ21MDfML44dKN9R08l" target="_blank">Elliptic++ Google Drive</a><br>
                     <small>Real Bitcoin transactions with illicit/licit classifications from financial crime experts</small>
                 </div>
-                
+                
+                <div class="modal-actions">
+                    <button id="cancel-upload-btn" class="btn btn-secondary">Cancel</button>
+                    <button id="load-files-btn" class="btn btn-primary">Load Dataset</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.uploadMappings = {};
+
+        // Preview each file's columns as soon as it is picked
+        [...ELLIPTIC_FILES, ...WALLET_FILES].forEach(key => {
+            document.getElementById(`${key}-upload`).addEventListener('change', (e) => {
+                this.previewColumnMapping(key, e.target.files[0]);
+            });
+        });
+
+        // Handle file loading
+        document.getElementById('load-files-btn').addEventListener('click', () => {
+            this.loadEllipticFiles();
+        });
+
+        // Handle cancel - also aborts a load that is already streaming
+        document.getElementById('cancel-upload-btn').addEventListener('click', () => {
+            this.ellipticLoader.cancel();
+            this.closeModal();
+        });
+
+        // Close on background click (but keep the modal while loading)
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal && !this.ellipticLoader.worker) {
+                this.closeModal();
+            }
+        });
+    }
+
+    async previewColumnMapping(key, file) {
+        delete this.uploadMappings[key];
+        const container = document.getElementById(`${key}-mapping`);
+        container.innerHTML = '';
+        if (!file) return;
+
+        try {
+            // Ledgers are read whole (CSV or JSON) and kept for the import
+            const records = key === 'ledger' ? parseLedgerText(await file.text(), file.name) : null;
+            const rows = records ? records.slice(0, 6) : await previewCSV(file, 6);
+            if (rows.length === 0) {
+                container.innerHTML = '<div class="pattern-alert warning">⚠️ The file is empty</div>';
+                return;
+            }
+
+            // A mapping saved for this layout wins over the guess
+            const guess = guessMapping(key, rows[0]);
+            const signature = schemaSignature(key, rows[0], guess.hasHeader);
+            const saved = this.mappingStore.get(signature);
+
+            this.uploadMappings[key] = { rows, records, signature, saved: Boolean(saved), mapping: saved || guess };
+            this.renderColumnMapping(key);
+        } catch (error) {
+            container.innerHTML = `<div class="pattern-alert danger">❌ ${escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderColumnMapping(key) {
+        const { rows, saved, mapping } = this.uploadMappings[key];
+        const container = document.getElementById(`${key}-mapping`);
+        const header = mapping.hasHeader ? rows[0] : null;
+        const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+        const columnCount = rows[0].length;
+        const columnName = column => (header ? String(header[column]).trim() : `Column ${column + 1}`);
+
+        const mappedField = new Map();
+        MAPPING_FIELDS[key].forEach(({ key: field, label }) => {
+            if (mapping[field] !== null && mapping[field] !== undefined) mappedField.set(mapping[field], label);
+        });
+
+        const fieldSelect = ({ key: field, label, required }) => `
+            <label class="detector-option"><span>${label}${required ? '' : ' (optional)'}</span>
+                <select data-field="${field}">
+                    <option value="">- not mapped -</option>
+                    ${rows[0].map((_, column) => `
+                        <option value="${column}" ${mapping[field] === column ? 'selected' : ''}>
+                            ${column + 1}: ${escapeHtml(columnName(column))}${header ? '' : ` (e.g. ${escapeHtml(String(rows[0][column]))})`}
+                        </option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
+
+        container.innerHTML = `
+            <small>${saved ? '💾 Using the mapping saved for this schema' : '🔍 Guessed from the first row - check before loading'} (${columnCount} columns)</small>
+            <label class="detector-option"><span>First row is a header</span>
+                <input type="checkbox" data-field="hasHeader" ${mapping.hasHeader ? 'checked' : ''} /></label>
+            ${MAPPING_FIELDS[key].map(fieldSelect).join('')}
+            <div class="mapping-preview">
+                <table>
+                    <thead><tr>${rows[0].map((_, column) => `
+                        <th class="${mappedField.has(column) ? 'mapped' : ''}">
+                            ${escapeHtml(columnName(column))}${mappedField.has(column) ? `<br><em>${mappedField.get(column)}</em>` : ''}
+                        </th>`).join('')}</tr></thead>
+                    <tbody>${dataRows.map(row => `
+                        <tr>${rows[0].map((_, column) => `
+                            <td class="${mappedField.has(column) ? 'mapped' : ''}">${escapeHtml(row[column] === undefined ? '' : String(row[column]))}</td>`).join('')}</tr>
+                    `).join('')}</tbody>
+                </table>
+            </div>
+        `;
+
+        container.querySelector('[data-field="hasHeader"]').addEventListener('change', (e) => {
+            mapping.hasHeader = e.target.checked;
+            this.uploadMappings[key].signature = schemaSignature(key, rows[0], mapping.hasHeader);
+            this.renderColumnMapping(key);
+        });
+        container.querySelectorAll('select[data-field]').forEach(select => {
+            select.addEventListener('change', () => {
+                mapping[select.dataset.field] = select.value === '' ? null : parseInt(select.value, 10);
+                this.renderColumnMapping(key);
+            });
+        });
+    }
+
+    // Lists what is wrong with the mapping: problems found before loading,
+    // or the rows of the file that failed validation while loading
+    renderMappingReport(problems, validation = null) {
+        const report = document.getElementById('mapping-report');
+        if (!report) return;
+
+        if (problems.length === 0 && !validation) {
+            report.innerHTML = '';
+            return;
+        }
+
+        report.innerHTML = `
+            <div class="pattern-alert danger">
+                ❌ ${problems.map(problem => escapeHtml(problem)).join('<br>❌ ')}
+            </div>
+            ${validation && validation.issues.length > 0 ? `
+                <div class="mapping-preview">
+                    <table class="validation-report">
+                        <thead><tr><th>Row</th><th>Column</th><th>Value</th><th>Problem</th></tr></thead>
+                        <tbody>${validation.issues.map(issue => `
+                            <tr>
+                                <td>${issue.row.toLocaleString()}</td>
+                                <td>${issue.column === null ? '-' : issue.column}</td>
+                                <td>${escapeHtml(issue.value) || '<em>empty</em>'}</td>
+                                <td>${escapeHtml(issue.message)}</td>
+                            </tr>
+                        `).join('')}</tbody>
+                    </table>
+                </div>
+                ${validation.invalid > validation.issues.length ?
+                    `<small>First ${validation.issues.length} of ${validation.invalid.toLocaleString()} invalid rows in ${escapeHtml(validation.fileName)}</small>` : ''}
+            ` : ''}
+        `;
+        report.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    promptForLedgerFile() {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.id = 'file-upload-modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Import Transfer Ledger</h3>
+                <p>Load your own transfers as a CSV or JSON file, one transfer per row or object. Transfers between the same two addresses in the same asset are combined into one edge that keeps every transfer.</p>
+
+                <div class="file-input-group">
+                    <label>Ledger File (.csv or .json):</label>
+                    <input type="file" id="ledger-upload" accept=".csv,.json" />
+                    <div class="column-mapping" id="ledger-mapping"></div>
+                </div>
+
+                <div id="mapping-report"></div>
+
+                <div class="info-box">
+                    <strong>📄 Expected fields</strong>
+                    Sender, recipient and amount are required; timestamp (ISO date or Unix time), asset, transfer id and sender/recipient type (wallet, exchange...) are optional.
+                </div>
+
+                <div class="modal-actions">
+                    <button id="cancel-upload-btn" class="btn btn-secondary">Cancel</button>
+                    <button id="load-files-btn" class="btn btn-primary">Import Ledger</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.uploadMappings = {};
+
+        document.getElementById('ledger-upload').addEventListener('change', (e) => {
+            this.previewColumnMapping('ledger', e.target.files[0]);
+        });
+        document.getElementById('load-files-btn').addEventListener('click', () => {
+            this.loadLedgerFile();
+        });
+        document.getElementById('cancel-upload-btn').addEventListener('click', () => this.closeModal());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeModal();
+            }
+        });
+    }
+
+    async loadLedgerFile() {
+        const file = document.getElementById('ledger-upload').files[0];
+        const upload = this.uploadMappings.ledger;
+
+        if (!file) {
+            alert('Please select a ledger file');
+            return;
+        }
+        if (!upload) {
+            alert('The ledger could not be read - see the message under the file');
+            return;
+        }
+
+        const problems = validateMapping('ledger', upload.mapping, upload.rows[0].length);
+        this.renderMappingReport(problems);
+        if (problems.length > 0) return;
+
+        let ledger;
+        try {
+            ledger = buildLedgerGraph(upload.records, upload.mapping);
+        } catch (error) {
+            console.error('❌ Failed to import ledger:', error);
+            this.updateStatus('Failed to import ledger', 'error');
+            if (error.validation) {
+                this.renderMappingReport([error.message], { ...error.validation, fileName: file.name });
+            } else {
+                alert(`Failed to import ledger: ${error.message}`);
+            }
+            return;
+        }
+
+        this.mappingStore.save(upload.signature, upload.mapping);
+
+        const { statistics, validation } = ledger;
+        console.log(`📊 Ledger: ${statistics.transfers} transfers between ${statistics.wallets} addresses, combined into ${statistics.edges} edges`);
+        if (validation.invalid > 0) {
+            console.warn(`⚠️ Skipped ${validation.invalid} invalid ledger rows:`, validation.issues);
+        }
+
+        this.clearGraph('Import ledger');
+        this.cy.add(ledger.nodes);
+        this.cy.add(ledger.edges);
+
+        this.cy.layout({
+            name: 'cose-bilkent',
+            animate: true,
+            animationDuration: 1500,
+            nodeRepulsion: 8000,
+            idealEdgeLength: 120,
+            gravity: 0.4,
+            numIter: 1000
+        }).run();
+
+        this.currentDataset = 'ledger';
+        this.updateNetworkStats();
+        await this.loadCaseData(`ledger|${file.name}:${file.size}`);
+
+        this.closeModal();
+        this.updateStatus(validation.invalid > 0 ?
+            `Ledger imported (${validation.invalid} invalid rows skipped)` :
+            'Ledger imported successfully', 'ready');
+    }
+
+    promptForBitcoinFiles() {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.id = 'file-upload-modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Import Bitcoin Node JSON</h3>
+                <p>Load verbose JSON saved from your own Bitcoin Core node. Files are read locally and never leave the browser.</p>
+
+                <div class="file-input-group">
+                    <label>Block / Transaction Files (.json):</label>
+                    <input type="file" id="bitcoin-upload" accept=".json,.jsonl,.txt" multiple />
+                </div>
+
+                <div class="info-box">
+                    <strong>📄 Supported dumps</strong>
+                    <code>getblock &lt;hash&gt; 2</code> (or 3), <code>getrawtransaction &lt;txid&gt; true</code>, arrays of them, JSON-RPC responses or one document per line.<br>
+                    <small>Input addresses and amounts need verbosity 3 or the spent transaction in one of the files; other inputs are counted as unresolved</small>
+                </div>
+
+                <div class="modal-actions">
+                    <button id="cancel-upload-btn" class="btn btn-secondary">Cancel</button>
+                    <button id="load-files-btn" class="btn btn-primary">Import</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('load-files-btn').addEventListener('click', () => {
+            this.loadBitcoinFiles();
+        });
+        document.getElementById('cancel-upload-btn').addEventListener('click', () => this.closeModal());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeModal();
+            }
+        });
+    }
+
+    async loadBitcoinFiles() {
+        const files = Array.from(document.getElementById('bitcoin-upload').files);
+        if (files.length === 0) {
+            alert('Please select at least one JSON file');
+            return;
+        }
+
+        this.updateStatus('Reading Bitcoin node JSON...', 'loading');
+
+        const transactions = [];
+        const warnings = [];
+        try {
+            for (const file of files) {
+                let dump;
+                try {
+                    dump = parseBitcoinDump(await file.text());
+                } catch (error) {
+                    throw new Error(`${file.name}: ${error.message}`);
+                }
+                transactions.push(...dump.transactions);
+                warnings.push(...dump.warnings.map(warning => `${file.name}: ${warning}`));
+            }
+
+            if (transactions.length === 0) {
+                throw new Error(`No transactions found${warnings.length > 0 ? `\n${warnings.join('\n')}` : ''}`);
+            }
+        } catch (error) {
+            console.error('❌ Failed to import Bitcoin JSON:', error);
+            this.updateStatus('Failed to import Bitcoin JSON', 'error');
+            alert(`Failed to import Bitcoin JSON: ${error.message}`);
+            return;
+        }
+
+        warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+
+        const { nodes, edges, statistics } = buildBitcoinGraph(transactions);
+        console.log(`📊 Bitcoin dump: ${statistics.transactions} transactions in ${statistics.blocks} blocks, ${statistics.addresses} addresses, ${statistics.unresolvedInputs} unresolved inputs`);
+
+        this.clearGraph('Import Bitcoin JSON');
+        this.cy.add(nodes);
+        this.cy.add(edges);
+
+        this.cy.layout({
+            name: 'cose-bilkent',
+            animate: true,
+            animationDuration: 1500,
+            nodeRepulsion: 8000,
+            idealEdgeLength: 100,
+            gravity: 0.4,
+            numIter: 1000
+        }).run();
+
+        this.currentDataset = 'bitcoin';
+        this.updateNetworkStats();
+        await this.loadCaseData(['bitcoin', ...files.map(file => `${file.name}:${file.size}`)].join('|'));
+
+        this.closeModal();
+        this.updateStatus(`Imported ${statistics.transactions} transactions and ${statistics.addresses} addresses` +
+            (warnings.length > 0 ? ` (${warnings.length} warnings, see console)` : ''), 'ready');
+    }
+
+    promptForEthereumFiles() {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.id = 'file-upload-modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Import Ethereum Transfers</h3>
+                <p>Load ERC-20 <code>Transfer</code> events and native ETH transactions. Transfers between the same two accounts in the same token contract are combined into one edge; amounts are scaled by each token's decimals.</p>
+
+                <div class="file-input-group">
+                    <label>Transfer Files (.csv or .json):</label>
+                    <input type="file" id="ethereum-upload" accept=".csv,.json,.jsonl,.txt" multiple />
+                </div>
+
+                <div class="info-box">
+                    <strong>📄 Supported exports</strong>
+                    Etherscan token transfer (tokentx) and transaction (txlist) API results or CSV downloads, BigQuery-style <code>token_transfers</code> / <code>transactions</code> tables and raw <code>eth_getLogs</code> Transfer logs.<br>
+                    <small>Failed transactions, zero-value ETH calls and NFT transfers are skipped. Addresses that created or received contract calls are marked as contracts.</small>
+                </div>
+
+                <div class="modal-actions">
+                    <button id="cancel-upload-btn" class="btn btn-secondary">Cancel</button>
+                    <button id="load-files-btn" class="btn btn-primary">Import</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('load-files-btn').addEventListener('click', () => {
+            this.loadEthereumFiles();
+        });
+        document.getElementById('cancel-upload-btn').addEventListener('click', () => this.closeModal());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeModal();
+            }
+        });
+    }
+
+    async loadEthereumFiles() {
+        const files = Array.from(document.getElementById('ethereum-upload').files);
+        if (files.length === 0) {
+            alert('Please select at least one file');
+            return;
+        }
+
+        this.updateStatus('Reading Ethereum transfers...', 'loading');
+
+        let graph;
+        try {
+            const records = [];
+            for (const file of files) {
+                try {
+                    records.push(...parseEthereumText(await file.text(), file.name));
+                } catch (error) {
+                    throw new Error(`${file.name}: ${error.message}`);
+                }
+            }
+
+            graph = buildEthereumGraph(records);
+            if (graph.edges.length === 0) {
+                throw new Error(`No transfers found${graph.warnings.length > 0 ? `\n${graph.warnings.join('\n')}` : ''}`);
+            }
+        } catch (error) {
+            console.error('❌ Failed to import Ethereum transfers:', error);
+            this.updateStatus('Failed to import Ethereum transfers', 'error');
+            alert(`Failed to import Ethereum transfers: ${error.message}`);
+            return;
+        }
+
+        const { nodes, edges, tokens, statistics, warnings } = graph;
+        warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+        console.log(`📊 Ethereum: ${statistics.transfers} transfers in ${statistics.tokens} tokens between ${statistics.accounts} accounts (${statistics.contracts} contracts)`);
+
+        this.clearGraph('Import Ethereum transfers');
+        this.cy.add(nodes);
+        this.cy.add(edges);
+
+        this.cy.layout({
+            name: 'cose-bilkent',
+            animate: true,
+            animationDuration: 1500,
+            nodeRepulsion: 8000,
+            idealEdgeLength: 120,
+            gravity: 0.4,
+            numIter: 1000
+        }).run();
+
+        this.currentDataset = 'ethereum';
+        this.tokens = tokens;
+        this.updateTokenFilterControl();
+        this.updateNetworkStats();
+        await this.loadCaseData(['ethereum', ...files.map(file => `${file.name}:${file.size}`)].join('|'));
+
+        this.closeModal();
+        this.updateStatus(`Imported ${statistics.transfers} transfers in ${statistics.tokens} tokens` +
+            (warnings.length > 0 ? ` (${warnings.length} warnings, see console)` : ''), 'ready');
+    }
+
+    promptForApiResult() {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.id = 'file-upload-modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Open API Result</h3>
+                <p>Fetch a result from the local screening API (<code>npm run serve-api</code>) and open it as a graph, with its risk scores and pattern highlights.</p>
+
+                <div class="file-input-group">
+                    <label>Result URL:</label>
+                    <input type="url" id="api-url" value="${escapeHtml(this.apiUrl)}" />
+                </div>
+
+                <div class="info-box">
+                    <strong>🌐 Endpoints</strong>
+                    <code>/api/nodes/&lt;id&gt;</code>, <code>/api/nodes/&lt;id&gt;/neighbourhood?hops=2</code>, <code>/api/nodes/&lt;id&gt;/risk</code> and <code>/api/patterns?detector=&lt;id&gt;</code>.<br>
+                    <small>Nodes can be looked up by node id, transaction id or address.</small>
+                </div>
+
+                <div class="modal-actions">
+                    <button id="cancel-upload-btn" class="btn btn-secondary">Cancel</button>
+                    <button id="load-files-btn" class="btn btn-primary">Open</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('load-files-btn').addEventListener('click', () => {
+            this.loadApiResult(document.getElementById('api-url').value.trim());
+        });
+        document.getElementById('cancel-upload-btn').addEventListener('click', () => this.closeModal());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeModal();
+            }
+        });
+    }
+
+    async loadApiResult(url) {
+        if (!url) {
+            alert('Please enter a result URL');
+            return;
+        }
+
+        this.updateStatus('Fetching API result...', 'loading');
+
+        let result;
+        try {
+            const response = await fetch(url);
+            const body = await response.json().catch(() => null);
+            if (!response.ok) {
+                throw new Error((body && body.error) || `${response.status} ${response.statusText}`);
+            }
+            result = body;
+        } catch (error) {
+            console.error('❌ Failed to fetch API result:', error);
+            this.updateStatus('Failed to fetch API result', 'error');
+            alert(`Failed to fetch API result: ${error.message}`);
+            return;
+        }
+
+        // Check the graph before it replaces the current one
+        let dataset;
+        let elements;
+        try {
+            ({ dataset, elements } = parseApiResult(result));
+        } catch (error) {
+            console.error('❌ Unusable API result:', error);
+            this.updateStatus('API result has no usable graph', 'error');
+            alert(`Cannot open API result: ${error.message}`);
+            return;
+        }
+
+        this.apiUrl = url;
+        try {
+            await this.showApiResult(url, result, dataset, elements);
+        } catch (error) {
+            console.error('❌ Failed to open API result:', error);
+            this.updateStatus('Failed to open API result', 'error');
+            alert(`Failed to open API result: ${error.message}`);
+        }
+    }
+
+    // Replace the graph with an API result that passed parseApiResult
+    async showApiResult(url, result, dataset, elements) {
+        this.clearGraph('Open API result');
+        this.currentDataset = dataset;
+        this.cy.add(elements.nodes);
+        this.cy.add(elements.edges);
+
+        this.cy.layout({
+            name: 'cose-bilkent',
+            animate: true,
+            animationDuration: 1500,
+            nodeRepulsion: 8000,
+            idealEdgeLength: 120,
+            gravity: 0.4,
+            numIter: 1000
+        }).run();
+
+        // Pattern results come in the same shape as a saved session's
+        if (Array.isArray(result.patterns) && result.patterns.every(pattern => Array.isArray(pattern.findings))) {
+            this.patternResults = result.patterns
+                .filter(pattern => this.detectors.get(pattern.detector))
+                .map(pattern => ({ ...pattern, detector: this.detectors.get(pattern.detector) }));
+            this.updatePatternInfo(this.patternResults.reduce((sum, pattern) => sum + pattern.findings.length, 0));
+        }
+
+        this.updateNetworkStats();
+        if (this.currentDataset === 'elliptic') {
+            this.refreshEllipticStats();
+        }
+        // Notes and cases are kept per API server
+        await this.loadCaseData(`api|${new URL(url, window.location.href).origin}`);
+
+        const focus = result.id ? this.cy.getElementById(result.id) : this.cy.collection();
+        if (focus.nonempty()) {
+            focus.select();
+            this.displayNodeInfo(focus);
+        }
+
+        this.closeModal();
+        const riskNote = typeof result.level === 'string' ? ` - risk ${(result.score * 100).toFixed(1)}% (${result.level})` : '';
+        this.updateStatus(`Opened API result: ${elements.nodes.length} nodes${elements.truncated ? ' (truncated)' : ''}${riskNote}`, 'ready');
+        console.log(`🌐 Opened ${url}: ${elements.nodes.length} nodes, ${elements.edges.length} edges`);
+    }
+
+    // Show only the transfers of one token (by contract, or ETH), and the
+    // accounts they connect; '' shows every token
+    applyTokenFilter(token) {
+        this.cy.batch(() => {
+            this.cy.elements().removeClass('token-hidden');
+            if (!token) return;
+
+            this.cy.edges('[type="transfer"]').filter(edge => edge.data('token') !== token).addClass('token-hidden');
+            this.cy.nodes().filter(node => node.connectedEdges().nonempty() &&
+                node.connectedEdges().not('.token-hidden').empty()).addClass('token-hidden');
+        });
+
+        this.tokenFilter = token;
+        document.getElementById('token-filter').value = token;
+        this.updateNetworkStats();
+
+        const selected = this.tokens.find(item => item.key === token);
+        this.updateStatus(selected ? `Showing ${selected.symbol} transfers` : 'Showing all tokens', 'ready');
+        console.log(`🪙 Token filter: ${selected ? `${selected.symbol} (${selected.key})` : 'all tokens'}`);
+    }
+
+    updateTokenFilterControl() {
+        const select = document.getElementById('token-filter');
+        const symbols = new Map();
+        this.tokens.forEach(token => symbols.set(token.symbol, (symbols.get(token.symbol) || 0) + 1));
+
+        // A symbol shared by several contracts usually means an impersonating token
+        select.innerHTML = `<option value="">All tokens</option>` + this.tokens.map(token => `
+            <option value="${escapeHtml(token.key)}">
+                ${symbols.get(token.symbol) > 1 ? '⚠️ ' : ''}${escapeHtml(token.symbol)}${token.contract ? ` (${token.contract.slice(0, 8)}…)` : ''} · ${token.transfers}
+            </option>
+        `).join('');
+        select.disabled = this.tokens.length < 2;
+        select.value = this.tokenFilter;
+    }
+
+    // Unit for transfer amounts: BTC for the sample and Bitcoin dumps, the
+    // asset of a single-asset ledger or the selected token, none when the
+    // transfers in view mix assets
+    getAmountUnit() {
+        if (this.currentDataset === 'sample' || this.currentDataset === 'bitcoin') return 'BTC';
+
+        const assets = new Set(this.cy.edges().not('.token-hidden').map(edge => edge.data('asset')).filter(Boolean));
+        return assets.size === 1 ? Array.from(assets)[0] : '';
+    }
+
+    formatAmount(value, unit = this.getAmountUnit()) {
+        return `${Number(value).toFixed(2)}${unit ? ` ${unit}` : ''}`;
+    }
+
+    closeModal() {
+        const modal = document.getElementById('file-upload-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    reportLoadProgress(progress) {
+        const percent = progress.total > 0 ? Math.round((progress.loaded / progress.total) * 100) : 0;
+        this.updateStatus(`Parsing ${progress.fileName}: ${percent}% (${progress.rows.toLocaleString()} rows)`, 'loading');
+    }
+
+    async loadEllipticFiles() {
+        const featuresFile = document.getElementById('features-upload').files[0];
+        const classesFile = document.getElementById('classes-upload').files[0];
+        const edgesFile = document.getElementById('edges-upload').files[0];
+
+        if (!featuresFile || !classesFile || !edgesFile) {
+            alert('Please select all three CSV files');
+            return;
+        }
+
+        const walletFiles = Object.fromEntries(WALLET_FILES
+            .map(key => [key, document.getElementById(`${key}-upload`).files[0]])
+            .filter(([, file]) => file));
+        if (Object.keys(walletFiles).length > 0 && !walletFiles.addrTx && !walletFiles.txAddr) {
+            alert('The wallet layer needs the AddrTx or TxAddr edgelist to link addresses to transactions');
+            return;
+        }
+
+        // Files whose preview hasn't been read yet are mapped by guessing
+        const mapping = {};
+        const problems = [];
+        Object.entries(this.uploadMappings).forEach(([key, { rows, mapping: fileMapping }]) => {
+            mapping[key] = fileMapping;
+            validateMapping(key, fileMapping, rows[0].length).forEach(problem => {
+                problems.push(`${key}: ${problem}`);
+            });
+        });
+
+        this.renderMappingReport(problems);
+        if (problems.length > 0) return;
+
+        const loadButton = document.getElementById('load-files-btn');
+        loadButton.disabled = true;
+        loadButton.textContent = 'Loading...';
+
+        try {
+            this.updateStatus('Loading Elliptic dataset...', 'loading');
+
+            console.log('📥 Loading Elliptic dataset files...');
+            console.log(`📊 Files: ${featuresFile.name}, ${classesFile.name}, ${edgesFile.name}`);
+
+            // Stream and index the full dataset in a background worker
+            const statistics = await this.ellipticLoader.loadFromFiles(
+                featuresFile,
+                classesFile,
+                edgesFile,
+                (progress) => this.reportLoadProgress(progress),
+                mapping,
+                walletFiles
+            );
+
+            // The mappings worked, so remember them for files with the same layout
+            Object.values(this.uploadMappings).forEach(({ signature, mapping: fileMapping }) => {
+                this.mappingStore.save(signature, fileMapping);
+            });
+
+            console.log(`📊 Indexed ${statistics.total} transactions (${statistics.illicit} illicit) and ${statistics.edges} edges`);
+
+            // Flags, notes and cases are saved for this exact set of files
+            const datasetKey = ['elliptic', ...[featuresFile, classesFile, edgesFile, ...Object.values(walletFiles)]
+                .map(file => `${file.name}:${file.size}`)].join('|');
+            this.ellipticDatasetKey = datasetKey;
+
+            // Reloading the files behind a restored session keeps its graph
+            if (this.currentDataset === 'elliptic' && this.datasetKey === datasetKey && this.cy.nodes().nonempty()) {
+                this.closeModal();
+                this.updateGraphViewControl();
+                this.updateStatus('Elliptic dataset reattached to session', 'ready');
+                console.log('✅ Full dataset available for the restored session');
+                return;
+            }
+
+            // For performance, load a sample subset
+            console.log('🔄 Creating sample subset for visualization...');
+            const sampleData = this.ellipticLoader.loadSampleSubset(200); // Much smaller sample
+
+            // Clear existing data and add new data
+            this.recordHistory('Load Elliptic dataset');
+            this.resetDatasetState();
+            this.cy.add(sampleData.nodes);
+            this.cy.add(sampleData.edges);
+
+            // Run layout optimized for larger networks
+            this.cy.layout({
+                name: 'cose-bilkent',
+                animate: true,
+                animationDuration: 2000,
+                nodeRepulsion: 8000,
+                idealEdgeLength: 100,
+                edgeElasticity: 0.3,
+                nestingFactor: 0.1,
+                gravity: 0.4,
+                numIter: 1000
+            }).run();
+
+            // Update tracking
+            this.currentDataset = 'elliptic';
+            this.ellipticView = 'transactions';
+            this.viewTxIds = null;
+
+            // Update statistics
+            this.updateNetworkStats();
+            this.updateEllipticStats(sampleData.statistics);
+
+            // Timeline spans the whole dataset so expanded nodes fit in it
+            const range = this.ellipticLoader.getTimestepRange();
+            this.timeline.show(range.min, range.max);
+
+            await this.loadCaseData(datasetKey);
+            this.updateGraphViewControl();
+
+            // Close modal
+            this.closeModal();
+
+            this.updateStatus('Elliptic dataset loaded successfully', 'ready');
+            console.log('✅ Elliptic dataset visualization complete');
+            console.log(`📈 Visualizing ${sampleData.nodes.length} transactions`);
+
+        } catch (error) {
+            if (error.cancelled) {
+                this.updateStatus('Dataset loading cancelled', 'ready');
+                return;
+            }
+
+            loadButton.disabled = false;
+            loadButton.textContent = 'Load Dataset';
+
+            console.error('❌ Failed to load Elliptic dataset:', error);
+            this.updateStatus('Failed to load dataset', 'error');
+
+            // A mapping that doesn't fit the file is reported row by row in the modal
+            if (error.validation) {
+                this.renderMappingReport([error.message], error.validation);
+                return;
+            }
+            alert(`Failed to load Elliptic dataset: ${error.message}`);
+        }
+    }
+
+    // Facts about a node as { label, value, color } rows; rows without a
+    // value are warnings. Shared by the info panel and compliance reports.
+    getNodeDetails(node) {
+        const data = node.data();
+        const details = [];
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+
+        if (this.currentDataset === 'elliptic' && data.type === 'actor') {
+            details.push(
+                { label: 'Address', value: data.address },
+                { label: 'Type', value: 'wallet' },
+                { label: 'Classification', value: data.classification, color: this.getClassificationColor(data.classification) },
+                { label: 'First Active', value: data.timestep ? `Timestep ${data.timestep}` : 'Unknown' },
+                { label: 'Spends In', value: `${node.connectedEdges('[type="input"]').length} transactions` },
+                { label: 'Receives From', value: `${node.connectedEdges('[type="output"]').length} transactions` },
+                { label: 'Connections', value: node.degree() }
+            );
+            if (data.suspicious === 'true') {
+                details.push({ label: '⚠️ Flagged as Illicit', color: '#dc3545' });
+            }
+        } else if (this.currentDataset === 'elliptic') {
+            details.push(
+                { label: 'Transaction ID', value: data.txId || 'Unknown' },
+                { label: 'Type', value: data.type },
+                { label: 'Classification', value: data.classification, color: this.getClassificationColor(data.classification) },
+                { label: 'Timestep', value: data.timestep || 'Unknown' },
+                { label: 'Connections', value: node.degree() },
+                { label: 'Feature Sum', value: data.featureSum ? data.featureSum.toFixed(2) : 'Unknown' }
+            );
+            if (data.suspicious === 'true') {
+                details.push({ label: '⚠️ Flagged as Illicit', color: '#dc3545' });
+            }
+        } else if (data.type === 'entity') {
+            details.push(
+                { label: 'Entity', value: data.label },
+                { label: 'Addresses', value: data.size },
+                { label: 'Received', value: this.formatAmount(data.received) },
+                { label: 'Sent', value: this.formatAmount(data.sent) },
+                { label: 'Transfers', value: data.transferCount },
+                { label: 'Connections', value: node.degree() }
+            );
+        } else if (this.currentDataset === 'bitcoin' && data.type === 'transaction') {
+            details.push(
+                { label: 'Transaction ID', value: data.txId },
+                { label: 'Block', value: data.blockHeight !== undefined ? data.blockHeight : (data.blockHash || 'Unconfirmed') },
+                { label: 'Time', value: data.timestamp || 'Unknown' },
+                { label: 'Inputs / Outputs', value: `${data.inputCount} / ${data.outputCount}` },
+                { label: 'Output Value', value: this.formatAmount(data.outputValue) }
+            );
+            if (data.coinbase) {
+                details.push({ label: '⛏️ Coinbase (newly mined)' });
+            } else if (data.fee !== undefined) {
+                details.push({ label: 'Fee', value: this.formatAmount(data.fee) });
+            } else {
+                details.push({ label: `${data.unresolvedInputs} inputs spend transactions not in the dump`, color: '#f59e0b' });
+            }
+        } else if (this.currentDataset === 'bitcoin') {
+            details.push(
+                { label: 'Address', value: data.address },
+                { label: 'Received', value: this.formatAmount(data.received) },
+                { label: 'Sent', value: this.formatAmount(data.sent) },
+                { label: 'Transfers', value: data.transferCount },
+                { label: 'Connections', value: node.degree() }
+            );
+        } else if (this.currentDataset === 'ethereum') {
+            details.push(
+                { label: 'Address', value: data.address },
+                { label: 'Type', value: data.type === 'contract' ? 'Contract' : 'Externally owned account' }
+            );
+
+            // Totals per token over the transfers in view
+            const totals = new Map();
+            node.connectedEdges().not('.token-hidden').forEach(edge => {
+                if (!totals.has(edge.data('token'))) totals.set(edge.data('token'), { asset: edge.data('asset'), sent: 0, received: 0 });
+                totals.get(edge.data('token'))[edge.data('source') === node.id() ? 'sent' : 'received'] += edge.data('amount');
+            });
+            totals.forEach(({ asset, sent, received }) => {
+                details.push({ label: `${asset} Sent / Received`, value: `${this.formatAmount(sent, asset)} / ${this.formatAmount(received, asset)}` });
+            });
+
+            details.push(
+                { label: 'Transfers', value: data.transferCount },
+                { label: 'Connections', value: node.degree() }
+            );
+        } else if (this.currentDataset === 'ledger') {
+            const unit = this.getAmountUnit();
+            details.push(
+                { label: 'Address', value: data.address || data.id },
+                { label: 'Type', value: data.type },
+                { label: 'Sent', value: this.formatAmount(data.sent, unit) },
+                { label: 'Received', value: this.formatAmount(data.received, unit) },
+                { label: 'Transfers', value: data.transferCount },
+                { label: 'Connections', value: node.degree() }
+            );
+        } else {
+            details.push(
+                { label: 'Address', value: data.address || data.id },
+                { label: 'Type', value: data.type },
+                { label: 'Balance', value: data.balance ? data.balance.toFixed(2) + ' BTC' : 'Unknown' },
+                { label: 'Connections', value: node.degree() }
+            );
+            if (data.suspicious === 'true') {
+                details.push({ label: '⚠️ Flagged as Suspicious', color: '#dc3545' });
+            }
+        }
+
+        if (Array.isArray(data.screeningHits)) {
+            data.screeningHits.forEach(hit => {
+                details.push({ label: `⛔ On ${hit.list}`, value: hit.note ? `${hit.value} (${hit.note})` : hit.value, color: '#e879f9' });
+            });
+        }
+
+        if (data.exposureHops !== undefined) {
+            const via = this.cy.getElementById(data.exposureVia);
+            details.push({
+                label: 'Watchlist Exposure',
+                value: `${data.exposureHops} hop${data.exposureHops === 1 ? '' : 's'} from ${via.nonempty() ? via.data('label') || via.id() : data.exposureVia}`,
+                color: '#e879f9'
+            });
+        }
+
+        if (data.predictedIllicit !== undefined) {
+            details.push({ label: 'Predicted Illicit', value: percent(data.predictedIllicit), color: this.getRiskColor(data.predictedIllicit) });
+        }
+
+        if (data.risk !== undefined) {
+            details.push({ label: 'Risk Score', value: percent(data.risk), color: this.getRiskColor(data.risk) });
+        }
+
+        if (data.pageRank !== undefined) {
+            Object.entries(NETWORK_METRICS).forEach(([metric, label]) => {
+                details.push({ label, value: this.formatMetric(metric, data[metric]) });
+            });
+        }
+
+        return details;
+    }
+
+    displayNodeInfo(node) {
+        const infoPanel = document.getElementById('selected-node-info');
+
+        if (!infoPanel) {
+            console.warn('⚠️ selected-node-info element not found');
+            return;
+        }
+
+        // Labels can carry imported text too (token symbols, watchlist names)
+        let infoHTML = this.getNodeDetails(node).map(({ label, value, color }) => {
+            if (value === undefined) {
+                return `<div style="color: ${color};"><strong>${escapeHtml(label)}</strong></div>`;
+            }
+            const shown = escapeHtml(value);
+            return `<div><strong>${escapeHtml(label)}:</strong> ${color ? `<span style="color: ${color};">${shown}</span>` : shown}</div>`;
+        }).join('');
+
+        infoHTML += `
+            <div class="node-actions">
+                ${this.hasFullDataset() && this.ellipticView === 'transactions' ? `
+                    <label>Hops <input type="number" id="expand-hops" min="1" max="5" value="1" /></label>
+                    <select id="expand-direction">
+                        <option value="both">Both directions</option>
+                        <option value="in">Predecessors</option>
+                        <option value="out">Successors</option>
+                    </select>
+                    <button id="expand-node-btn" class="btn btn-secondary">Expand neighbours</button>
+                    <button id="collapse-node-btn" class="btn btn-secondary" ${this.hasExpansion(node) ? '' : 'disabled'}>Collapse</button>
+                ` : ''}
+                <button id="risk-seed-btn" class="btn btn-secondary">
+                    ${this.riskSeeds.has(node.id()) ? 'Unmark risk seed' : '☣️ Mark as risk seed'}
+                </button>
+                <button id="path-source-btn" class="btn btn-secondary" ${this.pathEndpoints.source === node.id() ? 'disabled' : ''}>🧭 Path from here</button>
+                <button id="path-target-btn" class="btn btn-secondary" ${this.pathEndpoints.target === node.id() ? 'disabled' : ''}>Path to here</button>
+            </div>
+        `;
+
+        if (node.data('type') === 'entity') {
+            infoHTML += this.renderEntityDetails(node);
+        }
+
+        infoHTML += this.renderInvestigationForm(node);
+
+        infoPanel.innerHTML = infoHTML;
+
+        if (node.data('type') === 'entity') {
+            this.bindEntityDetails(node);
+        }
+
+        document.getElementById('risk-seed-btn').addEventListener('click', () => {
+            this.recordHistory('Toggle risk seed');
+            this.toggleRiskSeed(node);
+        });
+
+        document.getElementById('path-source-btn').addEventListener('click', () => {
+            this.setPathEndpoint('source', node);
+        });
+
+        document.getElementById('path-target-btn').addEventListener('click', () => {
+            this.setPathEndpoint('target', node);
+        });
+
+        this.bindInvestigationForm(node);
+
+        const expandButton = document.getElementById('expand-node-btn');
+        if (expandButton) {
+            expandButton.addEventListener('click', () => {
+                this.recordHistory('Expand neighbours');
+                const hops = parseInt(document.getElementById('expand-hops').value, 10) || 1;
+                const direction = document.getElementById('expand-direction').value;
+                this.expandNeighbours(node, hops, direction);
+            });
+            document.getElementById('collapse-node-btn').addEventListener('click', () => {
+                this.recordHistory('Collapse neighbours');
+                this.collapseNeighbours(node);
+            });
+        }
+    }
+
+    // Member addresses and the evidence behind an entity, with un-merge controls
+    renderEntityDetails(node) {
+        const { addresses, evidence } = node.data();
+        const labelOf = id => this.cy.getElementById(id).data('label') || id;
+
+        return `
+            <div class="entity-details">
+                <strong>Addresses</strong>
+                <div class="risk-top">
+                    ${addresses.map(address => `<div class="risk-top-item"><code>${escapeHtml(address)}</code></div>`).join('')}
+                </div>
+                <strong>Evidence</strong>
+                <div class="risk-top">
+                    ${evidence.map(item => `
+                        <div class="risk-top-item community-item">
+                            <span>${CLUSTERING_HEURISTICS[item.heuristic]} in ${escapeHtml(labelOf(item.transaction))}
+                                <small>(${item.addresses.length} addresses)</small></span>
+                            <button class="btn btn-secondary entity-reject" data-evidence="${escapeHtml(item.id)}" title="Reject this merge and cluster again">✂️ Reject</button>
+                        </div>
+                    `).join('')}
+                </div>
+                <button id="unmerge-entity-btn" class="btn btn-secondary">✂️ Un-merge entity</button>
+            </div>
+        `;
+    }
+
+    bindEntityDetails(node) {
+        document.querySelectorAll('.entity-reject').forEach(button => {
+            button.addEventListener('click', () => {
+                this.recordHistory('Reject clustering evidence');
+                this.rejectClusterEvidence(button.dataset.evidence);
+            });
+        });
+        document.getElementById('unmerge-entity-btn').addEventListener('click', () => {
+            this.recordHistory('Un-merge entity');
+            this.unmergeEntity(node.id());
+        });
+    }
+
+    renderInvestigationForm(node) {
+        const annotation = this.annotations.get(node.id()) || { flagged: false, notes: '', tags: [] };
+        const memberOf = this.cases.filter(c => c.nodeIds.includes(node.id()));
+        const otherCases = this.cases.filter(c => !c.nodeIds.includes(node.id()));
+
+        return `
+            <div class="investigation">
+                <button id="flag-node-btn" class="btn ${annotation.flagged ? 'btn-danger' : 'btn-secondary'}">
+                    ${annotation.flagged ? '🚩 Flagged - click to unflag' : '🚩 Flag for investigation'}
+                </button>
+                <label>Tags
+                    <input type="text" id="node-tags" placeholder="comma, separated" value="${escapeHtml(annotation.tags.join(', '))}" />
+                </label>
+                <label>Notes
+                    <textarea id="node-notes" rows="3" placeholder="Analyst notes...">${escapeHtml(annotation.notes)}</textarea>
+                </label>
+                <button id="save-annotation-btn" class="btn btn-primary">Save notes</button>
+                <div class="case-membership">
+                    ${memberOf.map(c => `
+                        <span class="case-chip">${escapeHtml(c.name)}
+                            <button class="case-chip-remove" data-case="${c.id}" title="Remove from case">×</button>
+                        </span>
+                    `).join('')}
+                    ${otherCases.length > 0 ? `
+                        <select id="node-case">
+                            ${otherCases.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('')}
+                        </select>
+                        <button id="add-to-case-btn" class="btn btn-secondary">Add to case</button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    bindInvestigationForm(node) {
+        const readForm = () => ({
+            notes: document.getElementById('node-notes').value.trim(),
+            tags: document.getElementById('node-tags').value.split(',').map(tag => tag.trim()).filter(Boolean)
+        });
+
+        document.getElementById('flag-node-btn').addEventListener('click', () => {
+            const annotation = this.annotations.get(node.id());
+            this.saveNodeAnnotation(node, { ...readForm(), flagged: !(annotation && annotation.flagged) });
+        });
+
+        document.getElementById('save-annotation-btn').addEventListener('click', () => {
+            const annotation = this.annotations.get(node.id());
+            this.saveNodeAnnotation(node, { ...readForm(), flagged: Boolean(annotation && annotation.flagged) });
+        });
+
+        const addButton = document.getElementById('add-to-case-btn');
+        if (addButton) {
+            addButton.addEventListener('click', () => {
+                this.updateCaseMembers(document.getElementById('node-case').value, [node.id()], []);
+            });
+        }
+
+        document.querySelectorAll('.case-chip-remove').forEach(button => {
+            button.addEventListener('click', () => {
+                this.updateCaseMembers(button.dataset.case, [], [node.id()]);
+            });
+        });
+    }
+
+    // Fetch and apply everything saved for this dataset
+    async loadCaseData(datasetKey) {
+        this.datasetKey = datasetKey;
+        this.annotations = new Map();
+        this.cases = [];
+
+        if (this.caseStore.available) {
+            try {
+                this.annotations = await this.caseStore.getAnnotations(datasetKey);
+                this.cases = await this.caseStore.getCases(datasetKey);
+                console.log(`🗂️ Restored ${this.annotations.size} annotations and ${this.cases.length} cases`);
+            } catch (error) {
+                console.error('❌ Failed to load saved cases:', error);
+            }
+        }
+
+        this.applyAnnotations();
+        this.renderCaseList();
+    }
+
+    applyAnnotations(nodes = this.cy.nodes()) {
+        this.cy.batch(() => {
+            nodes.forEach(node => {
+                const annotation = this.annotations.get(node.id());
+                if (annotation) {
+                    node.data({ flagged: annotation.flagged ? 'true' : 'false', tags: annotation.tags, notes: annotation.notes });
+                } else {
+                    node.removeData('flagged tags notes');
+                }
+            });
+        });
+    }
+
+    async saveNodeAnnotation(node, { flagged, notes, tags }) {
+        if (!this.datasetKey) return;
+
+        const annotation = { datasetKey: this.datasetKey, nodeId: node.id(), flagged, notes, tags };
+        const isEmpty = !flagged && !notes && tags.length === 0;
+
+        try {
+            if (isEmpty) {
+                this.annotations.delete(node.id());
+                if (this.caseStore.available) {
+                    await this.caseStore.deleteAnnotation(this.datasetKey, node.id());
+                }
+            } else {
+                this.annotations.set(node.id(), annotation);
+                if (this.caseStore.available) {
+                    await this.caseStore.saveAnnotation(annotation);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Failed to save annotation:', error);
+            this.updateStatus('Could not save annotation', 'error');
+        }
+
+        this.applyAnnotations(node);
+        this.displayNodeInfo(node);
+        this.renderCaseList();
+    }
+
+    async createCase(name) {
+        if (!this.datasetKey) {
+            alert('Load a dataset before creating cases');
+            return;
+        }
+
+        // Start the case with whatever is currently selected
+        const nodeIds = this.cy.nodes(':selected').map(node => node.id());
+        const record = { datasetKey: this.datasetKey, name, nodeIds };
+
+        try {
+            const saved = this.caseStore.available ? await this.caseStore.saveCase(record) : {
+                ...record,
+                id: `case_${Date.now().toString(36)}`,
+                createdAt: new Date().toISOString()
+            };
+            this.cases.push(saved);
+            console.log(`🗂️ Created case "${name}" with ${nodeIds.length} nodes`);
+        } catch (error) {
+            console.error('❌ Failed to create case:', error);
+            this.updateStatus('Could not create case', 'error');
+        }
+
+        this.renderCaseList();
+    }
+
+    async updateCaseMembers(caseId, addIds, removeIds) {
+        const caseRecord = this.cases.find(c => c.id === caseId);
+        if (!caseRecord) return;
+
+        const members = new Set(caseRecord.nodeIds);
+        addIds.forEach(id => members.add(id));
+        removeIds.forEach(id => members.delete(id));
+        caseRecord.nodeIds = Array.from(members);
+
+        try {
+            if (this.caseStore.available) {
+                Object.assign(caseRecord, await this.caseStore.saveCase(caseRecord));
+            }
+        } catch (error) {
+            console.error('❌ Failed to update case:', error);
+            this.updateStatus('Could not update case', 'error');
+        }
+
+        this.renderCaseList();
+
+        const selected = this.cy.nodes(':selected');
+        const focused = selected.length === 1 ? selected : this.cy.getElementById(addIds[0] || removeIds[0]);
+        if (focused.nonempty()) {
+            this.displayNodeInfo(focused);
+        }
+    }
+
+    async deleteCase(caseId) {
+        const caseRecord = this.cases.find(c => c.id === caseId);
+        if (!caseRecord || !confirm(`Delete case "${caseRecord.name}"? Node notes are kept.`)) return;
+
+        try {
+            if (this.caseStore.available) {
+                await this.caseStore.deleteCase(caseId);
+            }
+            this.cases = this.cases.filter(c => c.id !== caseId);
+        } catch (error) {
+            console.error('❌ Failed to delete case:', error);
+        }
+
+        this.renderCaseList();
+    }
+
+    // Select a case's nodes that are on the graph and bring them into view
+    showCase(caseId) {
+        const caseRecord = this.cases.find(c => c.id === caseId);
+        if (!caseRecord) return;
+
+        const nodes = this.cy.collection();
+        caseRecord.nodeIds.forEach(id => nodes.merge(this.cy.getElementById(id)));
+
+        this.cy.elements().unselect();
+        nodes.select();
+        if (nodes.nonempty()) {
+            this.cy.animate({ fit: { eles: nodes, padding: 80 } }, { duration: 500 });
+        }
+
+        const missing = caseRecord.nodeIds.length - nodes.length;
+        this.updateStatus(`Case "${caseRecord.name}": ${nodes.length} nodes shown${missing > 0 ? `, ${missing} not on graph` : ''}`, 'ready');
+    }
+
+    renderCaseList() {
+        const caseListElement = document.getElementById('case-list');
+        if (!caseListElement) return;
+
+        if (!this.datasetKey) {
+            caseListElement.innerHTML = '<div class="case-empty">Load a dataset to manage cases</div>';
+            return;
+        }
+
+        const flaggedCount = Array.from(this.annotations.values()).filter(a => a.flagged).length;
+        const items = this.cases.map(c => `
+            <div class="case-item" data-case="${c.id}">
+                <span class="case-name">${escapeHtml(c.name)} <small>(${c.nodeIds.length})</small></span>
+                <span>
+                    <button class="btn btn-secondary case-show">Show</button>
+                    <button class="btn btn-secondary case-delete" title="Delete case">×</button>
+                </span>
+            </div>
+        `).join('');
+
+        caseListElement.innerHTML = `
+            <div class="case-empty">🚩 ${flaggedCount} flagged, 📝 ${this.annotations.size} annotated nodes</div>
+            ${items || '<div class="case-empty">No cases yet - select nodes and create one</div>'}
+        `;
+
+        caseListElement.querySelectorAll('.case-item').forEach(item => {
+            item.querySelector('.case-show').addEventListener('click', () => this.showCase(item.dataset.case));
+            item.querySelector('.case-delete').addEventListener('click', () => this.deleteCase(item.dataset.case));
+        });
+    }
+
+    getRiskColor(risk) {
+        if (risk >= 0.7) return '#dc3545';
+        if (risk >= 0.3) return '#f59e0b';
+        return '#28a745';
+    }
+
+    toggleRiskSeed(node) {
+        if (this.riskSeeds.has(node.id())) {
+            this.riskSeeds.delete(node.id());
+            node.removeClass('risk-seed');
+        } else {
+            this.riskSeeds.add(node.id());
+            node.addClass('risk-seed');
+        }
+
+        this.displayNodeInfo(node);
+    }
+
+    // Seeds for propagation: illicit/flagged nodes, manual picks, or both
+    getRiskSeeds(source, nodes) {
+        const seeds = new Set();
+
+        if (source === 'labels' || source === 'both') {
+            nodes.forEach(node => {
+                if (node.data('classification') === 'illicit' || node.data('suspicious') === 'true') {
+                    seeds.add(node.id());
+                }
+            });
+        }
+
+        if (source === 'manual' || source === 'both') {
+            this.riskSeeds.forEach(id => {
+                if (nodes.getElementById(id).nonempty()) {
+                    seeds.add(id);
+                }
+            });
+        }
+
+        return Array.from(seeds);
+    }
+
+    runRiskPropagation() {
+        const model = document.getElementById('risk-model').value;
+        const seedSource = document.getElementById('risk-seeds').value;
+        const maxHops = parseInt(document.getElementById('risk-hops').value, 10) || 5;
+        const decay = parseFloat(document.getElementById('risk-decay').value);
+
+        if (model === 'decay' && !isNaN(decay) && !(decay > 0 && decay <= 1)) {
+            this.updateRiskInfo('<div class="pattern-alert warning">Decay per hop must be above 0 and at most 1</div>');
+            this.updateStatus('Risk propagation needs a decay between 0 and 1', 'error');
+            return;
+        }
+
+        // Only propagate through what the timeline currently shows
+        const visible = this.getAnalysisElements();
+        const seeds = this.getRiskSeeds(seedSource, visible.nodes());
+
+        if (seeds.length === 0) {
+            this.updateRiskInfo('<div class="pattern-alert warning">No seed nodes - load labelled data or mark seeds manually</div>');
+            return;
+        }
+
+        const scores = propagateRisk(graphFromCytoscape(visible), seeds, {
+            model,
+            maxHops,
+            decay: isNaN(decay) ? 0.5 : decay
+        });
+
+        this.cy.batch(() => {
+            this.cy.nodes().removeClass('risk-scored').removeData('risk');
+            scores.forEach((score, id) => {
+                this.cy.getElementById(id).data('risk', score).addClass('risk-scored');
+            });
+        });
+
+        const seedSet = new Set(seeds);
+        const exposed = Array.from(scores.entries())
+            .filter(([id]) => !seedSet.has(id))
+            .sort((a, b) => b[1] - a[1]);
+
+        this.riskSummary = {
+            seeds: seeds.length,
+            exposed: exposed.length,
+            highRisk: exposed.filter(([, score]) => score >= 0.7).length,
+            top: exposed.slice(0, 5)
+        };
+        this.renderRiskInfo();
+
+        console.log(`☣️ ${RISK_MODELS[model]}: ${seeds.length} seeds, ${exposed.length} exposed nodes`);
+    }
+
+    renderRiskInfo() {
+        if (!this.riskSummary) return;
+
+        const { seeds, exposed, highRisk, top } = this.riskSummary;
+        const topList = top.map(([id, score]) => `
+            <div class="risk-top-item">
+                <span>${escapeHtml(this.cy.getElementById(id).data('label') || id)}</span>
+                <span style="color: ${this.getRiskColor(score)};">${(score * 100).toFixed(1)}%</span>
+            </div>
+        `).join('');
+
+        this.updateRiskInfo(`
+            <div class="stat-item"><span class="stat-label">Seeds:</span><span class="stat-value">${seeds}</span></div>
+            <div class="stat-item"><span class="stat-label">Exposed nodes:</span><span class="stat-value">${exposed}</span></div>
+            <div class="stat-item"><span class="stat-label">High risk (≥70%):</span><span class="stat-value">${highRisk}</span></div>
+            ${topList ? `<div class="risk-top">${topList}</div>` : ''}
+        `);
+    }
+
+    clearRisk() {
+        this.cy.nodes().removeClass('risk-scored').removeData('risk');
+        this.riskSummary = null;
+        this.updateRiskInfo('');
+    }
+
+    renderWatchlists() {
+        const lists = this.watchlists.list();
+        const container = document.getElementById('watchlist-list');
+        if (!container) return;
+
+        container.innerHTML = lists.length === 0 ?
+            '<div class="risk-top-item">No watchlists - add a CSV or text list of addresses / transaction ids</div>' :
+            lists.map(list => `
+                <div class="risk-top-item community-item">
+                    <span>📋 ${escapeHtml(list.name)} · ${list.entries.length.toLocaleString()} entries</span>
+                    <button class="btn btn-secondary community-toggle watchlist-remove" data-list="${escapeHtml(list.name)}" title="Remove list">×</button>
+                </div>
+            `).join('');
+
+        container.querySelectorAll('.watchlist-remove').forEach(button => {
+            button.addEventListener('click', () => {
+                this.watchlists.remove(button.dataset.list);
+                this.renderWatchlists();
+            });
+        });
+    }
+
+    async addWatchlistFiles(files) {
+        for (const file of files) {
+            try {
+                const watchlist = parseWatchlist(await file.text(), file.name.replace(/\.[^.]+$/, ''));
+                this.watchlists.save(watchlist);
+                console.log(`📋 Watchlist ${watchlist.name}: ${watchlist.entries.length} entries`);
+            } catch (error) {
+                console.error('❌ Failed to read watchlist:', error);
+                alert(`Failed to read watchlist ${file.name}: ${error.message}`);
+            }
+        }
+        this.renderWatchlists();
+    }
+
+    // Match every node against the saved watchlists and mark nodes within
+    // the chosen number of hops of a match
+    runScreening() {
+        const lists = this.watchlists.list();
+        if (lists.length === 0) {
+            this.updateScreeningInfo('<div class="pattern-alert warning">Add a watchlist first</div>');
+            return;
+        }
+        if (this.cy.nodes().empty()) {
+            this.updateScreeningInfo('<div class="pattern-alert warning">Load a dataset first</div>');
+            return;
+        }
+
+        this.clearScreeningMarks();
+
+        const maxHops = Math.max(0, parseInt(document.getElementById('screening-hops').value, 10) || 0);
+        const { matches, exposure } = screenGraph(graphFromCytoscape(this.getAnalysisElements()), lists, { maxHops });
+
+        this.cy.batch(() => {
+            matches.forEach((hits, nodeId) => {
+                this.cy.getElementById(nodeId)
+                    .data({ screeningHits: hits, screeningLists: Array.from(new Set(hits.map(hit => hit.list))) })
+                    .addClass('screening-match');
+            });
+            exposure.forEach(({ hops, via }, nodeId) => {
+                this.cy.getElementById(nodeId)
+                    .data({ exposureHops: hops, exposureVia: via })
+                    .addClass('screening-exposed');
+            });
+        });
+
+        this.screeningSummary = {
+            lists: lists.map(list => list.name),
+            matches: matches.size,
+            exposed: exposure.size,
+            maxHops
+        };
+        this.renderScreeningInfo();
+
+        console.log(`🛡️ Screened ${this.getAnalysisElements().nodes().length} nodes against ${lists.length} lists: ${matches.size} matches, ${exposure.size} exposed within ${maxHops} hops`);
+    }
+
+    renderScreeningInfo() {
+        if (!this.screeningSummary) return;
+
+        const { lists, maxHops } = this.screeningSummary;
+        const matched = this.cy.nodes('.screening-match');
+        const exposed = this.cy.nodes('.screening-exposed').sort((a, b) => a.data('exposureHops') - b.data('exposureHops'));
+        const labelOf = node => escapeHtml(node.data('label') || node.id());
+
+        const byHops = new Map();
+        exposed.forEach(node => byHops.set(node.data('exposureHops'), (byHops.get(node.data('exposureHops')) || 0) + 1));
+
+        this.updateScreeningInfo(`
+            <div class="stat-item"><span class="stat-label">Lists:</span><span class="stat-value">${lists.length}</span></div>
+            <div class="stat-item"><span class="stat-label">⛔ Matches:</span><span class="stat-value">${matched.length}</span></div>
+            ${Array.from(byHops.entries()).map(([hops, count]) => `
+                <div class="stat-item"><span class="stat-label">${hops} hop${hops === 1 ? '' : 's'} away:</span><span class="stat-value">${count}</span></div>
+            `).join('')}
+            ${matched.length === 0 ? `<div class="pattern-alert success">No node matches ${lists.map(escapeHtml).join(', ')}</div>` : `
+                <div class="risk-top">
+                    <strong>Matches</strong>
+                    ${matched.map(node => node.data('screeningHits').map(hit => `
+                        <div class="risk-top-item metric-rank-item screening-item" data-node="${escapeHtml(node.id())}">
+                            <span>⛔ ${labelOf(node)}</span>
+                            <span>${escapeHtml(hit.list)}${hit.note ? ` · ${escapeHtml(hit.note)}` : ''}</span>
+                        </div>
+                    `).join('')).join('')}
+                </div>
+            `}
+            ${exposed.nonempty() ? `
+                <div class="risk-top">
+                    <strong>Exposure within ${maxHops} hops</strong>
+                    ${exposed.slice(0, 20).map(node => `
+                        <div class="risk-top-item metric-rank-item screening-item" data-node="${escapeHtml(node.id())}">
+                            <span>${labelOf(node)}</span>
+                            <span>${node.data('exposureHops')} via ${labelOf(this.cy.getElementById(node.data('exposureVia')))}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `);
+
+        document.querySelectorAll('.screening-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const node = this.cy.getElementById(item.dataset.node);
+                this.cy.nodes().unselect();
+                node.select();
+                this.displayNodeInfo(node);
+                this.highlightConnections(node);
+                this.cy.animate({ center: { eles: node } }, { duration: 400 });
+            });
+        });
+    }
+
+    clearScreeningMarks() {
+        this.cy.nodes()
+            .removeClass('screening-match screening-exposed')
+            .removeData('screeningHits screeningLists exposureHops exposureVia');
+    }
+
+    clearScreening() {
+        this.clearScreeningMarks();
+        this.screeningSummary = null;
+        this.updateScreeningInfo('');
+    }
+
+    updateScreeningInfo(html) {
+        const screeningInfoElement = document.getElementById('screening-info');
+        if (screeningInfoElement) {
+            screeningInfoElement.innerHTML = html;
+        }
+    }
+
+    updateRiskInfo(html) {
+        const riskInfoElement = document.getElementById('risk-info');
+        if (riskInfoElement) {
+            riskInfoElement.innerHTML = html;
+        }
+    }
+
+    // Rebuild the graph as another view of the same transactions. The
+    // transaction and bipartite views show the transactions on the graph;
+    // the address view keeps those it was switched to from.
+    setEllipticView(view) {
+        if (view === this.ellipticView) return;
+        if (!this.hasFullDataset() || !this.ellipticLoader.hasWallets) {
+            this.updateGraphViewControl();
+            return;
+        }
+
+        if (this.ellipticView !== 'addresses') {
+            this.viewTxIds = this.cy.nodes('[type="transaction"]').map(node => node.data('txId'));
+        }
+        const indices = this.viewTxIds
+            .map(txId => this.ellipticLoader.indexOf(txId))
+            .filter(index => index !== undefined);
+
+        let data;
+        try {
+            data = view === 'transactions' ?
+                this.ellipticLoader.processDataForVisualization(indices) :
+                this.ellipticLoader.processWalletView(indices, view);
+        } catch (error) {
+            console.error('❌ Failed to build view:', error);
+            this.updateStatus(`Failed to switch view: ${error.message}`, 'error');
+            this.updateGraphViewControl();
+            return;
+        }
+
+        // Patterns, metrics, paths etc. refer to the old elements
+        this.recordHistory('Switch graph view');
+        this.resetAnalysis();
+        this.ellipticView = view;
+
+        this.cy.elements().remove();
+        this.cy.add(data.nodes);
+        this.cy.add(data.edges);
+        this.applyAnnotations();
+
+        if (this.timeline.isFiltering) {
+            this.applyTimeWindow(this.timeline.start, this.timeline.end);
+        }
+
+        this.cy.layout({
+            name: 'cose-bilkent',
+            animate: true,
+            animationDuration: 1000,
+            nodeRepulsion: 8000,
+            idealEdgeLength: 100,
+            edgeElasticity: 0.3,
+            gravity: 0.4,
+            numIter: 1000
+        }).run();
+
+        this.updateNetworkStats();
+        this.refreshEllipticStats();
+        this.updateGraphViewControl(data.truncated);
+
+        this.updateStatus(`${ELLIPTIC_VIEWS[view]} view`, 'ready');
+        console.log(`🔀 Switched to the ${ELLIPTIC_VIEWS[view]} view: ${data.nodes.length} nodes, ${data.edges.length} edges`);
+    }
+
+    updateGraphViewControl(truncated = false) {
+        const select = document.getElementById('graph-view');
+        const info = document.getElementById('graph-view-info');
+        const available = this.hasFullDataset() && this.ellipticLoader.hasWallets;
+
+        select.value = this.ellipticView;
+        select.disabled = !available;
+
+        if (!available) {
+            info.innerHTML = this.currentDataset === 'elliptic' && this.ellipticView !== 'transactions' ?
+                '<small>Reload the Elliptic++ files, wallet layer included, to switch views</small>' :
+                '<small>Load the Elliptic dataset with its Elliptic++ wallet files to switch views</small>';
+        } else if (truncated) {
+            info.innerHTML = '<div class="pattern-alert warning">⚠️ Too many addresses - showing the first 1,000</div>';
+        } else {
+            info.innerHTML = '';
+        }
+    }
+
+    // Is the full dataset behind the current graph held by the loader? Not
+    // the case after restoring a session until its files are loaded again.
+    hasFullDataset() {
+        return this.currentDataset === 'elliptic' &&
+            this.ellipticLoader.isLoaded &&
+            this.ellipticDatasetKey === this.datasetKey;
+    }
+
+    setPathEndpoint(end, node) {
+        this.pathEndpoints[end] = node.id();
+        this.updatePathEndpoints();
+        this.displayNodeInfo(node);
+    }
+
+    updatePathEndpoints() {
+        ['source', 'target'].forEach(end => {
+            const element = document.getElementById(`path-${end}`);
+            const id = this.pathEndpoints[end];
+            if (element) {
+                element.textContent = id ? (this.cy.getElementById(id).data('label') || id) : 'Pick in node panel';
+            }
+        });
+    }
+
+    tracePaths() {
+        const { source, target } = this.pathEndpoints;
+        const mode = document.getElementById('path-mode').value;
+        const maxHops = parseInt(document.getElementById('path-hops').value, 10) || 6;
+
+        this.clearPathHighlights();
+
+        if (!source || !target) {
+            this.updatePathInfo('<div class="pattern-alert warning">Pick a source and a destination in the node panel</div>');
+            return;
+        }
+        if (mode === 'flow' && !this.getDetectionContext().amounts) {
+            this.updatePathInfo('<div class="pattern-alert warning">Maximum flow needs transfer amounts, which this dataset does not have</div>');
+            return;
+        }
+
+        // Only trace through what the timeline currently shows
+        const visible = this.getAnalysisElements();
+        if (visible.getElementById(source).empty() || visible.getElementById(target).empty()) {
+            this.updatePathInfo('<div class="pattern-alert warning">Source or destination is not on the visible graph</div>');
+            return;
+        }
+
+        const graph = graphFromCytoscape(visible);
+        const describe = path => path.nodes.map(id => nodeLabel(graph, id)).join(' → ');
+        let summary;
+
+        try {
+            if (mode === 'shortest') {
+                const path = shortestPath(graph, source, target);
+                this.pathResults = path ? [{ ...path, summary: `${describe(path)} · ${path.length} hops` }] : [];
+                summary = path ? `Shortest path: ${path.length} hops` : null;
+            } else if (mode === 'all') {
+                const { paths, truncated } = findSimplePaths(graph, source, target, { maxHops });
+                this.pathResults = paths.map(path => ({ ...path, summary: `${describe(path)} · ${path.length} hops` }));
+                summary = `${paths.length}${truncated ? '+' : ''} simple paths up to ${maxHops} hops`;
+            } else {
+                const flow = maxFlow(graph, source, target);
+                const unit = this.getAmountUnit();
+                this.pathResults = flow.paths.map(path => ({ ...path, summary: `${describe(path)} · ${this.formatAmount(path.amount, unit)}` }));
+                summary = `Maximum flow: ${this.formatAmount(flow.value, unit)} over ${flow.flows.size} transfers`;
+            }
+        } catch (error) {
+            this.updatePathInfo(`<div class="pattern-alert warning">${escapeHtml(error.message)}</div>`);
+            return;
+        }
+
+        if (this.pathResults.length === 0) {
+            this.updatePathInfo('<div class="pattern-alert success">No directed path between these nodes</div>');
+            return;
+        }
+
+        this.cy.batch(() => {
+            this.pathResults.forEach(path => {
+                [...path.nodes, ...path.edges].forEach(id => this.cy.getElementById(id).addClass('path-member'));
+            });
+        });
+
+        this.pathSummary = summary;
+        this.renderPathInfo();
+
+        console.log(`🧭 ${summary}`);
+    }
+
+    renderPathInfo() {
+        if (this.pathResults.length === 0) return;
+
+        const total = this.pathResults.length;
+        this.updatePathInfo(`
+            <div class="pattern-alert warning">🧭 ${this.pathSummary}</div>
+            <div class="pattern-nav">
+                <button class="btn btn-secondary path-prev">◀</button>
+                <span class="pattern-position">${this.pathCursor >= 0 ? `${this.pathCursor + 1} of ${total}` : `${total} found`}</span>
+                <button class="btn btn-secondary path-next">▶</button>
+            </div>
+            <div class="path-list">
+                ${this.pathResults.map((path, i) => `
+                    <div class="path-item${i === this.pathCursor ? ' active' : ''}" data-index="${i}">${i + 1}. ${escapeHtml(path.summary)}</div>
+                `).join('')}
+            </div>
+        `);
+
+        const pathInfo = document.getElementById('path-info');
+        pathInfo.querySelector('.path-prev').addEventListener('click', () => this.showPath(this.pathCursor - 1));
+        pathInfo.querySelector('.path-next').addEventListener('click', () => this.showPath(this.pathCursor + 1));
+        pathInfo.querySelectorAll('.path-item').forEach(item => {
+            item.addEventListener('click', () => this.showPath(parseInt(item.dataset.index, 10)));
+        });
+    }
+
+    // Focus the view on one traced path
+    showPath(index) {
+        const total = this.pathResults.length;
+        if (total === 0) return;
+
+        this.pathCursor = ((index % total) + total) % total;
+        const path = this.pathResults[this.pathCursor];
+
+        const elements = this.cy.collection();
+        [...path.nodes, ...path.edges].forEach(id => elements.merge(this.cy.getElementById(id)));
+
+        this.cy.elements().removeClass('path-focus');
+        elements.addClass('path-focus');
+        this.cy.animate({ fit: { eles: elements, padding: 80 } }, { duration: 500 });
+
+        const pathInfo = document.getElementById('path-info');
+        pathInfo.querySelector('.pattern-position').textContent = `${this.pathCursor + 1} of ${total}`;
+        pathInfo.querySelectorAll('.path-item').forEach(item => {
+            item.classList.toggle('active', parseInt(item.dataset.index, 10) === this.pathCursor);
+        });
+    }
+
+    clearPathHighlights() {
+        this.cy.elements().removeClass('path-member path-focus');
+        this.pathResults = [];
+        this.pathCursor = -1;
+        this.pathSummary = null;
+        this.updatePathInfo('');
+    }
+
+    updatePathInfo(html) {
+        const pathInfoElement = document.getElementById('path-info');
+        if (pathInfoElement) {
+            pathInfoElement.innerHTML = html;
+        }
+    }
+
+    formatMetric(metric, value) {
+        switch (metric) {
+            case 'pageRank': return value.toFixed(4);
+            case 'betweenness':
+            case 'clustering': return value.toFixed(3);
+            default: return String(value);
+        }
+    }
+
+    computeMetrics() {
+        // Only measure what the timeline currently shows
+        const visible = this.getAnalysisElements();
+        if (visible.nodes().empty()) {
+            this.updateMetricInfo('<div class="pattern-alert warning">No nodes to measure - load a dataset first</div>');
+            return;
+        }
+
+        const graph = graphFromCytoscape(visible);
+        const { metrics, components } = computeNetworkMetrics(graph);
+
+        this.cy.batch(() => {
+            this.cy.nodes().removeData(METRIC_DATA_KEYS);
+            metrics.forEach((values, id) => this.cy.getElementById(id).data(values));
+        });
+
+        const nodeCount = graph.nodeIds.length;
+        this.networkSummary = {
+            nodes: nodeCount,
+            edges: graph.edgeData.size,
+            density: nodeCount > 1 ? graph.edgeData.size / (nodeCount * (nodeCount - 1)) : 0,
+            components: components.length,
+            largestComponent: components.length > 0 ? components[0].nodes.length : 0
+        };
+
+        this.applyMetricStyling();
+        this.renderMetricRanking();
+        console.log(`📐 Metrics computed for ${nodeCount} nodes (${components.length} components)`);
+    }
+
+    // Map the chosen metrics onto node size and colour, scaled to their range
+    applyMetricStyling() {
+        const measured = this.cy.nodes().filter(node => node.data('pageRank') !== undefined);
+        const mappings = [
+            { metric: document.getElementById('metric-size').value, key: 'metricSize', className: 'metric-sized' },
+            { metric: document.getElementById('metric-colour').value, key: 'metricColour', className: 'metric-coloured' }
+        ];
+
+        this.cy.batch(() => {
+            mappings.forEach(({ metric, key, className }) => {
+                this.cy.nodes().removeClass(className).removeData(key);
+                if (!metric || measured.empty()) return;
+
+                const values = measured.map(node => node.data(metric));
+                const min = Math.min(...values);
+                const range = Math.max(...values) - min;
+
+                measured.forEach(node => {
+                    node.data(key, range > 0 ? (node.data(metric) - min) / range : 0.5).addClass(className);
+                });
+            });
+        });
+    }
+
+    renderMetricRanking() {
+        if (!this.networkSummary) return;
+
+        const metric = document.getElementById('metric-rank').value;
+        const ranked = this.cy.nodes()
+            .filter(node => node.data(metric) !== undefined)
+            .sort((a, b) => b.data(metric) - a.data(metric))
+            .slice(0, 10);
+        const { nodes, edges, density, components, largestComponent } = this.networkSummary;
+
+        this.updateMetricInfo(`
+            <div class="stat-item"><span class="stat-label">Nodes / edges:</span><span class="stat-value">${nodes} / ${edges}</span></div>
+            <div class="stat-item"><span class="stat-label">Density:</span><span class="stat-value">${density.toFixed(4)}</span></div>
+            <div class="stat-item"><span class="stat-label">Components:</span><span class="stat-value">${components} (largest ${largestComponent})</span></div>
+            <div class="risk-top">
+                <strong>Top ${ranked.length} by ${NETWORK_METRICS[metric]}</strong>
+                ${ranked.map(node => `
+                    <div class="risk-top-item metric-rank-item" data-node="${escapeHtml(node.id())}">
+                        <span>${escapeHtml(node.data('label') || node.id())}</span>
+                        <span>${this.formatMetric(metric, node.data(metric))}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `);
+
+        document.querySelectorAll('.metric-rank-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const node = this.cy.getElementById(item.dataset.node);
+                this.cy.nodes().unselect();
+                node.select();
+                this.displayNodeInfo(node);
+                this.highlightConnections(node);
+                this.cy.animate({ center: { eles: node } }, { duration: 400 });
+            });
+        });
+    }
+
+    clearMetrics() {
+        this.cy.nodes().removeClass('metric-sized metric-coloured').removeData(`${METRIC_DATA_KEYS} metricSize metricColour`);
+        this.networkSummary = null;
+        this.updateMetricInfo('');
+    }
+
+    updateMetricInfo(html) {
+        const metricInfoElement = document.getElementById('metric-info');
+        if (metricInfoElement) {
+            metricInfoElement.innerHTML = html;
+        }
+    }
+
+    getCommunityColor(index) {
+        const palette = ['#f472b6', '#a78bfa', '#34d399', '#fbbf24', '#60a5fa', '#f87171',
+            '#2dd4bf', '#c084fc', '#a3e635', '#fb923c', '#38bdf8', '#e879f9'];
+        // Golden-angle hues once the palette runs out
+        return index < palette.length ? palette[index] : `hsl(${Math.round((index * 137.508) % 360)}, 70%, 60%)`;
+    }
+
+    // Illicit/licit/unknown mix of some nodes; sample wallets only carry a
+    // suspicious flag, so they count as illicit or unknown
+    getCommunityMix(nodes) {
+        const mix = { illicit: 0, licit: 0, unknown: 0 };
+        nodes.forEach(node => {
+            const classification = node.data('classification') ||
+                (node.data('suspicious') === 'true' ? 'illicit' : 'unknown');
+            if (classification in mix) mix[classification]++;
+        });
+        return mix;
+    }
+
+    runCommunityDetection() {
+        this.expandAllCommunities();
+
+        const resolution = parseFloat(document.getElementById('community-resolution').value);
+        const graph = graphFromCytoscape(this.getAnalysisElements());
+        if (graph.nodeIds.length === 0) {
+            this.updateCommunityInfo('<div class="pattern-alert warning">No nodes to cluster - load a dataset first</div>');
+            return;
+        }
+
+        const { communities, count, modularity } = detectCommunities(graph, {
+            resolution: isNaN(resolution) || resolution <= 0 ? 1 : resolution
+        });
+
+        this.cy.batch(() => {
+            this.cy.nodes().removeClass('community-coloured').removeData('community communityColour');
+            communities.forEach((community, id) => {
+                this.cy.getElementById(id)
+                    .data({ community, communityColour: this.getCommunityColor(community) })
+                    .addClass('community-coloured');
+            });
+        });
+
+        this.communitySummary = { count, modularity };
+        this.renderCommunityInfo();
+        console.log(`🧩 ${count} communities found (modularity ${modularity.toFixed(3)})`);
+    }
+
+    // Replace a community's members with one summary node showing its mix
+    collapseCommunity(index) {
+        const members = this.cy.nodes()
+            .not('.community-meta, .community-collapsed')
+            .filter(node => node.data('community') === index);
+        if (members.length < 2) return;
+
+        const centre = { x: 0, y: 0 };
+        members.forEach(node => {
+            centre.x += node.position('x') / members.length;
+            centre.y += node.position('y') / members.length;
+        });
+
+        // Member offsets from the centre, so they expand around wherever
+        // the summary node has been moved to
+        const offsets = {};
+        members.forEach(node => {
+            offsets[node.id()] = { x: node.position('x') - centre.x, y: node.position('y') - centre.y };
+        });
+
+        const mix = this.getCommunityMix(members);
+        const share = count => (count / members.length) * 100;
+
+        this.cy.batch(() => {
+            this.cy.add({
+                group: 'nodes',
+                data: {
+                    id: `community_${index}`,
+                    label: `C${index + 1} · ${members.length}`,
+                    type: 'community',
+                    community: index,
+                    communityColour: this.getCommunityColor(index),
+                    members: members.map(node => node.id()),
+                    offsets,
+                    size: members.length,
+                    illicit: mix.illicit,
+                    licit: mix.licit,
+                    unknown: mix.unknown,
+                    illicitShare: share(mix.illicit),
+                    licitShare: share(mix.licit),
+                    unknownShare: share(mix.unknown)
+                },
+                position: centre,
+                classes: 'community-meta'
+            });
+            members.addClass('community-collapsed');
+        });
+
+        this.rebuildCommunityEdges();
+        this.renderCommunityInfo();
+    }
+
+    expandCommunity(index) {
+        const summary = this.cy.getElementById(`community_${index}`);
+        if (summary.empty()) return;
+
+        const { members, offsets } = summary.data();
+        const centre = summary.position();
+
+        this.cy.batch(() => {
+            members.forEach(id => {
+                const node = this.cy.getElementById(id);
+                node.removeClass('community-collapsed');
+                if (offsets[id]) {
+                    node.position({ x: centre.x + offsets[id].x, y: centre.y + offsets[id].y });
+                }
+            });
+            summary.remove();
+        });
+
+        this.rebuildCommunityEdges();
+        this.renderCommunityInfo();
+    }
+
+    collapseAllCommunities() {
+        if (!this.communitySummary) return;
+
+        for (let index = 0; index < this.communitySummary.count; index++) {
+            this.collapseCommunity(index);
+        }
+
+        // Lay out the condensed graph
+        this.cy.elements(':visible').layout({
+            name: 'cose-bilkent',
+            animate: true,
+            animationDuration: 1000,
+            nodeRepulsion: 8000,
+            idealEdgeLength: 120,
+            randomize: false
+        }).run();
+    }
+
+    expandAllCommunities() {
+        this.cy.nodes('.community-meta').forEach(summary => this.expandCommunity(summary.data('community')));
+    }
+
+    // Aggregate edges touching collapsed members onto their summary nodes
+    rebuildCommunityEdges() {
+        this.cy.edges('.community-meta').remove();
+
+        const representative = new Map();
+        this.cy.nodes('.community-meta').forEach(summary => {
+            summary.data('members').forEach(id => representative.set(id, summary.id()));
+        });
+        if (representative.size === 0) return;
+
+        const links = new Map();
+        this.cy.edges().not('.entity-merged').forEach(edge => {
+            if (edge.source().hasClass('timeline-hidden') || edge.target().hasClass('timeline-hidden')) return;
+
+            const source = representative.get(edge.source().id()) || edge.source().id();
+            const target = representative.get(edge.target().id()) || edge.target().id();
+            if (source === target || (source === edge.source().id() && target === edge.target().id())) return;
+
+            const key = `${source}|${target}`;
+            if (!links.has(key)) links.set(key, { source, target, count: 0 });
+            links.get(key).count++;
+        });
+
+        this.cy.add(Array.from(links.values(), ({ source, target, count }) => ({
+            group: 'edges',
+            data: { id: `community_edge_${source}_${target}`, source, target, count, label: count > 1 ? String(count) : '' },
+            classes: 'community-meta'
+        })));
+    }
+
+    renderCommunityInfo() {
+        if (!this.communitySummary) return;
+
+        const { count, modularity } = this.communitySummary;
+        const groups = new Map();
+        this.cy.nodes().not('.community-meta').forEach(node => {
+            const community = node.data('community');
+            if (community === undefined) return;
+            if (!groups.has(community)) groups.set(community, this.cy.collection());
+            groups.set(community, groups.get(community).union(node));
+        });
+
+        const items = Array.from(groups.entries())
+            .sort((a, b) => a[0] - b[0])
+            .slice(0, 15)
+            .map(([community, members]) => {
+                const mix = this.getCommunityMix(members);
+                const collapsed = this.cy.getElementById(`community_${community}`).nonempty();
+                return `
+                    <div class="risk-top-item community-item">
+                        <span><span class="community-swatch" style="background: ${this.getCommunityColor(community)};"></span>
+                            C${community + 1} · ${members.length} · 🔴${mix.illicit} 🟢${mix.licit} ⚫${mix.unknown}</span>
+                        ${members.length > 1 ? `
+                            <button class="btn btn-secondary community-toggle" data-community="${community}">
+                                ${collapsed ? 'Expand' : 'Collapse'}
+                            </button>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+
+        this.updateCommunityInfo(`
+            <div class="stat-item"><span class="stat-label">Communities:</span><span class="stat-value">${count}</span></div>
+            <div class="stat-item"><span class="stat-label">Modularity:</span><span class="stat-value">${modularity.toFixed(3)}</span></div>
+            <div class="risk-top">${items}</div>
+        `);
+
+        document.querySelectorAll('.community-toggle').forEach(button => {
+            button.addEventListener('click', () => {
+                const community = parseInt(button.dataset.community, 10);
+                this.recordHistory('Toggle community');
+                if (this.cy.getElementById(`community_${community}`).nonempty()) {
+                    this.expandCommunity(community);
+                } else {
+                    this.collapseCommunity(community);
+                }
+            });
+        });
+    }
+
+    clearCommunities() {
+        this.expandAllCommunities();
+        this.cy.nodes().removeClass('community-coloured').removeData('community communityColour');
+        this.communitySummary = null;
+        this.updateCommunityInfo('');
+    }
+
+    updateCommunityInfo(html) {
+        const communityInfoElement = document.getElementById('community-info');
+        if (communityInfoElement) {
+            communityInfoElement.innerHTML = html;
+        }
+    }
+
+    // Merge addresses into entity nodes using the selected heuristics,
+    // leaving out any merge the analyst has rejected
+    runClustering() {
+        if (this.currentDataset !== 'bitcoin') {
+            this.updateClusteringInfo('<div class="pattern-alert warning">Address clustering needs raw Bitcoin transactions - use Import Bitcoin JSON</div>');
+            return;
+        }
+
+        this.unmergeAllEntities();
+
+        const heuristics = {
+            commonInput: document.getElementById('cluster-common-input').checked,
+            changeFresh: document.getElementById('cluster-change-fresh').checked,
+            changeRound: document.getElementById('cluster-change-round').checked
+        };
+        const { entities, evidence, skipped } = clusterAddresses(graphFromCytoscape(this.getAnalysisElements()), {
+            heuristics,
+            rejected: this.clusterRejected
+        });
+
+        entities.forEach((entity, i) => this.mergeEntity(entity, i + 1));
+        this.clusterSummary = { entities: entities.length, evidence: evidence.length, skipped: skipped.length };
+        this.updateNetworkStats();
+        this.renderClusteringInfo();
+
+        console.log(`🏷️ Clustered addresses into ${entities.length} entities from ${evidence.length} pieces of evidence (${this.clusterRejected.size} rejected, ${skipped.length} CoinJoin-like transactions skipped)`);
+    }
+
+    // Hide the member addresses behind one entity node and re-point their
+    // edges at it. Bitcoin edges always join an address to a transaction,
+    // so a re-pointed edge never ends up between two entities.
+    mergeEntity({ addresses, evidence }, number) {
+        const members = this.cy.collection(addresses.map(id => this.cy.getElementById(id)));
+        const id = `entity_${number}`;
+
+        const centre = { x: 0, y: 0 };
+        members.forEach(node => {
+            centre.x += node.position('x') / members.length;
+            centre.y += node.position('y') / members.length;
+        });
+        const offsets = {};
+        members.forEach(node => {
+            offsets[node.id()] = { x: node.position('x') - centre.x, y: node.position('y') - centre.y };
+        });
+
+        const sum = key => members.reduce((total, node) => total + (Number(node.data(key)) || 0), 0);
+        const edges = members.connectedEdges().not('.entity-merged');
+
+        this.cy.batch(() => {
+            this.cy.add({
+                group: 'nodes',
+                data: {
+                    id,
+                    label: `Entity ${number} · ${members.length}`,
+                    type: 'entity',
+                    size: members.length,
+                    members: addresses,
+                    addresses: members.map(node => node.data('address') || node.id()),
+                    offsets,
+                    evidence,
+                    received: sum('received'),
+                    sent: sum('sent'),
+                    transferCount: sum('transferCount')
+                },
+                position: centre
+            });
+
+            this.cy.add(edges.map(edge => ({
+                group: 'edges',
+                data: {
+                    ...edge.data(),
+                    id: `entity_edge_${edge.id()}`,
+                    source: addresses.includes(edge.data('source')) ? id : edge.data('source'),
+                    target: addresses.includes(edge.data('target')) ? id : edge.data('target'),
+                    originalEdge: edge.id()
+                },
+                classes: 'entity-edge'
+            })));
+
+            members.data('entity', id);
+            members.addClass('entity-merged');
+            edges.addClass('entity-merged');
+        });
+    }
+
+    // Put an entity's addresses back. With `reject`, its merges are
+    // remembered so clustering again won't redo them.
+    unmergeEntity(entityId, { reject = true } = {}) {
+        const entity = this.cy.getElementById(entityId);
+        if (entity.empty()) return;
+
+        const { members, offsets, evidence } = entity.data();
+        const centre = entity.position();
+
+        this.cy.batch(() => {
+            entity.connectedEdges().remove();
+            entity.remove();
+
+            members.forEach(id => {
+                const node = this.cy.getElementById(id);
+                node.removeClass('entity-merged').removeData('entity');
+                node.connectedEdges().removeClass('entity-merged');
+                if (offsets[id]) {
+                    node.position({ x: centre.x + offsets[id].x, y: centre.y + offsets[id].y });
+                }
+            });
+        });
+
+        if (reject) {
+            evidence.forEach(item => this.clusterRejected.add(item.id));
+            console.log(`✂️ Un-merged ${entityId}; ${evidence.length} merges rejected`);
+            this.clearSelection();
+            this.updateNetworkStats();
+            this.renderClusteringInfo();
+        }
+    }
+
+    unmergeAllEntities() {
+        this.cy.nodes('[type = "entity"]').forEach(entity => this.unmergeEntity(entity.id(), { reject: false }));
+    }
+
+    rejectClusterEvidence(evidenceId) {
+        this.clusterRejected.add(evidenceId);
+        this.clearSelection();
+        this.runClustering();
+    }
+
+    renderClusteringInfo() {
+        if (!this.clusterSummary) return;
+
+        const entities = this.cy.nodes('[type = "entity"]').sort((a, b) => b.data('size') - a.data('size'));
+        const { skipped } = this.clusterSummary;
+
+        const items = entities.slice(0, 15).map(entity => `
+            <div class="risk-top-item community-item">
+                <span class="entity-focus" data-entity="${entity.id()}">🏷️ ${escapeHtml(entity.data('label'))} · ${entity.data('evidence').length} merges</span>
+                <button class="btn btn-secondary community-toggle entity-unmerge" data-entity="${entity.id()}">Un-merge</button>
+            </div>
+        `).join('');
+
+        this.updateClusteringInfo(`
+            <div class="stat-item"><span class="stat-label">Entities:</span><span class="stat-value">${entities.length}</span></div>
+            <div class="stat-item"><span class="stat-label">Addresses merged:</span><span class="stat-value">${this.cy.nodes('.entity-merged').length}</span></div>
+            <div class="stat-item"><span class="stat-label">Rejected merges:</span><span class="stat-value">${this.clusterRejected.size}</span></div>
+            ${skipped > 0 ? `<div class="pattern-alert warning">${skipped} CoinJoin-like transactions were not used for common-input merges</div>` : ''}
+            <div class="risk-top">${items}</div>
+        `);
+
+        document.querySelectorAll('.entity-focus').forEach(label => {
+            label.addEventListener('click', () => {
+                const entity = this.cy.getElementById(label.dataset.entity);
+                this.cy.nodes(':selected').unselect();
+                entity.select();
+                this.cy.animate({ center: { eles: entity }, duration: 400 });
+                this.displayNodeInfo(entity);
+            });
+        });
+        document.querySelectorAll('.entity-unmerge').forEach(button => {
+            button.addEventListener('click', () => {
+                this.recordHistory('Un-merge entity');
+                this.unmergeEntity(button.dataset.entity);
+            });
+        });
+    }
+
+    clearClustering() {
+        this.unmergeAllEntities();
+        this.clusterRejected.clear();
+        this.clusterSummary = null;
+        this.updateClusteringInfo('');
+        this.updateNetworkStats();
+    }
+
+    updateClusteringInfo(html) {
+        const clusteringInfoElement = document.getElementById('clustering-info');
+        if (clusteringInfoElement) {
+            clusteringInfoElement.innerHTML = html;
+        }
+    }
+
+    hasExpansion(node) {
+        return this.cy.nodes().some(other => other.data('expandedFrom') === node.id());
+    }
+
+    // Pull the k-hop ego network of a transaction from the full dataset
+    // held by the loader and add whatever isn't already on the graph
+    expandNeighbours(node, hops = 1, direction = 'both') {
+        if (!this.hasFullDataset() || this.ellipticView !== 'transactions') {
+            console.warn('⚠️ Neighbour expansion needs the Elliptic dataset in the transaction view');
+            return;
+        }
+
+        const index = this.ellipticLoader.indexOf(node.data('txId'));
+        if (index === undefined) {
+            console.warn(`⚠️ Transaction ${node.data('txId')} not found in dataset`);
+            return;
+        }
+
+        const { indices, truncated } = this.ellipticLoader.getNeighbourhood(index, { hops, direction });
+        const newIndices = indices.filter(i =>
+            this.cy.getElementById(`tx_${this.ellipticLoader.dataset.txIds[i]}`).empty()
+        );
+
+        if (newIndices.length === 0) {
+            this.updateStatus('No further neighbours to expand', 'ready');
+            return;
+        }
+
+        const newNodes = newIndices.map(i => {
+            const element = this.ellipticLoader.buildNodeElement(i);
+            element.data.expandedFrom = node.id();
+            return element;
+        });
+
+        // Seed new nodes in a ring around the origin so the layout only
+        // has to refine locally instead of reshuffling the whole graph
+        const origin = node.position();
+        const radius = 80 + newNodes.length * 4;
+        newNodes.forEach((element, i) => {
+            const angle = (2 * Math.PI * i) / newNodes.length;
+            element.position = {
+                x: origin.x + radius * Math.cos(angle),
+                y: origin.y + radius * Math.sin(angle)
+            };
+        });
+
+        const added = this.cy.add(newNodes);
+        this.applyAnnotations(added);
+
+        const newIndexSet = new Set(newIndices);
+        const edges = this.ellipticLoader.getConnectingEdges(newIndices, i =>
+            newIndexSet.has(i) || this.cy.getElementById(`tx_${this.ellipticLoader.dataset.txIds[i]}`).nonempty()
+        ).filter(edge => this.cy.getElementById(edge.data.id).empty());
+        this.cy.add(edges);
+
+        if (this.timeline.isFiltering) {
+            this.applyTimeWindow(this.timeline.start, this.timeline.end);
+        }
+
+        this.cy.layout({
+            name: 'cose-bilkent',
+            randomize: false,
+            animate: 'end',
+            animationDuration: 800,
+            nodeRepulsion: 8000,
+            idealEdgeLength: 100,
+            fit: false
+        }).run();
+
+        this.refreshEllipticStats();
+        this.displayNodeInfo(node);
+
+        const message = `Expanded ${added.length} neighbours of ${node.data('label')}${truncated ? ' (truncated)' : ''}`;
+        this.updateStatus(message, 'ready');
+        console.log(`🕸️ ${message} over ${hops} hop(s), direction: ${direction}`);
+    }
+
+    // Remove everything an expansion added, including nested expansions
+    collapseNeighbours(node) {
+        const expansionOf = (originId) => {
+            const children = this.cy.nodes().filter(other => other.data('expandedFrom') === originId);
+            return children.reduce((all, child) => all.union(expansionOf(child.id())), children);
+        };
+
+        const removed = expansionOf(node.id()).remove().nodes();
+
+        this.refreshEllipticStats();
+        this.displayNodeInfo(node);
+        this.highlightConnections(node);
+
+        const message = `Collapsed ${removed.length} neighbours of ${node.data('label')}`;
+        this.updateStatus(message, 'ready');
+        console.log(`🕸️ ${message}`);
+    }
+
+    // Hide nodes whose timestep falls outside [start, end]; Cytoscape
+    // hides their edges along with them
+    applyTimeWindow(start, end) {
+        this.cy.batch(() => {
+            this.cy.nodes().forEach(node => {
+                const timestep = Number(node.data('timestep'));
+                const outside = Boolean(timestep) && (timestep < start || timestep > end);
+                node.toggleClass('timeline-hidden', outside);
+            });
+        });
+
+        // Summary edges of collapsed communities only count visible transfers
+        if (this.cy.nodes('.community-meta').nonempty()) {
+            this.rebuildCommunityEdges();
+        }
+
+        if (this.currentDataset === 'elliptic') {
+            this.refreshEllipticStats();
+        }
+    }
+
+    // The transaction graph within the timeline window. Members of collapsed
+    // communities still count; the community summary elements don't.
+    // Clustered addresses count as their entity; only the selected token's
+    // transfers count.
+    getAnalysisElements() {
+        return this.cy.elements().not('.timeline-hidden, .token-hidden, .community-meta, .entity-merged');
+    }
+
+    // Stats for the visible graph, scoped to the timeline window if one is set
+    refreshEllipticStats() {
+        const visible = this.getAnalysisElements().nodes();
+        const windowLabel = this.timeline.isFiltering ? this.timeline.windowLabel.textContent : null;
+        this.updateEllipticStats(this.getGraphStatistics(visible), windowLabel);
+    }
+
+    // Classification counts for whatever is currently on the graph
+    getGraphStatistics(nodes = this.cy.nodes()) {
+        return graphStatistics(graphFromCytoscape(nodes.union(nodes.edgesWith(nodes))));
+    }
+
+    getClassificationColor(classification) {
+        switch (classification) {
+            case 'illicit': return '#dc3545';
+            case 'licit': return '#28a745';
+            case 'unknown': return '#6c757d';
+            default: return '#333';
+        }
+    }
+
+    highlightConnections(node) {
+        // Remove previous highlights
+        this.cy.elements().removeClass('highlighted');
+
+        // Highlight selected node and its connections
+        node.addClass('highlighted');
+        node.connectedEdges().addClass('highlighted');
+        node.neighborhood().addClass('highlighted');
+    }
+
+    clearSelection() {
+        this.cy.elements().removeClass('highlighted');
+
+        const selectedNodeInfoElement = document.getElementById('selected-node-info');
+        if (selectedNodeInfoElement) {
+            selectedNodeInfoElement.innerHTML = '<div>Click on a node to see details</div>';
+        }
+    }
+
+    searchNodes(searchTerm) {
+        this.searchQuery = searchTerm || '';
+
+        // Remove previous search highlights
+        this.cy.elements().removeClass('search-highlight search-hidden');
+        this.searchMatches = this.cy.collection();
+        this.searchCursor = -1;
+
+        if (!searchTerm || !searchTerm.trim()) {
+            this.renderSearchResults();
+            return;
+        }
+
+        let query;
+        try {
+            query = parseQuery(searchTerm);
+        } catch (error) {
+            this.renderSearchResults(error.message);
+            return;
+        }
+
+        // Find matching nodes
+        const candidates = this.cy.nodes().not('.community-meta');
+        const matches = candidates.filter(node => matchesQuery(query, this.getQueryResolver(node)));
+
+        // Highlight matches, or hide everything else in filter mode
+        matches.addClass('search-highlight');
+        if (document.getElementById('search-mode').value === 'filter') {
+            candidates.not(matches).addClass('search-hidden');
+        }
+
+        this.searchMatches = matches;
+        this.renderSearchResults();
+
+        // Focus on first match if found
+        if (matches.length > 0) {
+            this.showSearchMatch(0);
+            console.log(`🔍 Found ${matches.length} matches for "${searchTerm}"`);
+        }
+    }
+
+    // Field lookup for the query language. Beyond plain node data it knows
+    // degree/indegree/outdegree, tag(s) and Elliptic features by name or
+    // as f_<column>; bare words search address, label, txId and classification.
+    getQueryResolver(node) {
+        const data = node.data();
+        const transfers = node.connectedEdges().not('.community-meta');
+
+        return field => {
+            if (field === null) {
+                return [data.address, data.label, data.txId, data.classification]
+                    .filter(value => value !== undefined && value !== null)
+                    .map(String);
+            }
+
+            switch (field.toLowerCase()) {
+                case 'id': return node.id();
+                case 'degree': return transfers.length;
+                case 'indegree': return transfers.filter(edge => edge.target().same(node)).length;
+                case 'outdegree': return transfers.filter(edge => edge.source().same(node)).length;
+                case 'tag':
+                case 'tags': return data.tags;
+                default: break;
+            }
+
+            if (data[field] !== undefined) return data[field];
+            if (!data.features) return undefined;
+
+            const dataset = this.ellipticLoader.dataset;
+            const named = dataset ? dataset.featureNames.indexOf(field) : -1;
+            const numbered = /^f_(\d+)$/.exec(field);
+            const column = named >= 0 ? named : (numbered ? parseInt(numbered[1], 10) : -1);
+            return column >= 0 ? data.features[column] : undefined;
+        };
+    }
+
+    showSearchMatch(index) {
+        const total = this.searchMatches ? this.searchMatches.length : 0;
+        if (total === 0) return;
+
+        this.searchCursor = ((index % total) + total) % total;
+        const node = this.searchMatches[this.searchCursor];
+
+        this.cy.zoom(1.5);
+        this.cy.center(node);
+        this.displayNodeInfo(node);
+        this.highlightConnections(node);
+
+        const results = document.getElementById('search-results');
+        results.querySelector('.search-position').textContent = `${this.searchCursor + 1} of ${total}`;
+        results.querySelectorAll('.search-result').forEach(item => {
+            item.classList.toggle('active', parseInt(item.dataset.index, 10) === this.searchCursor);
+        });
+    }
+
+    renderSearchResults(error = null) {
+        const results = document.getElementById('search-results');
+        if (!results) return;
+
+        const searchTerm = document.getElementById('search-input').value.trim();
+        if (!searchTerm) {
+            results.hidden = true;
+            results.innerHTML = '';
+            return;
+        }
+
+        results.hidden = false;
+        if (error) {
+            results.innerHTML = `<div class="search-error">⚠️ ${escapeHtml(error)}</div>`;
+            return;
+        }
+
+        const total = this.searchMatches.length;
+        const shown = this.searchMatches.slice(0, 100);
+        results.innerHTML = `
+            <div class="search-summary">
+                <span>${total} match${total === 1 ? '' : 'es'}</span>
+                <span class="search-nav">
+                    <button class="btn btn-secondary search-prev" ${total === 0 ? 'disabled' : ''}>◀</button>
+                    <span class="search-position">${total > 0 ? `– of ${total}` : ''}</span>
+                    <button class="btn btn-secondary search-next" ${total === 0 ? 'disabled' : ''}>▶</button>
+                </span>
+            </div>
+            <div class="search-list">
+                ${shown.map((node, i) => `
+                    <div class="search-result" data-index="${i}">
+                        ${escapeHtml(node.data('label') || node.id())}
+                        ${node.data('classification') ? `<small>${escapeHtml(node.data('classification'))}</small>` : ''}
+                    </div>
+                `).join('')}
+                ${total > shown.length ? `<div class="search-more">…and ${total - shown.length} more</div>` : ''}
+            </div>
+        `;
+
+        results.querySelector('.search-prev').addEventListener('click', () => this.showSearchMatch(this.searchCursor - 1));
+        results.querySelector('.search-next').addEventListener('click', () => this.showSearchMatch(this.searchCursor + 1));
+        results.querySelectorAll('.search-result').forEach(item => {
+            item.addEventListener('click', () => this.showSearchMatch(parseInt(item.dataset.index, 10)));
+        });
+    }
+
+    promptForClassifier() {
+        if (!this.hasFullDataset()) {
+            alert('Load the Elliptic dataset first - the classifier trains on its labelled transactions');
+            return;
+        }
+
+        const { max } = this.ellipticLoader.getTimestepRange();
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.id = 'classifier-modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Illicit Transaction Classifier</h3>
+                <p>Logistic regression over all transaction features. Trains on labelled transactions up to the chosen timestep, tests on later ones, then scores every unknown transaction.</p>
+
+                <div class="detector-settings">
+                    <label class="detector-option"><span>Train on timesteps 1 to</span>
+                        <input type="number" id="classifier-train-until" min="1" max="${max - 1}" value="${Math.min(34, max - 1)}" /></label>
+                    <label class="detector-option"><span>Epochs</span>
+                        <input type="number" id="classifier-epochs" min="1" max="200" value="30" /></label>
+                    <label class="detector-option"><span>Learning rate</span>
+                        <input type="number" id="classifier-learning-rate" min="0" step="0.01" value="0.05" /></label>
+                    <label class="detector-option"><span>Decision threshold</span>
+                        <input type="number" id="classifier-threshold" min="0" max="1" step="0.05" value="0.5" /></label>
+                </div>
+
+                <div id="classifier-metrics" class="classifier-metrics">
+                    ${this.classifierResult ? this.renderClassifierMetrics(this.classifierResult) : ''}
+                </div>
+
+                <div class="modal-actions">
+                    <button id="close-classifier-btn" class="btn btn-secondary">Close</button>
+                    <button id="train-classifier-btn" class="btn btn-primary">Train &amp; Predict</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const close = () => modal.remove();
+
+        document.getElementById('train-classifier-btn').addEventListener('click', () => {
+            this.trainClassifier({
+                trainUntil: parseInt(document.getElementById('classifier-train-until').value, 10),
+                epochs: parseInt(document.getElementById('classifier-epochs').value, 10),
+                learningRate: parseFloat(document.getElementById('classifier-learning-rate').value),
+                threshold: parseFloat(document.getElementById('classifier-threshold').value)
+            });
+        });
+
+        document.getElementById('close-classifier-btn').addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+    }
+
+    async trainClassifier(options) {
+        const trainButton = document.getElementById('train-classifier-btn');
+        const metricsElement = document.getElementById('classifier-metrics');
+        trainButton.disabled = true;
+
+        try {
+            console.log('🤖 Training classifier...', options);
+
+            const result = await trainTemporalClassifier(this.ellipticLoader.dataset, {
+                ...options,
+                onEpoch: ({ epoch, epochs, loss }) => {
+                    this.updateStatus(`Training classifier: epoch ${epoch}/${epochs} (loss ${loss.toFixed(4)})`, 'loading');
+                }
+            });
+
+            this.ellipticLoader.setPredictions(result.predictions, result.threshold);
+            this.applyPredictions();
+
+            this.classifierResult = {
+                metrics: result.metrics,
+                threshold: result.threshold,
+                trainUntil: options.trainUntil,
+                trainSize: result.trainSize,
+                testSize: result.testSize,
+                predictedIllicit: result.predictedIllicit
+            };
+
+            if (metricsElement) {
+                metricsElement.innerHTML = this.renderClassifierMetrics(this.classifierResult);
+            }
+
+            this.updateStatus(`Classifier flagged ${result.predictedIllicit} unknown transactions as likely illicit`, 'ready');
+            console.log('🤖 Classifier metrics:', result.metrics);
+
+        } catch (error) {
+            console.error('❌ Classifier training failed:', error);
+            this.updateStatus('Classifier training failed', 'error');
+            if (metricsElement) {
+                metricsElement.innerHTML = `<div class="pattern-alert danger">${escapeHtml(error.message)}</div>`;
+            }
+        } finally {
+            trainButton.disabled = false;
+        }
+    }
+
+    // Copy predictions onto the unknown transactions already on the graph
+    applyPredictions() {
+        this.cy.batch(() => {
+            this.cy.nodes().forEach(node => {
+                const index = this.ellipticLoader.indexOf(node.data('txId'));
+                const prediction = index === undefined ? null : this.ellipticLoader.getPrediction(index);
+
+                if (prediction) {
+                    node.data({ predictedIllicit: prediction.probability, predictedLabel: prediction.label });
+                } else {
+                    node.removeData('predictedIllicit predictedLabel');
+                }
+            });
+        });
+    }
+
+    renderClassifierMetrics(result) {
+        const summary = `
+            <div class="stat-item"><span class="stat-label">Training set (timesteps ≤ ${result.trainUntil}):</span><span class="stat-value">${result.trainSize}</span></div>
+            <div class="stat-item"><span class="stat-label">Test set (later timesteps):</span><span class="stat-value">${result.testSize}</span></div>
+            <div class="stat-item"><span class="stat-label">Unknown predicted illicit:</span><span class="stat-value">${result.predictedIllicit}</span></div>
+        `;
+
+        if (!result.metrics) {
+            return `${summary}<div class="pattern-alert warning">No labelled transactions after the training window to test on</div>`;
+        }
+
+        const { precision, recall, f1, accuracy, confusion } = result.metrics;
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+
+        return `
+            ${summary}
+            <div class="classifier-scores">
+                <div><span>Precision</span><strong>${percent(precision)}</strong></div>
+                <div><span>Recall</span><strong>${percent(recall)}</strong></div>
+                <div><span>F1</span><strong>${percent(f1)}</strong></div>
+                <div><span>Accuracy</span><strong>${percent(accuracy)}</strong></div>
+            </div>
+            <table class="confusion-matrix">
+                <tr><th></th><th>Predicted illicit</th><th>Predicted licit</th></tr>
+                <tr><th>Actual illicit</th><td class="correct">${confusion.tp}</td><td>${confusion.fn}</td></tr>
+                <tr><th>Actual licit</th><td>${confusion.fp}</td><td class="correct">${confusion.tn}</td></tr>
+            </table>
+        `;
+    }
+
+    // What the loaded data supports (transfer amounts, ground-truth labels)
+    getDetectionContext() {
+        return detectionContext(this.currentDataset);
+    }
+
+    detectSuspiciousPatterns() {
+        console.log('🔍 Detecting suspicious patterns...');
+
+        // Clear previous pattern highlights
+        this.cy.elements().removeClass('suspicious-pattern pattern-warning pattern-focus');
+
+        // Only analyse what the timeline currently shows
+        const visible = this.getAnalysisElements();
+        const results = this.detectors.run(graphFromCytoscape(visible), this.getDetectionContext());
+
+        let patternCount = 0;
+        results.forEach(({ detector, findings, truncated }) => {
+            const edgeClass = detector.severity === 'danger' ? 'suspicious-pattern' : 'pattern-warning';
+            findings.forEach(finding => {
+                finding.edges.forEach(edgeId => this.cy.getElementById(edgeId).addClass(edgeClass));
+            });
+
+            patternCount += findings.length;
+            console.log(`🚨 ${detector.name}: ${findings.length} found${truncated ? ' (truncated)' : ''}`);
+        });
+
+        this.patternResults = results;
+        this.patternCursor = {};
+
+        // Update pattern info
+        this.updatePatternInfo(patternCount);
+    }
+
+    // Step through one typology's findings, focusing the view on each in turn
+    showPatternFinding(detectorId, index) {
+        const result = this.patternResults.find(r => r.detector.id === detectorId);
+        if (!result || result.findings.length === 0) return;
+
+        const total = result.findings.length;
+        const position = (index + total) % total;
+        this.patternCursor[detectorId] = position;
+        const finding = result.findings[position];
+
+        const elements = this.cy.collection();
+        [...finding.nodes, ...finding.edges].forEach(id => elements.merge(this.cy.getElementById(id)));
+
+        this.cy.elements().removeClass('pattern-focus');
+        elements.addClass('pattern-focus');
+        this.cy.animate({ fit: { eles: elements, padding: 80 } }, { duration: 500 });
+
+        this.updatePatternPosition(detectorId);
+    }
+
+    updatePatternPosition(detectorId) {
+        const result = this.patternResults.find(r => r.detector.id === detectorId);
+        const group = document.querySelector(`.pattern-group[data-detector="${detectorId}"]`);
+        if (!result || !group || !(detectorId in this.patternCursor)) return;
+
+        const position = this.patternCursor[detectorId];
+        group.querySelector('.pattern-position').textContent = `${position + 1} of ${result.findings.length}`;
+        group.querySelector('.pattern-detail').textContent = result.findings[position].summary;
+    }
+
+    promptForDetectorSettings() {
+        const context = this.getDetectionContext();
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.id = 'detector-settings-modal';
+
+        const sections = this.detectors.list().map(detector => {
+            const options = this.detectors.getOptions(detector.id);
+            const applicable = this.detectors.isApplicable(detector, context);
+            const inputs = Object.keys(options).map(key => `
+                <label class="detector-option">
+                    <span>${(detector.optionLabels && detector.optionLabels[key]) || key}</span>
+                    <input type="number" min="0" step="any" data-detector="${detector.id}" data-option="${key}" value="${options[key]}" />
+                </label>
+            `).join('');
+
+            return `
+                <div class="detector-settings">
+                    <label class="detector-toggle">
+                        <input type="checkbox" data-detector="${detector.id}" ${this.detectors.isEnabled(detector.id) ? 'checked' : ''} />
+                        <strong>${detector.icon} ${detector.name}</strong>
+                    </label>
+                    <small>${detector.description}${applicable ? '' : ' (not applicable to the loaded data)'}</small>
+                    ${inputs}
+                </div>
+            `;
+        }).join('');
+
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Pattern Detectors</h3>
+                <p>Choose which AML typologies to run and tune their thresholds.</p>
+                <div class="detector-settings-list">${sections}</div>
+                <div class="modal-actions">
+                    <button id="cancel-detectors-btn" class="btn btn-secondary">Cancel</button>
+                    <button id="save-detectors-btn" class="btn btn-primary">Save</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const close = () => modal.remove();
+
+        document.getElementById('save-detectors-btn').addEventListener('click', () => {
+            modal.querySelectorAll('input[type="checkbox"][data-detector]').forEach(input => {
+                this.detectors.setEnabled(input.dataset.detector, input.checked);
+            });
+            modal.querySelectorAll('input[type="number"][data-detector]').forEach(input => {
+                const value = parseFloat(input.value);
+                if (!isNaN(value)) {
+                    this.detectors.configure(input.dataset.detector, { [input.dataset.option]: value });
+                }
+            });
+            close();
+
+            // Re-run with the new thresholds if patterns are already showing
+            if (this.patternResults.length > 0) {
+                this.recordHistory('Detect patterns');
+                this.detectSuspiciousPatterns();
+            }
+        });
+
+        document.getElementById('cancel-detectors-btn').addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+    }
+
+    promptForExport() {
+        if (this.cy.elements().length === 0) {
+            alert('Nothing to export - load a dataset first');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.id = 'export-modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Export Graph</h3>
+                <p>Exports every element currently in the graph with its classification, timestep, pattern, risk and case annotations.</p>
+
+                <div class="export-formats">
+                    <button class="btn btn-secondary" data-format="graphml">GraphML</button>
+                    <button class="btn btn-secondary" data-format="gexf">GEXF</button>
+                    <button class="btn btn-secondary" data-format="nodes-csv">Nodes CSV</button>
+                    <button class="btn btn-secondary" data-format="edges-csv">Edges CSV</button>
+                    <button class="btn btn-secondary" data-format="json">JSON session</button>
+                    <button class="btn btn-secondary" data-format="png">PNG image</button>
+                    <button class="btn btn-secondary" data-format="svg">SVG image</button>
+                </div>
+
                 <div class="modal-actions">
-                    <button id="cancel-upload-btn" class="btn btn-secondary">Cancel</button>
-                    <button id="load-files-btn" class="btn btn-primary">Load Dataset</button>
+                    <button id="close-export-btn" class="btn btn-secondary">Close</button>
                 </div>
             </div>
         `;
 
         document.body.appendChild(modal);
 
-        // Handle file loading
-        document.getElementById('load-files-btn').addEventListener('click', () => {
-            this.loadEllipticFiles();
-        });
+        const close = () => modal.remove();
 
-        // Handle cancel
-        document.getElementById('cancel-upload-btn').addEventListener('click', () => {
-            this.closeModal();
+        modal.querySelectorAll('[data-format]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportGraph(button.dataset.format);
+                close();
+            });
         });
 
-        // Close on background click
+        document.getElementById('close-export-btn').addEventListener('click', close);
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
-                this.closeModal();
+                close();
             }
         });
     }
 
-    closeModal() {
-        const modal = document.getElementById('file-upload-modal');
-        if (modal) {
-            modal.remove();
-        }
-    }
+    // Plain element definitions with analysis results folded into their data.
+    // Risk, predictions and case annotations already live on the elements;
+    // pattern membership is only kept in patternResults, so add it here.
+    getExportElements() {
+        const patterns = new Map();
+        this.patternResults.forEach(({ detector, findings }) => {
+            findings.forEach(finding => {
+                [...finding.nodes, ...finding.edges].forEach(id => {
+                    if (!patterns.has(id)) patterns.set(id, new Set());
+                    patterns.get(id).add(detector.id);
+                });
+            });
+        });
 
-    async loadEllipticFiles() {
-        const featuresFile = document.getElementById('features-upload').files[0];
-        const classesFile = document.getElementById('classes-upload').files[0];
-        const edgesFile = document.getElementById('edges-upload').files[0];
+        const annotate = element => {
+            const data = { ...element.data() };
+            if (patterns.has(element.id())) data.patterns = Array.from(patterns.get(element.id()));
+            if (element.isNode() && this.riskSeeds.has(element.id())) data.riskSeed = true;
+            return data;
+        };
 
-        if (!featuresFile || !classesFile || !edgesFile) {
-            alert('Please select all three CSV files');
-            return;
-        }
+        return {
+            nodes: this.cy.nodes().not('.community-meta, .entity-merged').map(node => ({ data: annotate(node), position: { ...node.position() } })),
+            edges: this.cy.edges().not('.community-meta, .entity-merged').map(edge => ({ data: annotate(edge) }))
+        };
+    }
+
+    exportGraph(format) {
+        const filename = `crypto-network-${this.currentDataset}-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}`;
+        const background = '#0a0a0f';
 
         try {
-            this.updateStatus('Loading Elliptic dataset...', 'loading');
+            switch (format) {
+                case 'graphml':
+                    downloadFile(toGraphML(this.getExportElements()), `${filename}.graphml`, 'application/xml');
+                    break;
+                case 'gexf':
+                    downloadFile(toGEXF(this.getExportElements()), `${filename}.gexf`, 'application/xml');
+                    break;
+                case 'nodes-csv':
+                    downloadFile(toNodesCSV(this.getExportElements()), `${filename}-nodes.csv`, 'text/csv');
+                    break;
+                case 'edges-csv':
+                    downloadFile(toEdgesCSV(this.getExportElements()), `${filename}-edges.csv`, 'text/csv');
+                    break;
+                case 'json':
+                    downloadFile(serializeSession(this.getSessionState()), `${filename}.session.json`, 'application/json');
+                    break;
+                case 'png':
+                    downloadFile(this.cy.png({ output: 'blob', full: true, scale: 2, bg: background }), `${filename}.png`);
+                    break;
+                case 'svg':
+                    downloadFile(this.cy.svg({ full: true, bg: background }), `${filename}.svg`, 'image/svg+xml');
+                    break;
+                default:
+                    throw new Error(`Unknown export format: ${format}`);
+            }
 
-            console.log('📥 Loading Elliptic dataset files...');
-            console.log(`📊 Files: ${featuresFile.name}, ${classesFile.name}, ${edgesFile.name}`);
+            console.log(`💾 Exported graph as ${format}`);
+        } catch (error) {
+            console.error('❌ Export failed:', error);
+            alert(`Export failed: ${error.message}`);
+        }
+    }
 
-            // Load and process the dataset
-            const data = await this.ellipticLoader.loadFromFiles(
-                featuresFile,
-                classesFile,
-                edgesFile
-            );
+    promptForReport() {
+        const selectedCount = this.cy.nodes(':selected').length;
+        const findingOptions = this.patternResults
+            .filter(result => result.findings.length > 0)
+            .map(({ detector, findings }) => `
+                <optgroup label="${detector.icon} ${detector.name}">
+                    ${findings.map((finding, i) => `
+                        <option value="${detector.id}:${i}">#${i + 1} - ${escapeHtml(finding.summary)}</option>
+                    `).join('')}
+                </optgroup>
+            `).join('');
 
-            // For performance, load a sample subset
-            console.log('🔄 Creating sample subset for visualization...');
-            const sampleData = this.ellipticLoader.loadSampleSubset(200); // Much smaller sample
+        if (selectedCount === 0 && !findingOptions) {
+            alert('Select nodes (shift-drag for several) or detect patterns first - the report covers a selection or a pattern');
+            return;
+        }
 
-            // Clear existing data and add new data
-            this.cy.elements().remove();
-            this.cy.add(sampleData.nodes);
-            this.cy.add(sampleData.edges);
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.id = 'report-modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Compliance Report</h3>
+                <p>Builds a printable suspicious activity report draft for a subgraph: summary statistics, snapshot, triggered patterns, per-transaction details and analyst notes.</p>
 
-            // Run layout optimized for larger networks
-            this.cy.layout({
-                name: 'cose-bilkent',
-                animate: true,
-                animationDuration: 2000,
-                nodeRepulsion: 8000,
-                idealEdgeLength: 100,
-                edgeElasticity: 0.3,
-                nestingFactor: 0.1,
-                gravity: 0.4,
-                numIter: 1000
-            }).run();
+                <div class="detector-settings">
+                    <label class="detector-option"><span>Subgraph</span>
+                        <select id="report-scope">
+                            ${selectedCount > 0 ? `<option value="selection">Selected nodes (${selectedCount})</option>` : ''}
+                            ${findingOptions}
+                        </select>
+                    </label>
+                    <label class="detector-option"><span>Title</span>
+                        <input type="text" id="report-title" value="Suspicious Activity Report - Draft" /></label>
+                    <label class="detector-option"><span>Analyst</span>
+                        <input type="text" id="report-analyst" placeholder="Name" /></label>
+                    <label class="detector-option"><span>Include snapshot</span>
+                        <input type="checkbox" id="report-image" checked /></label>
+                    <label class="report-narrative">Narrative
+                        <textarea id="report-narrative" rows="4" placeholder="Why this activity is suspicious..."></textarea>
+                    </label>
+                </div>
 
-            // Update tracking
-            this.currentDataset = 'elliptic';
+                <div class="modal-actions">
+                    <button id="close-report-btn" class="btn btn-secondary">Close</button>
+                    <button id="download-report-btn" class="btn btn-secondary">Download HTML</button>
+                    <button id="open-report-btn" class="btn btn-primary">Open printable report</button>
+                </div>
+            </div>
+        `;
 
-            // Update statistics
-            this.updateNetworkStats();
-            this.updateEllipticStats(sampleData.statistics);
+        document.body.appendChild(modal);
 
-            // Close modal
-            this.closeModal();
+        const close = () => modal.remove();
+        const generate = () => buildComplianceReport(this.getReportData(document.getElementById('report-scope').value, {
+            title: document.getElementById('report-title').value.trim() || 'Suspicious Activity Report - Draft',
+            analyst: document.getElementById('report-analyst').value.trim(),
+            narrative: document.getElementById('report-narrative').value.trim(),
+            includeImage: document.getElementById('report-image').checked
+        }));
 
-            this.updateStatus('Elliptic dataset loaded successfully', 'ready');
-            console.log('✅ Elliptic dataset visualization complete');
-            console.log(`📈 Visualizing ${sampleData.nodes.length} transactions`);
+        document.getElementById('open-report-btn').addEventListener('click', () => {
+            const url = URL.createObjectURL(new Blob([generate()], { type: 'text/html' }));
+            if (!window.open(url, '_blank')) {
+                alert('The report window was blocked - allow pop-ups or use Download HTML');
+            }
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        });
 
-        } catch (error) {
-            console.error('❌ Failed to load Elliptic dataset:', error);
-            this.updateStatus('Failed to load dataset', 'error');
-            alert(`Failed to load Elliptic dataset: ${error.message}`);
-        }
+        document.getElementById('download-report-btn').addEventListener('click', () => {
+            const stamp = new Date().toISOString().slice(0, 10);
+            downloadFile(generate(), `compliance-report-${stamp}.html`, 'text/html');
+        });
+
+        document.getElementById('close-report-btn').addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
     }
 
-    displayNodeInfo(node) {
-        const data = node.data();
-        const infoPanel = document.getElementById('selected-node-info');
+    // Plain report data for either the selection or one pattern finding
+    // ('<detector id>:<index>')
+    getReportData(scope, { title, analyst, narrative, includeImage }) {
+        let nodes;
+        let edges;
+        let scopeLabel;
 
-        if (!infoPanel) {
-            console.warn('⚠️ selected-node-info element not found');
-            return;
+        if (scope === 'selection') {
+            nodes = this.cy.nodes(':selected');
+            edges = nodes.edgesWith(nodes);
+            scopeLabel = `${nodes.length} selected nodes`;
+        } else {
+            const separator = scope.lastIndexOf(':');
+            const result = this.patternResults.find(r => r.detector.id === scope.slice(0, separator));
+            const index = parseInt(scope.slice(separator + 1), 10);
+            const finding = result.findings[index];
+
+            nodes = this.cy.collection();
+            edges = this.cy.collection();
+            finding.nodes.forEach(id => nodes.merge(this.cy.getElementById(id)));
+            finding.edges.forEach(id => edges.merge(this.cy.getElementById(id)));
+            scopeLabel = `${result.detector.name} #${index + 1}`;
         }
 
-        let infoHTML = '';
+        const nodeIds = new Set(nodes.map(node => node.id()));
+        const edgeIds = new Set(edges.map(edge => edge.id()));
+        const labelOf = id => this.cy.getElementById(id).data('label') || id;
 
+        // Summary statistics
+        const statistics = [
+            { label: 'Nodes', value: nodes.length },
+            { label: 'Transfers', value: edges.length }
+        ];
         if (this.currentDataset === 'elliptic') {
-            // Elliptic dataset node info
-            infoHTML = `
-                <div><strong>Transaction ID:</strong> ${data.txId || 'Unknown'}</div>
-                <div><strong>Type:</strong> ${data.type}</div>
-                <div><strong>Classification:</strong> 
-                    <span style="color: ${this.getClassificationColor(data.classification)};">
-                        ${data.classification}
-                    </span>
-                </div>
-                <div><strong>Timestep:</strong> ${data.timestep || 'Unknown'}</div>
-                <div><strong>Connections:</strong> ${node.degree()}</div>
-                <div><strong>Feature Sum:</strong> ${data.featureSum ? data.featureSum.toFixed(2) : 'Unknown'}</div>
-                ${data.suspicious === 'true' ? '<div style="color: #dc3545;"><strong>⚠️ Flagged as Illicit</strong></div>' : ''}
-            `;
+            const counts = this.getGraphStatistics(nodes);
+            statistics.push(
+                { label: '🔴 Illicit', value: counts.illicit },
+                { label: '🟢 Licit', value: counts.licit },
+                { label: '⚫ Unknown', value: counts.unknown }
+            );
         } else {
-            // Sample dataset node info
-            infoHTML = `
-                <div><strong>Address:</strong> ${data.address || data.id}</div>
-                <div><strong>Type:</strong> ${data.type}</div>
-                <div><strong>Balance:</strong> ${data.balance ? data.balance.toFixed(2) + ' BTC' : 'Unknown'}</div>
-                <div><strong>Connections:</strong> ${node.degree()}</div>
-                ${data.suspicious === 'true' ? '<div style="color: #dc3545;"><strong>⚠️ Flagged as Suspicious</strong></div>' : ''}
-            `;
+            // Bitcoin inputs re-spend earlier outputs, so only outputs count
+            const totalAmount = edges
+                .filter(edge => edge.data('type') !== 'input')
+                .reduce((sum, edge) => sum + (Number(edge.data('amount')) || 0), 0);
+            statistics.push(
+                { label: '⚠️ Suspicious', value: nodes.filter(node => node.data('suspicious') === 'true').length },
+                { label: 'Total transferred', value: this.formatAmount(totalAmount) }
+            );
         }
 
-        infoPanel.innerHTML = infoHTML;
+        const timesteps = nodes.map(node => Number(node.data('timestep'))).filter(Boolean);
+        if (timesteps.length > 0) {
+            statistics.push({ label: 'Timesteps', value: `${Math.min(...timesteps)}–${Math.max(...timesteps)}` });
+        }
+        const risks = nodes.map(node => node.data('risk')).filter(risk => risk !== undefined);
+        if (risks.length > 0) {
+            statistics.push({ label: 'Highest risk', value: `${(Math.max(...risks) * 100).toFixed(1)}%` });
+        }
+        const predicted = nodes.filter(node => node.data('predictedLabel') === 'illicit').length;
+        if (predicted > 0) {
+            statistics.push({ label: 'Predicted illicit', value: predicted });
+        }
+        statistics.push({ label: '🚩 Flagged', value: nodes.filter(node => (this.annotations.get(node.id()) || {}).flagged).length });
+
+        // Every detected pattern that touches the subgraph, with its transfers as evidence
+        const patterns = [];
+        this.patternResults.forEach(({ detector, findings }) => {
+            findings
+                .filter(finding => finding.nodes.some(id => nodeIds.has(id)) || finding.edges.some(id => edgeIds.has(id)))
+                .forEach(finding => {
+                    const evidence = finding.edges.length > 0 ?
+                        finding.edges.map(id => {
+                            const edge = this.cy.getElementById(id);
+                            const amount = edge.data('amount');
+                            return `${labelOf(edge.data('source'))} → ${labelOf(edge.data('target'))}${amount !== undefined ? ` (${amount})` : ''}`;
+                        }) :
+                        finding.nodes.map(labelOf);
+
+                    patterns.push({
+                        name: detector.name,
+                        icon: detector.icon,
+                        severity: detector.severity,
+                        summary: finding.summary,
+                        evidence
+                    });
+                });
+        });
+
+        return {
+            title,
+            analyst,
+            narrative,
+            generatedAt: new Date().toISOString(),
+            dataset: this.currentDataset,
+            scope: scopeLabel,
+            statistics,
+            image: includeImage ? this.renderSubgraphImage(nodes.union(edges)) : null,
+            patterns,
+            nodes: nodes.map(node => {
+                const annotation = this.annotations.get(node.id()) || { flagged: false, notes: '', tags: [] };
+                return {
+                    id: node.id(),
+                    label: node.data('label') || node.id(),
+                    details: this.getNodeDetails(node),
+                    flagged: annotation.flagged,
+                    tags: annotation.tags,
+                    notes: annotation.notes
+                };
+            }),
+            // Ledger edges list each of the transfers they combine
+            transfers: edges.flatMap(edge => {
+                const source = labelOf(edge.data('source'));
+                const target = labelOf(edge.data('target'));
+                const asset = edge.data('asset') ? ` ${edge.data('asset')}` : '';
+
+                return (edge.data('transfers') || [edge.data()]).map(transfer => ({
+                    id: transfer.id,
+                    source,
+                    target,
+                    amount: transfer.amount === undefined ? undefined : `${transfer.amount}${asset}`,
+                    timestamp: transfer.timestamp
+                }));
+            }),
+            cases: this.cases
+                .map(c => ({ name: c.name, members: c.nodeIds.filter(id => nodeIds.has(id)).length }))
+                .filter(c => c.members > 0)
+        };
     }
 
-    getClassificationColor(classification) {
-        switch (classification) {
-            case 'illicit': return '#dc3545';
-            case 'licit': return '#28a745';
-            case 'unknown': return '#6c757d';
-            default: return '#333';
+    // PNG of just the given elements, on a white background for printing
+    renderSubgraphImage(elements) {
+        const excluded = this.cy.elements().not(elements);
+        this.cy.batch(() => excluded.addClass('report-excluded'));
+
+        try {
+            return this.cy.png({ full: true, scale: 2, maxWidth: 1800, bg: '#ffffff' });
+        } finally {
+            this.cy.batch(() => excluded.removeClass('report-excluded'));
         }
     }
 
-    highlightConnections(node) {
-        // Remove previous highlights
-        this.cy.elements().removeClass('highlighted');
+    // Snapshot of everything needed to restore the current analysis
+    getSessionState() {
+        const timeline = this.timeline;
+        const classifier = this.classifierResult ? { ...this.classifierResult } : null;
+        if (classifier) {
+            // The model and per-transaction predictions are tied to the loaded
+            // files; predictions already travel on the node data
+            delete classifier.model;
+            delete classifier.predictions;
+        }
 
-        // Highlight selected node and its connections
-        node.addClass('highlighted');
-        node.connectedEdges().addClass('highlighted');
-        node.neighborhood().addClass('highlighted');
+        return {
+            dataset: this.currentDataset,
+            datasetKey: this.datasetKey,
+            elements: this.cy.elements().jsons(),
+            viewport: { zoom: this.cy.zoom(), pan: { ...this.cy.pan() } },
+            filters: {
+                timeline: { visible: !timeline.bar.hidden, min: timeline.min, max: timeline.max, start: timeline.start, end: timeline.end },
+                search: document.getElementById('search-input').value,
+                searchMode: document.getElementById('search-mode').value
+            },
+            patterns: {
+                results: this.patternResults.map(({ detector, findings, truncated }) => ({ detector: detector.id, findings, truncated })),
+                cursor: { ...this.patternCursor },
+                detectors: Object.fromEntries(this.detectors.list().map(detector => [detector.id, {
+                    enabled: this.detectors.isEnabled(detector.id),
+                    options: this.detectors.getOptions(detector.id)
+                }]))
+            },
+            risk: {
+                seeds: Array.from(this.riskSeeds),
+                active: this.cy.nodes('.risk-scored').nonempty(),
+                model: document.getElementById('risk-model').value,
+                seedSource: document.getElementById('risk-seeds').value,
+                maxHops: document.getElementById('risk-hops').value,
+                decay: document.getElementById('risk-decay').value
+            },
+            metrics: {
+                rankBy: document.getElementById('metric-rank').value,
+                sizeBy: document.getElementById('metric-size').value,
+                colourBy: document.getElementById('metric-colour').value,
+                active: this.networkSummary !== null
+            },
+            communities: {
+                resolution: document.getElementById('community-resolution').value,
+                summary: this.communitySummary
+            },
+            view: {
+                mode: this.ellipticView,
+                transactions: this.viewTxIds
+            },
+            tokens: { list: this.tokens, selected: this.tokenFilter },
+            screening: {
+                maxHops: document.getElementById('screening-hops').value,
+                summary: this.screeningSummary
+            },
+            clustering: {
+                heuristics: {
+                    commonInput: document.getElementById('cluster-common-input').checked,
+                    changeFresh: document.getElementById('cluster-change-fresh').checked,
+                    changeRound: document.getElementById('cluster-change-round').checked
+                },
+                rejected: Array.from(this.clusterRejected),
+                summary: this.clusterSummary
+            },
+            paths: {
+                ...this.pathEndpoints,
+                mode: document.getElementById('path-mode').value,
+                maxHops: document.getElementById('path-hops').value,
+                active: this.pathResults.length > 0
+            },
+            annotations: Array.from(this.annotations.values()),
+            cases: this.cases,
+            classifier
+        };
     }
 
-    clearSelection() {
-        this.cy.elements().removeClass('highlighted');
-
-        const selectedNodeInfoElement = document.getElementById('selected-node-info');
-        if (selectedNodeInfoElement) {
-            selectedNodeInfoElement.innerHTML = '<div>Click on a node to see details</div>';
+    async openSessionFile(file) {
+        try {
+            this.updateStatus('Restoring session...', 'loading');
+            const session = parseSession(await file.text());
+            await this.restoreSession(session);
+            this.updateStatus('Session restored', 'ready');
+        } catch (error) {
+            console.error('❌ Failed to restore session:', error);
+            this.updateStatus('Failed to restore session', 'error');
+            alert(`Failed to restore session: ${error.message}`);
         }
     }
 
-    searchNodes(searchTerm) {
-        if (!searchTerm) {
-            this.cy.elements().removeClass('search-highlight');
-            return;
+    async restoreSession(session) {
+        this.clearGraph('Restore session');
+
+        this.currentDataset = session.dataset;
+        this.cy.add(session.elements);
+        if (session.view) {
+            this.ellipticView = session.view.mode in ELLIPTIC_VIEWS ? session.view.mode : 'transactions';
+            this.viewTxIds = session.view.transactions || null;
         }
+        this.updateGraphViewControl();
+        // The filter itself travels as .token-hidden on the elements
+        this.tokens = session.tokens ? session.tokens.list : [];
+        this.tokenFilter = session.tokens ? session.tokens.selected : '';
+        this.updateTokenFilterControl();
 
-        // Remove previous search highlights
-        this.cy.elements().removeClass('search-highlight');
+        // Detector settings before patterns, so the panel matches them
+        Object.entries(session.patterns.detectors || {}).forEach(([id, { enabled, options }]) => {
+            if (!this.detectors.get(id)) return;
+            this.detectors.setEnabled(id, enabled);
+            this.detectors.configure(id, options);
+        });
 
-        // Find matching nodes
-        const matches = this.cy.nodes().filter(node => {
-            const data = node.data();
-            const searchLower = searchTerm.toLowerCase();
+        // Notes and cases travel with the session; keep a local copy so
+        // later edits carry on persisting under the same dataset key
+        this.datasetKey = session.datasetKey;
+        this.annotations = new Map(session.annotations.map(annotation => [annotation.nodeId, annotation]));
+        this.cases = session.cases;
+        if (this.datasetKey && this.caseStore.available) {
+            try {
+                await Promise.all([
+                    ...session.annotations.map(annotation => this.caseStore.saveAnnotation(annotation)),
+                    ...session.cases.map(caseRecord => this.caseStore.saveCase(caseRecord))
+                ]);
+            } catch (error) {
+                console.error('❌ Failed to store restored cases:', error);
+            }
+        }
+        this.applyAnnotations();
+        this.renderCaseList();
 
-            return (data.address && data.address.toLowerCase().includes(searchLower)) ||
-                (data.label && data.label.toLowerCase().includes(searchLower)) ||
-                (data.txId && data.txId.toString().includes(searchTerm)) ||
-                (data.classification && data.classification.toLowerCase().includes(searchLower));
-        });
+        this.classifierResult = session.classifier;
+        this.updateNetworkStats();
 
-        // Highlight matches
-        matches.addClass('search-highlight');
+        // Filters
+        const { timeline, search } = session.filters;
+        if (timeline && timeline.visible) {
+            this.timeline.show(timeline.min, timeline.max);
+            this.timeline.setWindow(timeline.start, timeline.end);
+        } else if (this.currentDataset === 'elliptic') {
+            this.refreshEllipticStats();
+        }
+        document.getElementById('search-input').value = search || '';
+        document.getElementById('search-mode').value = session.filters.searchMode || 'highlight';
+        this.searchNodes(search);
 
-        // Focus on first match if found
-        if (matches.length > 0) {
-            this.cy.center(matches[0]);
-            this.cy.zoom(1.5);
+        // Risk settings, re-propagated so the panel summary comes back too
+        const { risk } = session;
+        this.riskSeeds = new Set(risk.seeds);
+        if (risk.model) document.getElementById('risk-model').value = risk.model;
+        if (risk.seedSource) document.getElementById('risk-seeds').value = risk.seedSource;
+        if (risk.maxHops) document.getElementById('risk-hops').value = risk.maxHops;
+        if (risk.decay) document.getElementById('risk-decay').value = risk.decay;
+        if (risk.active) {
+            this.runRiskPropagation();
+        }
 
-            // Update search info
-            console.log(`🔍 Found ${matches.length} matches for "${searchTerm}"`);
+        // Network metrics, recomputed so the rankings come back too
+        const { metrics } = session;
+        if (metrics) {
+            if (metrics.rankBy) document.getElementById('metric-rank').value = metrics.rankBy;
+            document.getElementById('metric-size').value = metrics.sizeBy || '';
+            document.getElementById('metric-colour').value = metrics.colourBy || '';
+            if (metrics.active) {
+                this.computeMetrics();
+            }
+        }
+
+        // Communities; colours and collapsed summary nodes came back with the elements
+        const { communities } = session;
+        if (communities) {
+            if (communities.resolution) document.getElementById('community-resolution').value = communities.resolution;
+            this.communitySummary = communities.summary || null;
+            this.renderCommunityInfo();
+        }
+
+        // Address clustering; entity nodes and merged addresses came back with the elements
+        const { clustering } = session;
+        if (clustering) {
+            const { heuristics = {} } = clustering;
+            document.getElementById('cluster-common-input').checked = heuristics.commonInput !== false;
+            document.getElementById('cluster-change-fresh').checked = Boolean(heuristics.changeFresh);
+            document.getElementById('cluster-change-round').checked = Boolean(heuristics.changeRound);
+            this.clusterRejected = new Set(clustering.rejected || []);
+            this.clusterSummary = clustering.summary || null;
+            this.renderClusteringInfo();
+        }
+
+        // Screening; marks came back with the elements, the lists live in local storage
+        const { screening } = session;
+        if (screening) {
+            if (screening.maxHops) document.getElementById('screening-hops').value = screening.maxHops;
+            this.screeningSummary = screening.summary || null;
+            this.renderScreeningInfo();
+        }
+
+        // Path tracing, re-run so the path list comes back too
+        const { paths } = session;
+        if (paths) {
+            this.pathEndpoints = { source: paths.source || null, target: paths.target || null };
+            if (paths.mode) document.getElementById('path-mode').value = paths.mode;
+            if (paths.maxHops) document.getElementById('path-hops').value = paths.maxHops;
+            this.updatePathEndpoints();
+            if (paths.active) {
+                this.tracePaths();
+            }
+        }
+
+        // Patterns; their highlight classes came back with the elements
+        this.patternResults = session.patterns.results
+            .filter(result => this.detectors.get(result.detector))
+            .map(result => ({ ...result, detector: this.detectors.get(result.detector) }));
+        this.patternCursor = session.patterns.cursor || {};
+        if (this.patternResults.length > 0) {
+            this.updatePatternInfo(this.patternResults.reduce((sum, result) => sum + result.findings.length, 0));
+            Object.keys(this.patternCursor).forEach(detectorId => this.updatePatternPosition(detectorId));
+        }
+
+        // Selection and viewport
+        const selected = this.cy.nodes(':selected');
+        if (selected.length === 1) {
+            this.displayNodeInfo(selected[0]);
+        }
+        if (session.viewport) {
+            this.cy.viewport(session.viewport);
         }
+
+        if (this.currentDataset === 'elliptic' && !this.hasFullDataset()) {
+            console.log('ℹ️ Reload the Elliptic files to expand neighbours or retrain the classifier');
+        }
+        console.log(`📂 Session restored: ${this.cy.nodes().length} nodes, ${this.cy.edges().length} edges`);
     }
 
-    detectSuspiciousPatterns() {
-        console.log('🔍 Detecting suspicious patterns...');
+    // Importers pass their own undo label
+    clearGraph(label = 'Clear graph') {
+        this.recordHistory(label);
+        this.resetDatasetState();
+        this.updateNetworkStats();
+        console.log('🗑️ Graph cleared');
+    }
+
+    // Empty graph with nothing left over from the previous dataset:
+    // analysis results, classifier, view, token filter, search, notes and cases
+    resetDatasetState() {
+        this.cy.elements().remove();
+        this.currentDataset = 'none';
+        this.resetAnalysis();
+        this.classifierResult = null;
+        this.ellipticView = 'transactions';
+        this.viewTxIds = null;
+        this.updateGraphViewControl();
+        this.tokens = [];
+        this.tokenFilter = '';
+        this.updateTokenFilterControl();
+        document.getElementById('search-input').value = '';
+        this.searchNodes('');
+        this.datasetKey = null;
+        this.annotations = new Map();
+        this.cases = [];
+        this.renderCaseList();
+        this.timeline.hide();
+    }
 
-        let suspiciousCount = 0;
+    // Call before an operation changes the graph so it can be undone.
+    // `key` merges a burst of the same operation into one step.
+    recordHistory(label, key = null, capture = () => this.getHistoryState()) {
+        if (this.restoringHistory) return;
 
-        // Clear previous pattern highlights
-        this.cy.elements().removeClass('suspicious-pattern');
+        this.history.record(label, capture, key);
+        this.updateHistoryControls();
+    }
+
+    // What an undo step restores: the elements with their data, positions
+    // and classes, the filters, and the analysis results that refer to them.
+    // Notes and cases are saved as they are edited and aren't part of it.
+    getHistoryState() {
+        const { timeline } = this;
+
+        return {
+            dataset: this.currentDataset,
+            datasetKey: this.datasetKey,
+            elements: this.cy.elements().jsons(),
+            view: { mode: this.ellipticView, transactions: this.viewTxIds },
+            tokens: { list: this.tokens, selected: this.tokenFilter },
+            timeline: { visible: !timeline.bar.hidden, min: timeline.min, max: timeline.max, start: timeline.start, end: timeline.end },
+            search: { query: this.searchQuery, mode: document.getElementById('search-mode').value },
+            patterns: { results: this.patternResults, cursor: { ...this.patternCursor } },
+            risk: { seeds: Array.from(this.riskSeeds), summary: this.riskSummary },
+            paths: { endpoints: { ...this.pathEndpoints }, results: this.pathResults, cursor: this.pathCursor, summary: this.pathSummary },
+            networkSummary: this.networkSummary,
+            communitySummary: this.communitySummary,
+            clustering: { rejected: Array.from(this.clusterRejected), summary: this.clusterSummary },
+            screeningSummary: this.screeningSummary
+        };
+    }
+
+    async restoreHistoryState(state) {
+        this.timeline.stop();
+        this.cy.batch(() => {
+            this.cy.elements().remove();
+            this.cy.add(state.elements);
+        });
+
+        this.currentDataset = state.dataset;
+        this.ellipticView = state.view.mode;
+        this.viewTxIds = state.view.transactions;
+        this.tokens = state.tokens.list;
+        this.tokenFilter = state.tokens.selected;
+        this.updateTokenFilterControl();
+
+        // Notes and cases belong to the dataset
+        if (state.datasetKey !== this.datasetKey) {
+            if (state.datasetKey) {
+                await this.loadCaseData(state.datasetKey);
+            } else {
+                this.datasetKey = null;
+                this.annotations = new Map();
+                this.cases = [];
+                this.renderCaseList();
+            }
+        } else {
+            // Notes and flags aren't undone; keep the current ones
+            this.applyAnnotations();
+        }
+        this.updateGraphViewControl();
+
+        // Filters; their classes came back with the elements
+        const { timeline, search } = state;
+        if (timeline.visible) {
+            this.timeline.show(timeline.min, timeline.max);
+            this.timeline.setWindow(timeline.start, timeline.end);
+        } else {
+            this.timeline.hide();
+        }
+        document.getElementById('search-input').value = search.query;
+        document.getElementById('search-mode').value = search.mode;
+        this.searchQuery = search.query;
+        this.searchMatches = this.cy.nodes('.search-highlight');
+        this.searchCursor = -1;
+        this.renderSearchResults();
 
+        this.updateNetworkStats();
         if (this.currentDataset === 'elliptic') {
-            // For Elliptic data, highlight connections between illicit nodes
-            const illicitNodes = this.cy.nodes('[classification="illicit"]');
+            this.refreshEllipticStats();
+        }
 
-            illicitNodes.forEach(node => {
-                const connectedEdges = node.connectedEdges();
-                connectedEdges.forEach(edge => {
-                    const otherNode = edge.otherNode(node);
-                    if (otherNode.data('classification') === 'illicit') {
-                        edge.addClass('suspicious-pattern');
-                        suspiciousCount++;
-                    }
-                });
-            });
+        // Analysis panels, rebuilt from the results that went with the elements;
+        // each render leaves its cleared panel empty when there are none
+        this.riskSeeds = new Set(state.risk.seeds);
+        this.riskSummary = state.risk.summary;
+        this.updateRiskInfo('');
+        this.renderRiskInfo();
+
+        this.networkSummary = state.networkSummary;
+        this.updateMetricInfo('');
+        this.renderMetricRanking();
+
+        this.communitySummary = state.communitySummary;
+        this.updateCommunityInfo('');
+        this.renderCommunityInfo();
 
-            console.log(`🚨 Found ${suspiciousCount} connections between illicit transactions`);
+        this.clusterRejected = new Set(state.clustering.rejected);
+        this.clusterSummary = state.clustering.summary;
+        this.updateClusteringInfo('');
+        this.renderClusteringInfo();
 
+        this.screeningSummary = state.screeningSummary;
+        this.updateScreeningInfo('');
+        this.renderScreeningInfo();
+
+        const { paths } = state;
+        this.pathEndpoints = { ...paths.endpoints };
+        this.pathResults = paths.results;
+        this.pathCursor = paths.cursor;
+        this.pathSummary = paths.summary;
+        this.updatePathEndpoints();
+        this.updatePathInfo('');
+        this.renderPathInfo();
+
+        this.patternResults = state.patterns.results;
+        this.patternCursor = { ...state.patterns.cursor };
+        if (this.patternResults.length > 0) {
+            this.updatePatternInfo(this.patternResults.reduce((sum, result) => sum + result.findings.length, 0));
+            Object.keys(this.patternCursor).forEach(detectorId => this.updatePatternPosition(detectorId));
         } else {
-            // Original circular transaction detection for sample data
-            const nodes = this.cy.nodes();
-            nodes.forEach(node => {
-                const outgoing = node.outgoers('edge');
+            this.resetPatternInfo();
+        }
 
-                outgoing.forEach(outEdge => {
-                    const target = outEdge.target();
-                    const returnEdges = target.edgesTo(node);
+        const selected = this.cy.nodes(':selected');
+        if (selected.length === 1) {
+            this.displayNodeInfo(selected[0]);
+        } else {
+            this.clearSelection();
+        }
+    }
 
-                    if (returnEdges.length > 0) {
-                        // Found a potential circular transaction
-                        outEdge.addClass('suspicious-pattern');
-                        returnEdges.addClass('suspicious-pattern');
-                        suspiciousCount++;
-                    }
-                });
-            });
+    async undo() {
+        if (this.restoringHistory || !this.history.canUndo) return;
+        await this.applyHistoryEntry(this.history.undo(this.getHistoryState()), 'Undid');
+    }
 
-            console.log(`🚨 Found ${suspiciousCount} circular transaction patterns`);
+    async redo() {
+        if (this.restoringHistory || !this.history.canRedo) return;
+        await this.applyHistoryEntry(this.history.redo(this.getHistoryState()), 'Redid');
+    }
+
+    async applyHistoryEntry(entry, verb) {
+        this.restoringHistory = true;
+        try {
+            await this.restoreHistoryState(entry.snapshot);
+        } catch (error) {
+            console.error(`❌ Failed to restore history: ${error.message}`, error);
+        } finally {
+            this.restoringHistory = false;
         }
 
-        // Update pattern info
-        this.updatePatternInfo(suspiciousCount);
+        this.updateHistoryControls();
+        this.updateStatus(`${verb}: ${entry.label}`, 'ready');
+        console.log(`↩️ ${verb}: ${entry.label} (${this.cy.nodes().length} nodes, ${this.cy.edges().length} edges)`);
     }
 
-    clearGraph() {
-        this.cy.elements().remove();
-        this.currentDataset = 'none';
-        this.updateNetworkStats();
+    updateHistoryControls() {
+        const undoButton = document.getElementById('undo');
+        const redoButton = document.getElementById('redo');
+        if (!undoButton || !redoButton) return;
+
+        undoButton.disabled = !this.history.canUndo;
+        undoButton.title = this.history.canUndo ? `Undo ${this.history.undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+        redoButton.disabled = !this.history.canRedo;
+        redoButton.title = this.history.canRedo ? `Redo ${this.history.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    // Forget everything computed from the elements on the graph
+    resetAnalysis() {
+        this.riskSeeds.clear();
+        this.riskSummary = null;
+        this.updateRiskInfo('');
+        this.pathEndpoints = { source: null, target: null };
+        this.updatePathEndpoints();
+        this.clearPathHighlights();
+        this.clearMetrics();
+        this.clearCommunities();
+        this.clusterRejected.clear();
+        this.clusterSummary = null;
+        this.updateClusteringInfo('');
+        this.screeningSummary = null;
+        this.updateScreeningInfo('');
         this.clearSelection();
         this.resetPatternInfo();
-        console.log('🗑️ Graph cleared');
     }
 
     updateNetworkStats() {
-        const nodeCount = this.cy.nodes().length;
-        const edgeCount = this.cy.edges().length;
+        const nodeCount = this.cy.nodes().not('.community-meta, .entity-merged, .token-hidden').length;
+        const edgeCount = this.cy.edges().not('.community-meta, .entity-merged, .token-hidden').length;
 
         const nodeCountElement = document.getElementById('node-count');
         const edgeCountElement = document.getElementById('edge-count');
@@ -599,10 +4711,12 @@ class CryptoNetworkVisualizer {
         console.log(`📊 Stats updated: ${nodeCount} nodes, ${edgeCount} edges`);
     }
 
-    updateEllipticStats(statistics) {
+    updateEllipticStats(statistics, windowLabel = null) {
         // Update the info panel with Elliptic-specific stats
         const statsHTML = `
-            <div>Total Transactions: <span>${statistics.total}</span></div>
+            ${windowLabel ? `<div>⏱️ Window: <span>${windowLabel}</span></div>` : ''}
+            <div>Total Transactions: <span>${statistics.total - (statistics.wallets || 0)}</span></div>
+            ${statistics.wallets ? `<div>👛 Wallets: <span>${statistics.wallets}</span></div>` : ''}
             <div style="color: #dc3545;">🔴 Illicit: <span>${statistics.illicit}</span></div>
             <div style="color: #28a745;">🟢 Licit: <span>${statistics.licit}</span></div>
             <div style="color: #6c757d;">⚫ Unknown: <span>${statistics.unknown}</span></div>
@@ -633,9 +4747,32 @@ class CryptoNetworkVisualizer {
 
         if (patternInfoElement) {
             if (count > 0) {
-                const patternType = this.currentDataset === 'elliptic' ?
-                    'illicit-to-illicit connections' : 'circular transaction patterns';
-                patternInfoElement.innerHTML = `<div class="pattern-alert danger">Found ${count} suspicious ${patternType}</div>`;
+                // One group per typology that found something
+                patternInfoElement.innerHTML = this.patternResults
+                    .filter(result => result.findings.length > 0)
+                    .map(({ detector, findings, truncated }) => `
+                        <div class="pattern-group" data-detector="${detector.id}">
+                            <div class="pattern-alert ${detector.severity}">${detector.icon} ${detector.name}: ${findings.length}${truncated ? '+' : ''}</div>
+                            <div class="pattern-nav">
+                                <button class="btn btn-secondary pattern-prev">◀</button>
+                                <span class="pattern-position">${findings.length} found</span>
+                                <button class="btn btn-secondary pattern-next">▶</button>
+                            </div>
+                            <div class="pattern-detail">Step through to highlight each one</div>
+                        </div>
+                    `).join('');
+
+                patternInfoElement.querySelectorAll('.pattern-group').forEach(group => {
+                    const detectorId = group.dataset.detector;
+                    const current = () => (detectorId in this.patternCursor ? this.patternCursor[detectorId] : -1);
+
+                    group.querySelector('.pattern-prev').addEventListener('click', () => {
+                        this.showPatternFinding(detectorId, Math.max(current(), 0) - 1);
+                    });
+                    group.querySelector('.pattern-next').addEventListener('click', () => {
+                        this.showPatternFinding(detectorId, current() + 1);
+                    });
+                });
             } else {
                 patternInfoElement.innerHTML = '<div class="pattern-alert success">No suspicious patterns detected</div>';
             }
@@ -645,6 +4782,9 @@ class CryptoNetworkVisualizer {
     }
 
     resetPatternInfo() {
+        this.patternResults = [];
+        this.patternCursor = {};
+
         const patternCountElement = document.getElementById('pattern-count');
         const patternInfoElement = document.getElementById('pattern-info');
 
@@ -0,0 +1,129 @@
+// Printable compliance report for a subgraph, laid out as a suspicious
+// activity report draft. Takes plain data gathered by the caller:
+//
+//   { title, analyst, narrative, generatedAt, dataset, scope,
+//     statistics: [{ label, value }], image (data URL or null),
+//     patterns: [{ name, icon, severity, summary, evidence: [string] }],
+//     nodes: [{ id, label, details: [{ label, value }], flagged, tags, notes }],
+//     transfers: [{ id, source, target, amount, timestamp }],
+//     cases: [{ name, members }] }
+//
+// and returns a standalone HTML document; print it to get a PDF.
+
+import { escapeHtml } from '../ui/html.js';
+
+const REPORT_STYLES = `
+    body { font-family: 'Inter', Arial, sans-serif; color: #1f2937; margin: 2rem auto; max-width: 960px; line-height: 1.5; }
+    h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.15rem; border-bottom: 2px solid #1f2937; padding-bottom: 0.25rem; margin-top: 2rem; }
+    h3 { font-size: 1rem; margin: 1rem 0 0.25rem; }
+    .meta { color: #6b7280; font-size: 0.9rem; }
+    .stats { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 0.5rem; }
+    .stat { border: 1px solid #d1d5db; border-radius: 4px; padding: 0.5rem; }
+    .stat span { display: block; color: #6b7280; font-size: 0.8rem; }
+    .stat strong { font-size: 1.1rem; }
+    .snapshot { width: 100%; border: 1px solid #d1d5db; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { border: 1px solid #d1d5db; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+    .pattern { border-left: 4px solid #f59e0b; padding: 0.25rem 0.75rem; margin-bottom: 0.75rem; }
+    .pattern.danger { border-color: #dc2626; }
+    .flagged { color: #dc2626; font-weight: 600; }
+    .node { page-break-inside: avoid; }
+    .narrative { white-space: pre-wrap; border: 1px solid #d1d5db; padding: 0.75rem; min-height: 6rem; }
+    .print-button { float: right; }
+    @media print { .print-button { display: none; } body { margin: 0; } }
+`;
+
+function statisticsSection(statistics) {
+    return `
+        <div class="stats">
+            ${statistics.map(({ label, value }) => `
+                <div class="stat"><span>${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function patternsSection(patterns) {
+    if (patterns.length === 0) {
+        return '<p>No detected patterns involve this subgraph.</p>';
+    }
+
+    return patterns.map(pattern => `
+        <div class="pattern ${pattern.severity}">
+            <h3>${escapeHtml(pattern.icon)} ${escapeHtml(pattern.name)}</h3>
+            <p>${escapeHtml(pattern.summary)}</p>
+            <ul>${pattern.evidence.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+        </div>
+    `).join('');
+}
+
+function nodesSection(nodes) {
+    return nodes.map(node => `
+        <div class="node">
+            <h3>${escapeHtml(node.label)} ${node.flagged ? '<span class="flagged">🚩 Flagged</span>' : ''}</h3>
+            <table>
+                ${node.details.map(({ label, value }) => `
+                    <tr><th>${escapeHtml(label)}</th><td>${value === undefined ? '✔' : escapeHtml(value)}</td></tr>
+                `).join('')}
+                ${node.tags.length > 0 ? `<tr><th>Tags</th><td>${escapeHtml(node.tags.join(', '))}</td></tr>` : ''}
+                ${node.notes ? `<tr><th>Analyst notes</th><td>${escapeHtml(node.notes)}</td></tr>` : ''}
+            </table>
+        </div>
+    `).join('');
+}
+
+function transfersSection(transfers) {
+    if (transfers.length === 0) {
+        return '<p>No transfers between the reported nodes.</p>';
+    }
+
+    const cell = value => (value === undefined || value === null ? '' : escapeHtml(value));
+    return `
+        <table>
+            <tr><th>ID</th><th>From</th><th>To</th><th>Amount</th><th>Timestamp</th></tr>
+            ${transfers.map(transfer => `
+                <tr><td>${cell(transfer.id)}</td><td>${cell(transfer.source)}</td><td>${cell(transfer.target)}</td>
+                    <td>${cell(transfer.amount)}</td><td>${cell(transfer.timestamp)}</td></tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+export function buildComplianceReport(report) {
+    const generated = new Date(report.generatedAt).toLocaleString();
+
+    const sections = [
+        ['Summary', statisticsSection(report.statistics)],
+        ['Analyst Narrative', `<div class="narrative">${escapeHtml(report.narrative || '')}</div>`],
+        report.image && ['Subgraph', `<img class="snapshot" src="${report.image}" alt="Subgraph snapshot" />`],
+        ['Triggered Patterns', patternsSection(report.patterns)],
+        ['Transactions and Parties', nodesSection(report.nodes)],
+        ['Transfers', transfersSection(report.transfers)],
+        report.cases.length > 0 && ['Related Cases', `
+            <ul>${report.cases.map(c => `<li>${escapeHtml(c.name)} (${c.members} of the reported nodes)</li>`).join('')}</ul>
+        `]
+    ].filter(Boolean);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(report.title)}</title>
+    <style>${REPORT_STYLES}</style>
+</head>
+<body>
+    <button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+    <h1>${escapeHtml(report.title)}</h1>
+    <div class="meta">
+        Generated ${escapeHtml(generated)}${report.analyst ? ` by ${escapeHtml(report.analyst)}` : ''}
+        · Dataset: ${escapeHtml(report.dataset)} · Scope: ${escapeHtml(report.scope)}
+    </div>
+    ${sections.map(([title, html], i) => `
+    <h2>${i + 1}. ${title}</h2>
+    ${html}`).join('\n')}
+</body>
+</html>
+`;
+}
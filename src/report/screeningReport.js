@@ -0,0 +1,83 @@
+// Machine-readable screening report from a headless analysis run
+// (core/analysis.js analyseElements):
+//
+//   { generatedAt, dataset, input: [file names],
+//     statistics: { total, illicit, licit, unknown, edges, wallets },
+//     patterns: [{ detector, name, severity, count, truncated,
+//                  findings: [{ nodes, subjects?, edges, summary }] }],
+//     flagged: [{ id, label, classification, reasons: [string] }] }
+//
+// as JSON, or as three CSV tables (flagged nodes, pattern findings and
+// statistics).
+
+import Papa from 'papaparse';
+import { findingSubjects } from '../core/analysis.js';
+
+// Ids and labels are whatever the input files held: a leading =, +, - or @
+// must not turn into a formula when the CSV is opened in a spreadsheet
+const UNPARSE_OPTIONS = { escapeFormulae: true };
+
+export function buildScreeningReport({ statistics, results, flagged }, { dataset, input = [] }) {
+    return {
+        generatedAt: new Date().toISOString(),
+        dataset,
+        input,
+        statistics,
+        patterns: results.map(({ detector, findings, truncated }) => ({
+            detector: detector.id,
+            name: detector.name,
+            severity: detector.severity,
+            count: findings.length,
+            truncated,
+            findings
+        })),
+        flagged: flagged.map(({ id, data, reasons }) => ({
+            id,
+            label: data.label || id,
+            classification: data.classification || '',
+            reasons
+        }))
+    };
+}
+
+export function toScreeningJSON(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+export function toFlaggedCSV(report) {
+    return Papa.unparse({
+        fields: ['id', 'label', 'classification', 'reasons'],
+        data: report.flagged.map(node => [node.id, node.label, node.classification, node.reasons.join(';')])
+    }, UNPARSE_OPTIONS);
+}
+
+// One row per finding
+export function toPatternsCSV(report) {
+    return Papa.unparse({
+        fields: ['detector', 'name', 'severity', 'finding', 'summary', 'subjects', 'nodes', 'edges'],
+        data: report.patterns.flatMap(pattern => pattern.findings.map((finding, i) => [
+            pattern.detector,
+            pattern.name,
+            pattern.severity,
+            i + 1,
+            finding.summary,
+            findingSubjects(finding).join(';'),
+            finding.nodes.join(';'),
+            finding.edges.join(';')
+        ]))
+    }, UNPARSE_OPTIONS);
+}
+
+// Graph statistics, then the finding count of every detector that ran
+export function toStatisticsCSV(report) {
+    return Papa.unparse({
+        fields: ['metric', 'value'],
+        data: [
+            ...Object.entries(report.statistics),
+            ...report.patterns.map(pattern => [
+                `${pattern.name} findings`,
+                pattern.truncated ? `${pattern.count}+` : pattern.count
+            ])
+        ]
+    }, UNPARSE_OPTIONS);
+}
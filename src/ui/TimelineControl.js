@@ -0,0 +1,112 @@
+// Timestep slider with playback. Owns the #timeline-bar controls and
+// reports the selected [start, end] window through `onChange`.
+// `onUserChange` runs before a change the user makes (dragging, playing,
+// resetting), while the old window still applies.
+export class TimelineControl {
+    constructor(onChange, onUserChange = () => {}) {
+        this.onChange = onChange;
+        this.onUserChange = onUserChange;
+        this.min = 1;
+        this.max = 1;
+        this.start = 1;
+        this.end = 1;
+        this.timer = null;
+
+        this.bar = document.getElementById('timeline-bar');
+        this.startInput = document.getElementById('timeline-start');
+        this.endInput = document.getElementById('timeline-end');
+        this.windowLabel = document.getElementById('timeline-window');
+        this.playButton = document.getElementById('timeline-play');
+        this.speedSelect = document.getElementById('timeline-speed');
+
+        this.startInput.addEventListener('input', () => {
+            this.stop();
+            this.onUserChange();
+            this.setWindow(parseInt(this.startInput.value, 10), Math.max(this.end, parseInt(this.startInput.value, 10)));
+        });
+
+        this.endInput.addEventListener('input', () => {
+            this.stop();
+            this.onUserChange();
+            this.setWindow(Math.min(this.start, parseInt(this.endInput.value, 10)), parseInt(this.endInput.value, 10));
+        });
+
+        this.playButton.addEventListener('click', () => {
+            if (this.timer) {
+                this.stop();
+            } else {
+                this.onUserChange();
+                this.play();
+            }
+        });
+
+        document.getElementById('timeline-reset').addEventListener('click', () => {
+            this.stop();
+            this.onUserChange();
+            this.setWindow(this.min, this.max);
+        });
+    }
+
+    get isFiltering() {
+        return !this.bar.hidden && (this.start > this.min || this.end < this.max);
+    }
+
+    show(min, max) {
+        this.stop();
+        this.min = min;
+        this.max = max;
+
+        [this.startInput, this.endInput].forEach(input => {
+            input.min = min;
+            input.max = max;
+        });
+
+        this.bar.hidden = false;
+        this.setWindow(min, max);
+    }
+
+    hide() {
+        this.stop();
+        this.bar.hidden = true;
+    }
+
+    setWindow(start, end) {
+        this.start = Math.max(this.min, Math.min(start, this.max));
+        this.end = Math.max(this.start, Math.min(end, this.max));
+
+        this.startInput.value = this.start;
+        this.endInput.value = this.end;
+        this.windowLabel.textContent = this.start === this.end ?
+            `Timestep ${this.start}` : `Timesteps ${this.start}–${this.end}`;
+
+        this.onChange(this.start, this.end);
+    }
+
+    // Slide the current window forward one timestep per tick. Playing from
+    // the full range steps through single timesteps instead.
+    play() {
+        const width = this.end - this.start;
+        if (width === this.max - this.min) {
+            this.setWindow(this.min, this.min);
+        } else if (this.end >= this.max) {
+            this.setWindow(this.min, this.min + width);
+        }
+
+        this.playButton.textContent = '⏸ Pause';
+        this.timer = setInterval(() => {
+            if (this.end >= this.max) {
+                this.stop();
+                return;
+            }
+            this.setWindow(this.start + 1, this.end + 1);
+        }, parseInt(this.speedSelect.value, 10));
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.playButton.textContent = '▶ Play';
+    }
+}
@@ -0,0 +1,71 @@
+// Bounded undo/redo stacks of application snapshots. Before every
+// operation the caller records the state it is about to change; undo
+// swaps the current state for the last recorded one, redo swaps back.
+//
+// Operations that fire in bursts (typing a search, dragging the timeline)
+// pass a `key`: consecutive records with the same key keep only the first
+// snapshot, so the whole burst undoes in one step.
+
+const DEFAULT_LIMIT = 30;
+
+export class UndoHistory {
+    constructor(limit = DEFAULT_LIMIT) {
+        this.limit = limit;
+        this.undoStack = []; // { label, snapshot }, most recent last
+        this.redoStack = [];
+        this.lastKey = null;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    get undoLabel() {
+        return this.canUndo ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    get redoLabel() {
+        return this.canRedo ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    // `capture` is only called when a snapshot is actually needed
+    record(label, capture, key = null) {
+        if (key !== null && key === this.lastKey && this.canUndo) return;
+
+        this.undoStack.push({ label, snapshot: capture() });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.lastKey = key;
+    }
+
+    // Returns the entry to restore, or null; `current` is kept for redo
+    undo(current) {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        this.redoStack.push({ label: entry.label, snapshot: current });
+        this.lastKey = null;
+        return entry;
+    }
+
+    redo(current) {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.undoStack.push({ label: entry.label, snapshot: current });
+        this.lastKey = null;
+        return entry;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastKey = null;
+    }
+}
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGraph } from '../../src/analysis/graph.js';
+import { findCycles } from '../../src/analysis/cycles.js';
+
+// Edges as [source, target] pairs
+function graphOf(edges) {
+    const nodeIds = new Set(edges.flat());
+    return buildGraph(
+        Array.from(nodeIds, id => ({ data: { id } })),
+        edges.map(([source, target], i) => ({ data: { id: `e${i}`, source, target } }))
+    );
+}
+
+// a -> b -> c -> d -> e -> a, with shortcuts c -> a and d -> c
+const graph = graphOf([['a', 'b'], ['b', 'c'], ['c', 'd'], ['d', 'e'], ['e', 'a'], ['c', 'a'], ['d', 'c']]);
+
+test('findCycles lists every cycle, shortest first', () => {
+    const { cycles, truncated } = findCycles(graph);
+
+    assert.deepEqual(cycles.map(cycle => cycle.nodes.join('')), ['cd', 'abc', 'abcde']);
+    assert.equal(truncated, false);
+});
+
+test('findCycles keeps the shortest cycles when truncated', () => {
+    const { cycles, truncated } = findCycles(graph, { maxCycles: 2 });
+
+    assert.deepEqual(cycles.map(cycle => cycle.nodes.join('')), ['cd', 'abc']);
+    assert.equal(truncated, true);
+});
+
+test('findCycles is not truncated when the cap equals the number of cycles', () => {
+    const { cycles, truncated } = findCycles(graph, { maxCycles: 3 });
+
+    assert.equal(cycles.length, 3);
+    assert.equal(truncated, false);
+});
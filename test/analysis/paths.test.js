@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGraph } from '../../src/analysis/graph.js';
+import { findSimplePaths, maxFlow } from '../../src/analysis/paths.js';
+
+// source -> target edges with an amount each, as [id, source, target, amount]
+function graphOf(edges) {
+    const nodeIds = new Set(edges.flatMap(([, source, target]) => [source, target]));
+    return buildGraph(
+        Array.from(nodeIds, id => ({ data: { id } })),
+        edges.map(([id, source, target, amount]) => ({ data: { id, source, target, amount } }))
+    );
+}
+
+// Breadth-first search first sends s -> u -> v -> t (u -> v is listed
+// before u -> w), so the second augmenting path has to undo u -> v:
+// s -> z -> v -> u -> w -> t
+const rerouted = graphOf([
+    ['su', 's', 'u', 1],
+    ['uv', 'u', 'v', 1],
+    ['uw', 'u', 'w', 1],
+    ['vt', 'v', 't', 1],
+    ['sz', 's', 'z', 1],
+    ['zv', 'z', 'v', 1],
+    ['wt', 'w', 't', 1]
+]);
+
+test('maxFlow finds the maximum flow value', () => {
+    assert.equal(maxFlow(rerouted, 's', 't').value, 2);
+});
+
+test('maxFlow paths follow transfer direction over edges carrying flow', () => {
+    const { value, flows, paths } = maxFlow(rerouted, 's', 't');
+
+    paths.forEach(({ nodes, edges }) => {
+        assert.equal(nodes[0], 's');
+        assert.equal(nodes[nodes.length - 1], 't');
+        edges.forEach((edgeId, i) => {
+            const edge = rerouted.edgeData.get(edgeId);
+            assert.deepEqual([edge.source, edge.target], [nodes[i], nodes[i + 1]]);
+            assert.ok(flows.get(edgeId) > 0, `${edgeId} carries no flow`);
+        });
+    });
+
+    assert.deepEqual(paths.map(path => path.nodes.join('')).sort(), ['suwt', 'szvt']);
+    assert.equal(paths.reduce((sum, path) => sum + path.amount, 0), value);
+    assert.equal(flows.has('uv'), false);
+});
+
+test('maxFlow splits a shared edge between the paths that use it', () => {
+    const { value, flows, paths } = maxFlow(graphOf([
+        ['sa', 's', 'a', 5],
+        ['ab', 'a', 'b', 2],
+        ['ac', 'a', 'c', 2],
+        ['bt', 'b', 't', 3],
+        ['ct', 'c', 't', 1]
+    ]), 's', 't');
+
+    assert.equal(value, 3);
+    assert.equal(flows.get('sa'), 3);
+    assert.deepEqual(paths.map(({ nodes, amount }) => [nodes.join(''), amount]), [['sabt', 2], ['sact', 1]]);
+});
+
+// Depth-first order reaches s -> a -> b1/b2/b3 -> t before the direct
+// s -> t edge, which is listed last
+const branching = graphOf([
+    ['sa', 's', 'a', 1],
+    ['ab1', 'a', 'b1', 1],
+    ['ab2', 'a', 'b2', 1],
+    ['ab3', 'a', 'b3', 1],
+    ['b1t', 'b1', 't', 1],
+    ['b2t', 'b2', 't', 1],
+    ['b3t', 'b3', 't', 1],
+    ['st', 's', 't', 1]
+]);
+
+test('findSimplePaths keeps the shortest paths when truncated', () => {
+    const { paths, truncated } = findSimplePaths(branching, 's', 't', { maxPaths: 2 });
+
+    assert.deepEqual(paths.map(path => path.nodes.join(' ')), ['s t', 's a b1 t']);
+    assert.equal(truncated, true);
+});
+
+test('findSimplePaths lists every path up to the hop limit, shortest first', () => {
+    const { paths, truncated } = findSimplePaths(branching, 's', 't', { maxPaths: 4 });
+
+    assert.deepEqual(paths.map(path => path.length), [1, 3, 3, 3]);
+    assert.equal(truncated, false);
+    assert.deepEqual(findSimplePaths(branching, 's', 't', { maxHops: 2 }).paths.map(path => path.length), [1]);
+});
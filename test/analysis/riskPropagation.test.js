@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGraph } from '../../src/analysis/graph.js';
+import { propagateRisk } from '../../src/analysis/riskPropagation.js';
+
+// seed -> a -> b
+const graph = buildGraph(
+    ['seed', 'a', 'b'].map(id => ({ data: { id } })),
+    [['seed', 'a'], ['a', 'b']].map(([source, target], i) => ({ data: { id: `e${i}`, source, target } }))
+);
+
+test('decay multiplies exposure at every hop', () => {
+    const scores = propagateRisk(graph, ['seed'], { model: 'decay', decay: 0.5 });
+
+    assert.deepEqual(Object.fromEntries(scores), { seed: 1, a: 0.5, b: 0.25 });
+});
+
+test('decay outside (0, 1] is rejected', () => {
+    [0, -0.5, 1.5, NaN].forEach(decay => {
+        assert.throws(() => propagateRisk(graph, ['seed'], { model: 'decay', decay }), /Decay must be/);
+    });
+});
+
+test('other models ignore decay', () => {
+    const scores = propagateRisk(graph, ['seed'], { model: 'poison', decay: 2 });
+
+    assert.deepEqual(Object.fromEntries(scores), { seed: 1, a: 1, b: 1 });
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const screen = fileURLToPath(new URL('../../src/cli/screen.js', import.meta.url));
+const ledger = fileURLToPath(new URL('../fixtures/ledger.csv', import.meta.url));
+
+function run(args) {
+    return spawnSync(process.execPath, [screen, ...args], { encoding: 'utf8' });
+}
+
+test('screen writes a JSON report to stdout', () => {
+    const { status, stdout } = run(['--ledger', ledger]);
+    assert.equal(status, 0);
+
+    const report = JSON.parse(stdout);
+    assert.equal(report.dataset, 'ledger');
+    assert.deepEqual(report.input, ['ledger.csv']);
+    assert.equal(report.statistics.total, 8);
+    assert.deepEqual(report.flagged.map(node => node.id).sort(), ['hub', 'mule', 'relay']);
+    assert.equal(report.patterns.find(pattern => pattern.detector === 'fan-in').count, 1);
+});
+
+test('screen runs only the detectors asked for', () => {
+    const { status, stdout } = run(['--ledger', ledger, '--detectors', 'cycles']);
+    assert.equal(status, 0);
+
+    const report = JSON.parse(stdout);
+    assert.deepEqual(report.patterns.map(pattern => pattern.detector), ['cycles']);
+    assert.deepEqual(report.flagged.map(node => node.id).sort(), ['hub', 'mule', 'relay']);
+});
+
+test('screen writes the CSV tables next to --out', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'screen-'));
+    try {
+        const { status } = run(['--ledger', ledger, '--format', 'csv', '--out', path.join(directory, 'report')]);
+        assert.equal(status, 0);
+
+        assert.deepEqual(fs.readdirSync(directory).sort(), ['report-flagged.csv', 'report-patterns.csv', 'report-statistics.csv']);
+        const flagged = fs.readFileSync(path.join(directory, 'report-flagged.csv'), 'utf8').trim().split(/\r?\n/);
+        assert.equal(flagged[0], 'id,label,classification,reasons');
+        assert.equal(flagged.length, 4);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('screen exits with 2 on bad arguments', () => {
+    assert.equal(run([]).status, 2);
+    assert.equal(run(['--ledger', ledger, '--detectors', 'nope']).status, 2);
+    assert.equal(run(['--ledger', ledger, '--format', 'csv']).status, 2);
+});
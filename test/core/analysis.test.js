@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { readLedger } from '../../src/core/datasets.js';
+import { analyseElements, detectionContext } from '../../src/core/analysis.js';
+
+const ledgerFile = new URL('../fixtures/ledger.csv', import.meta.url);
+
+// Five senders pay into hub, which sends round hub -> mule -> relay -> hub
+function analyseLedger() {
+    const ledger = readLedger(fs.readFileSync(ledgerFile, 'utf8'), 'ledger.csv');
+    return analyseElements(ledger, { dataset: 'ledger' });
+}
+
+test('detectionContext only offers amounts and labels where the dataset has them', () => {
+    assert.deepEqual(detectionContext('ledger'), { amounts: true, labels: false });
+    assert.deepEqual(detectionContext('elliptic'), { amounts: false, labels: true });
+});
+
+test('analyseElements counts the graph', () => {
+    const { statistics } = analyseLedger();
+
+    assert.equal(statistics.total, 8);
+    assert.equal(statistics.edges, 8);
+});
+
+test('analyseElements runs the detectors that apply', () => {
+    const { results } = analyseLedger();
+    const found = Object.fromEntries(results.map(({ detector, findings }) => [detector.id, findings]));
+
+    assert.equal(found['illicit-links'], undefined, 'needs labels');
+    assert.deepEqual(found['fan-in'].map(finding => finding.subjects), [['hub']]);
+    assert.deepEqual(found.cycles.map(finding => finding.nodes), [['hub', 'mule', 'relay']]);
+});
+
+test('analyseElements flags finding subjects, not their counterparties', () => {
+    const { flagged } = analyseLedger();
+    const reasons = Object.fromEntries(flagged.map(node => [node.id, node.reasons]));
+
+    assert.deepEqual(Object.keys(reasons).sort(), ['hub', 'mule', 'relay']);
+    assert.deepEqual(reasons.hub.sort(), ['Circular transactions', 'Fan-in hubs']);
+    assert.equal(flagged[0].id, 'hub', 'most reasons first');
+});
+
+test('analyseElements flags nodes labelled illicit', () => {
+    const { flagged } = analyseElements({
+        nodes: [
+            { data: { id: 'tx_1', classification: 'illicit' } },
+            { data: { id: 'tx_2', classification: 'licit' } }
+        ],
+        edges: [{ data: { id: 'e1', source: 'tx_1', target: 'tx_2' } }]
+    }, { dataset: 'elliptic' });
+
+    assert.deepEqual(flagged.map(({ id, reasons }) => [id, reasons]), [['tx_1', ['Labelled illicit']]]);
+});
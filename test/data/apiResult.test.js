@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseApiResult } from '../../src/data/apiResult.js';
+
+const nodes = [{ data: { id: 'a' } }, { data: { id: 'b' } }];
+const edges = [{ data: { id: 'e1', source: 'a', target: 'b' } }];
+
+test('parseApiResult reads elements carried by a result', () => {
+    const { dataset, elements } = parseApiResult({ dataset: 'ledger', id: 'a', elements: { nodes, edges } });
+
+    assert.equal(dataset, 'ledger');
+    assert.deepEqual(elements, { nodes, edges, truncated: false });
+});
+
+test('parseApiResult reads a neighbourhood, which is elements itself', () => {
+    const { elements } = parseApiResult({ dataset: 'elliptic', nodes, truncated: true });
+
+    assert.deepEqual(elements, { nodes, edges: [], truncated: true });
+});
+
+test('parseApiResult rejects results it cannot show', () => {
+    const rejected = {
+        'not an object': null,
+        'unknown dataset': { dataset: 'mystery', elements: { nodes, edges } },
+        'missing dataset': { elements: { nodes, edges } },
+        'no graph': { dataset: 'ledger', statistics: {} },
+        'no nodes': { dataset: 'ledger', elements: { nodes: [], edges: [] } },
+        'edges not a list': { dataset: 'ledger', elements: { nodes, edges: {} } },
+        'node without id': { dataset: 'ledger', elements: { nodes: [{ data: {} }], edges: [] } },
+        'node without data': { dataset: 'ledger', elements: { nodes: ['a'], edges: [] } },
+        'duplicate id': { dataset: 'ledger', elements: { nodes: [...nodes, { data: { id: 'a' } }], edges: [] } },
+        'dangling edge': { dataset: 'ledger', elements: { nodes, edges: [{ data: { id: 'e1', source: 'a', target: 'z' } }] } }
+    };
+
+    Object.entries(rejected).forEach(([name, result]) => {
+        assert.throws(() => parseApiResult(result), Error, name);
+    });
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toNodesCSV, toEdgesCSV } from '../../src/export/formats.js';
+
+test('CSV exports put id (and source/target) first', () => {
+    const csv = toEdgesCSV({ edges: [{ data: { amount: 5, id: 'e1', source: 'a', target: 'b' } }] });
+
+    assert.equal(csv.split(/\r?\n/)[0], 'id,source,target,amount');
+});
+
+test('CSV exports keep imported values from running as spreadsheet formulas', () => {
+    const csv = toNodesCSV({
+        nodes: [
+            { data: { id: 'a', label: '=HYPERLINK("http://example.com")', note: '@SUM(1)', balance: -5 } },
+            { data: { id: 'b', label: '+1', note: '-cmd', balance: 2 } }
+        ]
+    });
+    const [, first, second] = csv.split(/\r?\n/);
+
+    assert.equal(first, 'a,"\'=HYPERLINK(""http://example.com"")","\'@SUM(1)",-5');
+    assert.equal(second, 'b,"\'+1","\'-cmd",2');
+});
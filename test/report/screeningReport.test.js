@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildScreeningReport, toFlaggedCSV } from '../../src/report/screeningReport.js';
+
+test('flagged CSV escapes values that would run as spreadsheet formulas', () => {
+    const report = buildScreeningReport({
+        statistics: {},
+        results: [],
+        flagged: [{ id: '=cmd', data: { label: '@SUM(A1)', classification: 'illicit' }, reasons: ['Labelled illicit'] }]
+    }, { dataset: 'ledger' });
+
+    assert.equal(toFlaggedCSV(report).split(/\r?\n/)[1], '"\'=cmd","\'@SUM(A1)",illicit,Labelled illicit');
+});